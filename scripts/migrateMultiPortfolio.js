@@ -0,0 +1,32 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { migrateMultiPortfolio } = require("../src/services/portfolioMigration.service");
+
+/**
+ * One-off migration for multiple portfolios per user:
+ * drops the old unique userId index and marks each user's
+ * existing portfolio as their named default.
+ *
+ * The server runs the same migration after connecting to MongoDB, so this
+ * script is only needed to migrate a database without starting the server:
+ *   node scripts/migrateMultiPortfolio.js
+ */
+const migrate = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log("Connected to MongoDB");
+
+        const result = await migrateMultiPortfolio();
+        if (result.success) {
+            console.log("✅ Portfolio indexes in sync");
+        }
+
+    } catch (error) {
+        console.error("❌ Migration failed:", error.message);
+    } finally {
+        await mongoose.disconnect();
+        process.exit(0);
+    }
+};
+
+migrate();
@@ -5,6 +5,8 @@ const connectDB = require("./src/config/db");
 const { connectRedis } = require("./src/config/redis");
 const { initializeTransporter } = require("./src/services/email.service");
 const { initializeScheduler } = require("./src/services/scheduler.service");
+const { loadSecurityMaster } = require("./src/services/securityMaster.service");
+const { migrateMultiPortfolio } = require("./src/services/portfolioMigration.service");
 
 const authRoutes = require("./src/routes/auth.routes");
 const onboardingRoutes = require("./src/routes/onboarding.routes");
@@ -44,7 +46,8 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-connectDB();
+// Drop the legacy one-portfolio-per-user index before portfolios are created
+connectDB().then(() => Promise.all([loadSecurityMaster(), migrateMultiPortfolio()]));
 connectRedis();
 initializeTransporter();
 initializeScheduler();
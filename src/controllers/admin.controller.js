@@ -1,12 +1,26 @@
-const { triggerPriceMonitoring, triggerCleanup } = require("../services/scheduler.service");
+const {
+    triggerPriceMonitoring,
+    triggerCleanup,
+    triggerOrderProcessing,
+    triggerPortfolioSnapshots,
+    triggerCorporateActions,
+    triggerRebalancing,
+    triggerRecommendationOutcomes
+} = require("../services/scheduler.service");
 const { getRecentActivities, getActivityStats } = require("../services/activityLogger.service");
 const { getMonitoringStats } = require("../services/priceMonitoring.service");
 const providerManager = require("../services/providerManager.service");
 const providerHealth = require("../services/providerHealth.service");
 const smartCache = require("../services/smartCache.service");
-const stockNameEnrichment = require("../services/stockNameEnrichment.service");
+const securityMaster = require("../services/securityMaster.service");
+const { getHitRates } = require("../services/recommendationOutcomes.service");
+const scoringStrategy = require("../services/scoringStrategy.service");
+const experimentService = require("../services/experiment.service");
+const marketCalendar = require("../services/marketCalendar.service");
 const User = require("../models/user.models");
 const Watchlist = require("../models/watchlist.models");
+const AlertRule = require("../models/alertRule.models");
+const AlertFiring = require("../models/alertFiring.models");
 const VirtualPortfolio = require("../models/virtualPortfolio.models");
 const Notification = require("../models/notification.models");
 const RecommendationSession = require("../models/recommendationSession.models");
@@ -220,6 +234,91 @@ exports.triggerCleanup = async (req, res) => {
         return res.status(500).json({ status: "error", message: error.message });
     }
 };
+
+/**
+ * Manually trigger pending order processing (for testing)
+ */
+exports.triggerOrderProcessing = async (req, res) => {
+    try {
+        const result = await triggerOrderProcessing();
+        
+        return res.json({
+            status: "success",
+            message: "Pending order processing triggered",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Manually trigger end-of-day portfolio snapshots (for testing)
+ */
+exports.triggerPortfolioSnapshots = async (req, res) => {
+    try {
+        const result = await triggerPortfolioSnapshots();
+        
+        return res.json({
+            status: "success",
+            message: "Portfolio snapshots triggered",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Manually trigger dividend and split processing (for testing)
+ */
+exports.triggerCorporateActions = async (req, res) => {
+    try {
+        const result = await triggerCorporateActions();
+        
+        return res.json({
+            status: "success",
+            message: "Corporate action processing triggered",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Manually trigger rebalancing checks (for testing)
+ */
+exports.triggerRebalancing = async (req, res) => {
+    try {
+        const result = await triggerRebalancing();
+        
+        return res.json({
+            status: "success",
+            message: "Rebalancing checks triggered",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Manually trigger recommendation outcome evaluation (for testing)
+ */
+exports.triggerRecommendationOutcomes = async (req, res) => {
+    try {
+        const result = await triggerRecommendationOutcomes();
+        
+        return res.json({
+            status: "success",
+            message: "Recommendation outcome evaluation triggered",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
 /**
  * Get stocks management data
  * GET /api/admin/stocks
@@ -275,6 +374,10 @@ exports.getStocks = async (req, res) => {
             {
                 $unwind: "$transactions"
             },
+            {
+                // Dividends and splits are not trades
+                $match: { "transactions.type": { $in: ["buy", "sell"] } }
+            },
             {
                 $group: {
                     _id: "$transactions.symbol",
@@ -294,17 +397,17 @@ exports.getStocks = async (req, res) => {
         // Enrich all stock names using the stock name enrichment service
         const enrichRecommendedStocks = recommendedStocks.map(stock => ({
             ...stock,
-            name: stockNameEnrichment.staticNames[stock._id] || stock.name || stock._id
+            name: securityMaster.getName(stock._id) || stock.name || stock._id
         }));
 
         const enrichWatchedStocks = watchedStocks.map(stock => ({
             ...stock,
-            name: stockNameEnrichment.staticNames[stock._id] || stock.name || stock._id
+            name: securityMaster.getName(stock._id) || stock.name || stock._id
         }));
 
         const enrichTradedStocks = tradedStocks.map(stock => ({
             ...stock,
-            name: stockNameEnrichment.staticNames[stock._id] || stock._id
+            name: securityMaster.getName(stock._id) || stock._id
         }));
 
         return res.json({
@@ -320,6 +423,81 @@ exports.getStocks = async (req, res) => {
     }
 };
 
+/**
+ * List security master records
+ * GET /api/admin/securities?search=&sector=&assetType=&page=&limit=
+ */
+exports.getSecurities = async (req, res) => {
+    try {
+        const { search, sector, assetType } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const result = await securityMaster.listSecurities({ search, sector, assetType, page, limit });
+
+        return res.json({
+            status: "success",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Seed the security master with the built-in symbol list
+ * Symbols already stored are left untouched
+ * POST /api/admin/securities/seed
+ */
+exports.seedSecurities = async (req, res) => {
+    try {
+        const result = await securityMaster.seedSecurities();
+
+        return res.json({
+            status: "success",
+            message: "Security master seeded",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Import securities into the security master
+ * POST /api/admin/securities/import
+ * Body: { securities: [{ symbol, name, exchange, sector, industry, assetType, currency }] }
+ */
+exports.importSecurities = async (req, res) => {
+    try {
+        const { securities } = req.body;
+
+        if (!Array.isArray(securities) || securities.length === 0) {
+            return res.status(400).json({
+                status: "error",
+                message: "securities must be a non-empty array"
+            });
+        }
+
+        if (securities.length > 5000) {
+            return res.status(400).json({
+                status: "error",
+                message: "Import at most 5000 securities at a time"
+            });
+        }
+
+        const result = await securityMaster.upsertSecurities(securities, "import");
+
+        return res.json({
+            status: "success",
+            message: `Imported ${result.total - result.failed} securities`,
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
 /**
  * Get notification management data
  * GET /api/admin/notifications
@@ -423,7 +601,7 @@ exports.getRecommendationAnalytics = async (req, res) => {
         // Enrich stock names
         const enrichedTopStocks = topStocks.map(stock => ({
             ...stock,
-            name: stockNameEnrichment.staticNames[stock._id] || stock.name || stock._id
+            name: securityMaster.getName(stock._id) || stock.name || stock._id
         }));
 
         // Get recent recommendations
@@ -432,13 +610,17 @@ exports.getRecommendationAnalytics = async (req, res) => {
             .sort({ generatedAt: -1 })
             .limit(10);
 
+        // Hit rates of recorded 1W / 1M / 3M outcomes
+        const outcomes = await getHitRates();
+
         return res.json({
             status: "success",
             data: {
                 totalRecommendations,
                 byRiskLevel,
                 topStocks: enrichedTopStocks,
-                recentRecommendations
+                recentRecommendations,
+                outcomes
             }
         });
     } catch (error) {
@@ -446,6 +628,112 @@ exports.getRecommendationAnalytics = async (req, res) => {
     }
 };
 
+/**
+ * List scoring strategies (all versions)
+ * GET /api/admin/strategies
+ */
+exports.getStrategies = async (req, res) => {
+    try {
+        const strategies = await scoringStrategy.listStrategies();
+
+        return res.json({
+            status: "success",
+            data: strategies
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Save the next version of a scoring strategy
+ * POST /api/admin/strategies
+ * Body: { name, description, weights: { sector, riskAlignment, ... }, options: { useHistoricalRisk, useFeedback } }
+ */
+exports.createStrategy = async (req, res) => {
+    try {
+        const { name, description, weights, options } = req.body;
+
+        const result = await scoringStrategy.createStrategyVersion({ name, description, weights, options });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.status(201).json({
+            status: "success",
+            message: `Strategy ${scoringStrategy.getStrategyKey(result.strategy)} created`,
+            data: result.strategy
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * List experiments with per-arm view and feedback rates
+ * GET /api/admin/experiments
+ */
+exports.getExperiments = async (req, res) => {
+    try {
+        const experiments = await experimentService.listExperiments();
+
+        return res.json({
+            status: "success",
+            data: experiments
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Start an A/B experiment (stops the running one)
+ * POST /api/admin/experiments
+ * Body: { name, description, arms: [{ name, strategyName, strategyVersion, weight }] }
+ */
+exports.createExperiment = async (req, res) => {
+    try {
+        const { name, description, arms } = req.body;
+
+        const result = await experimentService.createExperiment({ name, description, arms });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.status(201).json({
+            status: "success",
+            message: "Experiment started",
+            data: result.experiment
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
+/**
+ * Stop an experiment
+ * POST /api/admin/experiments/:experimentId/stop
+ */
+exports.stopExperiment = async (req, res) => {
+    try {
+        const result = await experimentService.stopExperiment(req.params.experimentId);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.json({
+            status: "success",
+            message: "Experiment stopped",
+            data: result.experiment
+        });
+    } catch (error) {
+        return res.status(500).json({ status: "error", message: error.message });
+    }
+};
+
 /**
  * Get watchlist analytics
  * GET /api/admin/watchlist-analytics
@@ -477,7 +765,7 @@ exports.getWatchlistAnalytics = async (req, res) => {
         // Enrich stock names
         const enrichedTopWatchedStocks = topWatchedStocks.map(stock => ({
             ...stock,
-            name: stockNameEnrichment.staticNames[stock._id] || stock.name || stock._id
+            name: securityMaster.getName(stock._id) || stock.name || stock._id
         }));
 
         // Get alert statistics
@@ -549,6 +837,10 @@ exports.getPortfolioAnalytics = async (req, res) => {
             {
                 $unwind: "$transactions"
             },
+            {
+                // Dividends and splits are not trades
+                $match: { "transactions.type": { $in: ["buy", "sell"] } }
+            },
             {
                 $group: {
                     _id: "$transactions.symbol",
@@ -574,7 +866,7 @@ exports.getPortfolioAnalytics = async (req, res) => {
         // Enrich stock names for traded stocks
         const enrichedTopTradedStocks = topTradedStocks.map(stock => ({
             ...stock,
-            name: stockNameEnrichment.staticNames[stock._id] || stock._id
+            name: securityMaster.getName(stock._id) || stock._id
         }));
 
         // Get recent transactions
@@ -618,7 +910,7 @@ exports.getPortfolioAnalytics = async (req, res) => {
             ...transaction,
             transactions: {
                 ...transaction.transactions,
-                name: stockNameEnrichment.staticNames[transaction.transactions.symbol] || transaction.transactions.symbol
+                name: securityMaster.getName(transaction.transactions.symbol) || transaction.transactions.symbol
             }
         }));
 
@@ -652,27 +944,13 @@ exports.getMonitoringStats = async (req, res) => {
         }
 
         // Get additional monitoring details
-        const alertsWithDetails = await Watchlist.aggregate([
+        const alertsWithDetails = await AlertRule.aggregate([
             {
-                $match: {
-                    "priceAlert.enabled": true,
-                    "priceAlert.targetPrice": { $exists: true, $ne: null }
-                }
-            },
-            {
-                $lookup: {
-                    from: "users",
-                    localField: "userId",
-                    foreignField: "_id",
-                    as: "user"
-                }
-            },
-            {
-                $unwind: "$user"
+                $match: { enabled: true }
             },
             {
                 $group: {
-                    _id: "$priceAlert.condition",
+                    _id: "$type",
                     count: { $sum: 1 },
                     symbols: { $addToSet: "$symbol" }
                 }
@@ -681,18 +959,17 @@ exports.getMonitoringStats = async (req, res) => {
 
         // Get recent alert performance
         const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        const recentAlertPerformance = await Notification.aggregate([
+        const recentAlertPerformance = await AlertFiring.aggregate([
             {
                 $match: {
-                    type: "price_alert",
-                    createdAt: { $gte: last24Hours }
+                    firedAt: { $gte: last24Hours }
                 }
             },
             {
                 $group: {
                     _id: {
-                        hour: { $hour: "$createdAt" },
-                        symbol: "$metadata.symbol"
+                        hour: { $hour: "$firedAt" },
+                        symbol: "$symbol"
                     },
                     count: { $sum: 1 }
                 }
@@ -713,14 +990,14 @@ exports.getMonitoringStats = async (req, res) => {
             status: "success",
             data: {
                 ...stats,
-                alertsByCondition: alertsWithDetails,
+                alertsByType: alertsWithDetails,
                 recentAlertPerformance,
-                monitoringStatus: "24/7 Active",
+                monitoringStatus: `Every ${marketCalendar.getMonitoringInterval()} minutes`,
+                markets: marketCalendar.getAllMarketStatuses(),
                 schedules: {
-                    base: "Every 5 minutes (24/7)",
-                    marketHours: "Every 2 minutes (9AM-4PM EST, Mon-Fri)",
-                    extendedHours: "Every 10 minutes (4PM-9AM EST, Mon-Fri)",
-                    weekends: "Every 15 minutes (Sat-Sun)"
+                    marketHours: `Every ${marketCalendar.MONITORING_INTERVALS.open} minutes (US or NGX regular session)`,
+                    extendedHours: `Every ${marketCalendar.MONITORING_INTERVALS.extended} minutes (US pre-market and after-hours)`,
+                    closed: `Every ${marketCalendar.MONITORING_INTERVALS.closed} minutes (nights, weekends and holidays)`
                 }
             }
         });
@@ -2,6 +2,24 @@ const recommendationEngine = require("../services/recommendation.engine.v2");
 const FinnhubAdapter = require("../services/adapters/finnhubAdapter");
 const AlphaVantageAdapter = require("../services/adapters/alphaVantageAdapter");
 const { createRecommendationNotification } = require("../services/notification.service");
+const mongoose = require("mongoose");
+const RecommendationSession = require("../models/recommendationSession.models");
+const portfolioTrading = require("../services/portfolioTrading.service");
+const recommendationSimulation = require("../services/recommendationSimulation.service");
+const recommendationOutcomes = require("../services/recommendationOutcomes.service");
+const { logManualActivity } = require("../middleware/activityLogger");
+
+/**
+ * Activity details that tie a recommendation event to its strategy and experiment arm
+ */
+function getExperimentDetails(session) {
+    return {
+        sessionId: String(session._id),
+        strategy: session.strategy ? `${session.strategy.name}@v${session.strategy.version}` : null,
+        experimentId: session.experiment?.experimentId ? String(session.experiment.experimentId) : null,
+        arm: session.experiment?.arm || null
+    };
+}
 
 /**
  * Generate new personalized recommendations
@@ -13,6 +31,8 @@ exports.generateRecommendations = async (req, res) => {
 
         const session = await recommendationEngine.generateRecommendations(userId);
 
+        logManualActivity(req, "recommendation_generate", getExperimentDetails(session));
+
         // Create notification
         await createRecommendationNotification(
             userId,
@@ -88,6 +108,39 @@ exports.getRecommendationHistory = async (req, res) => {
     }
 };
 
+/**
+ * How the user's recommended picks have performed
+ * GET /api/recommendations/performance?since=YYYY-MM-DD (defaults to the last 3 months)
+ */
+exports.getPickPerformance = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const since = req.query.since
+            ? new Date(req.query.since)
+            : new Date(Date.now() - 91 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(since.getTime())) {
+            return res.status(400).json({
+                status: "error",
+                message: "Since must be a valid date"
+            });
+        }
+
+        const performance = await recommendationOutcomes.getUserPickPerformance(userId, since);
+
+        return res.json({
+            status: "success",
+            data: performance
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
 /**
  * Get trending stocks
  * GET /api/recommendations/trending
@@ -133,8 +186,6 @@ exports.markAsViewed = async (req, res) => {
         const { sessionId } = req.params;
         const userId = req.user.userId;
 
-        const RecommendationSession = require("../models/recommendationSession.models");
-        
         const session = await RecommendationSession.findOneAndUpdate(
             { _id: sessionId, userId },
             { viewed: true, viewedAt: new Date() },
@@ -148,6 +199,8 @@ exports.markAsViewed = async (req, res) => {
             });
         }
 
+        logManualActivity(req, "recommendation_view", getExperimentDetails(session));
+
         return res.json({
             status: "success",
             message: "Marked as viewed",
@@ -161,6 +214,197 @@ exports.markAsViewed = async (req, res) => {
     }
 };
 
+const FEEDBACK_RATINGS = ["like", "dislike", "already_own", "not_interested"];
+
+/**
+ * Rate a recommendation; ratings re-rank the next generation
+ * PUT /api/recommendations/:sessionId/:symbol/feedback
+ * Body: { rating: "like" | "dislike" | "already_own" | "not_interested" | null }
+ */
+exports.submitFeedback = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const symbol = req.params.symbol.toUpperCase();
+        const userId = req.user.userId;
+        const { rating } = req.body;
+
+        if (rating !== null && !FEEDBACK_RATINGS.includes(rating)) {
+            return res.status(400).json({
+                status: "error",
+                message: `Rating must be one of ${FEEDBACK_RATINGS.join(", ")}, or null to clear it`
+            });
+        }
+
+        const session = mongoose.isValidObjectId(sessionId)
+            ? await RecommendationSession.findOne({ _id: sessionId, userId })
+            : null;
+
+        if (!session) {
+            return res.status(404).json({
+                status: "error",
+                message: "Recommendation session not found"
+            });
+        }
+
+        const recommendation = session.recommendations.find(r => r.symbol === symbol);
+
+        if (!recommendation) {
+            return res.status(404).json({
+                status: "error",
+                message: `${symbol} is not in this recommendation session`
+            });
+        }
+
+        recommendation.feedback = rating ? { rating, ratedAt: new Date() } : undefined;
+        await session.save();
+
+        logManualActivity(req, "recommendation_feedback", {
+            ...getExperimentDetails(session),
+            symbol,
+            rating
+        });
+
+        return res.json({
+            status: "success",
+            message: rating ? "Feedback saved" : "Feedback cleared",
+            data: {
+                sessionId: session._id,
+                symbol,
+                feedback: recommendation.feedback || null
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Explain how a recommendation was scored
+ * GET /api/recommendations/:sessionId/:symbol/explain
+ */
+exports.explainRecommendation = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const symbol = req.params.symbol.toUpperCase();
+        const userId = req.user.userId;
+
+        const session = mongoose.isValidObjectId(sessionId)
+            ? await RecommendationSession.findOne({ _id: sessionId, userId }).lean()
+            : null;
+
+        if (!session) {
+            return res.status(404).json({
+                status: "error",
+                message: "Recommendation session not found"
+            });
+        }
+
+        const recommendation = session.recommendations.find(r => r.symbol === symbol);
+
+        if (!recommendation) {
+            return res.status(404).json({
+                status: "error",
+                message: `${symbol} is not in this recommendation session`
+            });
+        }
+
+        // Sessions generated before breakdowns were stored only have the reasons
+        const breakdown = recommendation.scoreBreakdown?.length > 0
+            ? recommendation.scoreBreakdown.map(({ _id, ...factor }) => factor)
+            : null;
+
+        return res.json({
+            status: "success",
+            data: {
+                sessionId: session._id,
+                generatedAt: session.generatedAt,
+                symbol,
+                name: recommendation.name,
+                matchScore: recommendation.matchScore,
+                maxScore: breakdown ? breakdown.reduce((sum, factor) => sum + factor.maxPoints, 0) : null,
+                matchReasons: recommendation.matchReasons,
+                breakdown,
+                risk: recommendation.risk || null,
+                profileInputs: session.profileSnapshot
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Buy a session's recommended basket into the virtual portfolio at live prices
+ * POST /api/recommendations/:sessionId/simulate?portfolioId=
+ * Body: { sizing: "allocation" | "positionSize", amount } (both optional)
+ */
+exports.simulateSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const userId = req.user.userId;
+        const { sizing = "allocation" } = req.body;
+        const amount = portfolioTrading.parseLimitPrice(req.body.amount);
+
+        const session = mongoose.isValidObjectId(sessionId)
+            ? await RecommendationSession.findOne({ _id: sessionId, userId })
+            : null;
+
+        if (!session) {
+            return res.status(404).json({
+                status: "error",
+                message: "Recommendation session not found"
+            });
+        }
+
+        if (amount === null) {
+            return res.status(400).json({
+                status: "error",
+                message: "Amount must be positive"
+            });
+        }
+
+        const portfolio = await portfolioTrading.findUserPortfolio(userId, req.query.portfolioId);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                status: "error",
+                message: "Portfolio not found"
+            });
+        }
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const result = await recommendationSimulation.simulateSession(portfolio, session, {
+            sizing,
+            amount,
+            settings
+        });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
+        return res.json({
+            status: "success",
+            message: `Bought ${result.bought.length} of ${session.recommendations.length} recommendations`,
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
 /**
  * Clear recommendation cache (for testing/debugging)
  * DELETE /api/recommendations/cache
@@ -1,5 +1,6 @@
 const priceAggregator = require("../services/priceAggregator.service");
 const providerManager = require("../services/providerManager.service");
+const marketCalendar = require("../services/marketCalendar.service");
 
 /**
  * Search stocks by query
@@ -77,6 +78,7 @@ exports.getStockDetails = async (req, res) => {
             currency: quote.currency || "USD",
             timestamp: quote.timestamp,
             provider: quote.metadata?.provider,
+            marketStatus: marketCalendar.getMarketStatus(quote.exchange || companyProfile?.exchange),
             
             // Additional company details if available
             ...(companyProfile && {
@@ -1,94 +1,388 @@
+const mongoose = require("mongoose");
 const VirtualPortfolio = require("../models/virtualPortfolio.models");
-const priceAggregator = require("../services/priceAggregator.service");
-const stockNameEnrichment = require("../services/stockNameEnrichment.service");
+const PortfolioSnapshot = require("../models/portfolioSnapshot.models");
+const PortfolioSettings = require("../models/portfolioSettings.models");
+const portfolioTrading = require("../services/portfolioTrading.service");
+const pendingOrders = require("../services/pendingOrders.service");
+const portfolioPerformance = require("../services/portfolioPerformance.service");
+const benchmarkService = require("../services/benchmark.service");
+const portfolioImportExport = require("../services/portfolioImportExport.service");
+const portfolioAnalytics = require("../services/portfolioAnalytics.service");
+const rebalancing = require("../services/rebalancing.service");
+const currencyService = require("../services/currency.service");
+const { PLATFORM_FEE_PROFILES } = require("../services/tradingCosts.service");
+const { calculatePortfolioValue, getReservedCash } = portfolioPerformance;
+
+const MAX_PORTFOLIOS = 10;
+
+/**
+ * Resolve the portfolio a request refers to
+ * Uses ?portfolioId= when given, otherwise the user's default portfolio
+ * @returns {Promise<Object|null>} Portfolio, or null if it does not belong to the user
+ */
+async function getRequestedPortfolio(req) {
+    return portfolioTrading.findUserPortfolio(req.user.userId, req.query.portfolioId);
+}
 
 /**
- * Get or create portfolio
+ * Parse a starting cash amount
+ * @returns {Number|undefined|null} Amount, undefined if not given, null if invalid
  */
-async function getOrCreatePortfolio(userId) {
-    let portfolio = await VirtualPortfolio.findOne({ userId });
-    
-    if (!portfolio) {
-        portfolio = await VirtualPortfolio.create({ userId });
+function parseInitialCash(value) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > 10000000) {
+        return null;
     }
-    
-    return portfolio;
+    return amount;
+}
+
+/**
+ * Summary fields for portfolio lists
+ */
+function summarizePortfolio(portfolio) {
+    return {
+        _id: portfolio._id,
+        name: portfolio.name,
+        isDefault: portfolio.isDefault,
+        initialCash: portfolio.initialCash,
+        availableCash: portfolio.availableCash,
+        holdingsCount: portfolio.holdings.length,
+        createdAt: portfolio.createdAt
+    };
 }
 
+const OVERVIEW_AMOUNT_FIELDS = [
+    "initialCash",
+    "availableCash",
+    "totalValue",
+    "totalReturn",
+    "realizedPnL",
+    "unrealizedPnL",
+    "dividendIncome",
+    "reservedCash"
+];
+
+const HOLDING_AMOUNT_FIELDS = [
+    "averagePrice",
+    "totalCost",
+    "currentPrice",
+    "currentValue",
+    "totalReturn",
+    "unrealizedPnL",
+    "realizedPnL",
+    "dividendIncome"
+];
+
 /**
- * Calculate portfolio value with current prices
+ * Resolve the currency to show amounts in (?currency=, else the user's setting)
+ * @returns {Promise<Object>} { success, fx } or { success: false, statusCode, error }
  */
-async function calculatePortfolioValue(portfolio) {
-    if (portfolio.holdings.length === 0) {
+async function getDisplayRate(req, settings) {
+    const requested = req.query.currency ?? settings.displayCurrency;
+    const currency = typeof requested === "string" ? requested.toUpperCase() : null;
+
+    if (!currencyService.SUPPORTED_CURRENCIES.includes(currency)) {
         return {
-            totalValue: portfolio.availableCash,
-            totalReturn: 0,
-            totalReturnPercent: 0,
-            holdings: []
+            success: false,
+            statusCode: 400,
+            error: `Currency must be one of ${currencyService.SUPPORTED_CURRENCIES.join(", ")}`
         };
     }
 
-    // Fetch current prices for all holdings
-    const symbols = portfolio.holdings.map(h => h.symbol);
-    const quotes = await Promise.all(
-        symbols.map(symbol => 
-            priceAggregator.getAggregatedQuote(symbol)
-                .catch(() => null)
-        )
-    );
-
-    // Calculate current value for each holding
-    const enrichedHoldings = portfolio.holdings.map((holding, index) => {
-        const quote = quotes[index];
-        const currentPrice = quote?.price || holding.averagePrice;
-        const currentValue = holding.quantity * currentPrice;
-        const totalReturn = currentValue - holding.totalCost;
-        const returnPercent = (totalReturn / holding.totalCost) * 100;
+    try {
+        return { success: true, fx: await currencyService.getUsdRate(currency) };
+    } catch (error) {
+        return { success: false, statusCode: 503, error: `Exchange rate for ${currency} is unavailable` };
+    }
+}
 
-        return {
-            ...holding.toObject(),
-            currentPrice,
-            currentValue,
-            totalReturn,
-            returnPercent
-        };
-    });
+/**
+ * Resolve the fee profile for a trade (body.platform, else the user's setting)
+ * @returns {String|null} Platform key, or null if unknown
+ */
+function getTradePlatform(req, settings) {
+    const requested = req.body.platform ?? settings.tradingPlatform;
+    if (typeof requested !== "string") return null;
 
-    // Calculate total portfolio value
-    const holdingsValue = enrichedHoldings.reduce((sum, h) => sum + h.currentValue, 0);
-    const totalValue = holdingsValue + portfolio.availableCash;
-    const totalReturn = totalValue - portfolio.initialCash;
-    const totalReturnPercent = (totalReturn / portfolio.initialCash) * 100;
+    const platform = requested.toLowerCase();
+    return PLATFORM_FEE_PROFILES[platform] ? platform : null;
+}
 
-    return {
-        totalValue,
-        totalReturn,
-        totalReturnPercent,
-        holdings: enrichedHoldings
-    };
+/**
+ * Message for a duplicate-key error on a portfolio write
+ * A clash on userId alone means the legacy one-portfolio index is still in place
+ */
+function getDuplicatePortfolioMessage(error) {
+    return error.keyPattern?.name
+        ? "A portfolio with this name already exists"
+        : "Multiple portfolios are not available until the portfolio migration has run";
 }
 
+const PORTFOLIO_NOT_FOUND = {
+    status: "error",
+    message: "Portfolio not found"
+};
+
+/**
+ * List the user's portfolios
+ * GET /api/portfolio/portfolios
+ */
+exports.listPortfolios = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        // Make sure every user has at least their default portfolio
+        await portfolioTrading.getOrCreateDefaultPortfolio(userId);
+
+        const portfolios = await VirtualPortfolio.find({ userId }).sort({ createdAt: 1 });
+
+        return res.json({
+            status: "success",
+            data: portfolios.map(summarizePortfolio)
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Create a portfolio
+ * POST /api/portfolio/portfolios
+ * Body: { name, initialCash? }
+ */
+exports.createPortfolio = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+        const initialCash = parseInitialCash(req.body.initialCash);
+
+        if (!name) {
+            return res.status(400).json({
+                status: "error",
+                message: "Portfolio name is required"
+            });
+        }
+
+        if (initialCash === null) {
+            return res.status(400).json({
+                status: "error",
+                message: "Initial cash must be a positive amount up to 10,000,000"
+            });
+        }
+
+        const existing = await VirtualPortfolio.find({ userId }).select("name");
+
+        if (existing.length >= MAX_PORTFOLIOS) {
+            return res.status(400).json({
+                status: "error",
+                message: `You can have at most ${MAX_PORTFOLIOS} portfolios`
+            });
+        }
+
+        if (existing.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+            return res.status(400).json({
+                status: "error",
+                message: "A portfolio with this name already exists"
+            });
+        }
+
+        const cash = initialCash ?? 10000;
+        const portfolio = await VirtualPortfolio.create({
+            userId,
+            name,
+            initialCash: cash,
+            availableCash: cash,
+            totalValue: cash,
+            isDefault: existing.length === 0
+        });
+
+        return res.status(201).json({
+            status: "success",
+            message: "Portfolio created",
+            data: summarizePortfolio(portfolio)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                status: "error",
+                message: getDuplicatePortfolioMessage(error)
+            });
+        }
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Rename a portfolio or make it the default
+ * PATCH /api/portfolio/portfolios/:portfolioId
+ * Body: { name?, isDefault? }
+ */
+exports.updatePortfolio = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { portfolioId } = req.params;
+        const { isDefault } = req.body;
+
+        if (!mongoose.isValidObjectId(portfolioId)) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const portfolio = await VirtualPortfolio.findOne({ _id: portfolioId, userId });
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        if (req.body.name !== undefined) {
+            const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+            if (!name) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Portfolio name is required"
+                });
+            }
+
+            const others = await VirtualPortfolio.find({ userId, _id: { $ne: portfolio._id } }).select("name");
+            const duplicate = others.some(p => p.name.toLowerCase() === name.toLowerCase());
+
+            if (duplicate) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "A portfolio with this name already exists"
+                });
+            }
+
+            portfolio.name = name;
+        }
+
+        if (isDefault === true && !portfolio.isDefault) {
+            await VirtualPortfolio.updateMany({ userId, isDefault: true }, { isDefault: false });
+            portfolio.isDefault = true;
+        }
+
+        await portfolio.save();
+
+        return res.json({
+            status: "success",
+            message: "Portfolio updated",
+            data: summarizePortfolio(portfolio)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                status: "error",
+                message: getDuplicatePortfolioMessage(error)
+            });
+        }
+
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Delete a portfolio and its snapshots
+ * DELETE /api/portfolio/portfolios/:portfolioId
+ */
+exports.deletePortfolio = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { portfolioId } = req.params;
+
+        if (!mongoose.isValidObjectId(portfolioId)) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const portfolio = await VirtualPortfolio.findOneAndDelete({ _id: portfolioId, userId });
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        await PortfolioSnapshot.deleteMany({ portfolioId: portfolio._id });
+
+        // Promote the oldest remaining portfolio if the default was deleted
+        if (portfolio.isDefault) {
+            await VirtualPortfolio.findOneAndUpdate(
+                { userId },
+                { isDefault: true },
+                { sort: { createdAt: 1 } }
+            );
+        }
+
+        return res.json({
+            status: "success",
+            message: "Portfolio deleted"
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
 /**
  * Get portfolio overview
- * GET /api/portfolio/overview
+ * GET /api/portfolio/overview?currency=USD|NGN
  */
 exports.getOverview = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const portfolio = await getOrCreatePortfolio(userId);
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const display = await getDisplayRate(req, settings);
+
+        if (!display.success) {
+            return res.status(display.statusCode).json({
+                status: "error",
+                message: display.error
+            });
+        }
 
         const calculated = await calculatePortfolioValue(portfolio);
 
+        const overview = {
+            portfolioId: portfolio._id,
+            name: portfolio.name,
+            initialCash: portfolio.initialCash,
+            availableCash: portfolio.availableCash,
+            totalValue: calculated.totalValue,
+            totalReturn: calculated.totalReturn,
+            totalReturnPercent: calculated.totalReturnPercent,
+            realizedPnL: calculated.realizedPnL,
+            unrealizedPnL: calculated.unrealizedPnL,
+            dividendIncome: calculated.dividendIncome,
+            reservedCash: getReservedCash(portfolio),
+            holdingsCount: portfolio.holdings.length,
+            transactionsCount: portfolio.transactions.length,
+            pendingOrdersCount: portfolio.pendingOrders.filter(o => o.status === "pending").length
+        };
+
         return res.json({
             status: "success",
             data: {
-                initialCash: portfolio.initialCash,
-                availableCash: portfolio.availableCash,
-                totalValue: calculated.totalValue,
-                totalReturn: calculated.totalReturn,
-                totalReturnPercent: calculated.totalReturnPercent,
-                holdingsCount: portfolio.holdings.length,
-                transactionsCount: portfolio.transactions.length
+                ...currencyService.convertAmounts(overview, OVERVIEW_AMOUNT_FIELDS, display.fx.rate),
+                currency: display.fx.currency,
+                exchangeRate: display.fx
             }
         });
     } catch (error) {
@@ -101,21 +395,49 @@ exports.getOverview = async (req, res) => {
 
 /**
  * Get portfolio holdings
- * GET /api/portfolio/holdings
+ * GET /api/portfolio/holdings?currency=USD|NGN
  */
 exports.getHoldings = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const portfolio = await getOrCreatePortfolio(userId);
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const display = await getDisplayRate(req, settings);
+
+        if (!display.success) {
+            return res.status(display.statusCode).json({
+                status: "error",
+                message: display.error
+            });
+        }
 
         const calculated = await calculatePortfolioValue(portfolio);
+        const rate = display.fx.rate;
+
+        const holdings = calculated.holdings.map(holding => ({
+            ...currencyService.convertAmounts(holding, HOLDING_AMOUNT_FIELDS, rate),
+            lots: (holding.lots || []).map(lot => currencyService.convertAmounts(lot, ["price"], rate))
+        }));
 
         return res.json({
             status: "success",
             data: {
-                holdings: calculated.holdings,
-                availableCash: portfolio.availableCash,
-                totalValue: calculated.totalValue
+                holdings,
+                ...currencyService.convertAmounts({
+                    availableCash: portfolio.availableCash,
+                    totalValue: calculated.totalValue,
+                    realizedPnL: calculated.realizedPnL,
+                    unrealizedPnL: calculated.unrealizedPnL,
+                    dividendIncome: calculated.dividendIncome
+                }, OVERVIEW_AMOUNT_FIELDS, rate),
+                costBasisMethod: settings.costBasisMethod,
+                currency: display.fx.currency,
+                exchangeRate: display.fx
             }
         });
     } catch (error) {
@@ -127,90 +449,87 @@ exports.getHoldings = async (req, res) => {
 };
 
 /**
- * Add holding (buy stock)
+ * Add holding (buy stock at the live market price)
  * POST /api/portfolio/holdings
+ * Body: { symbol, quantity | amount, price?, platform? } - amount is cash to spend (fees included),
+ * price is an optional limit (max price to pay), platform overrides the user's fee profile
  */
 exports.addHolding = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { symbol, quantity, price } = req.body;
+        const { symbol } = req.body;
+        const hasQuantity = req.body.quantity !== undefined && req.body.quantity !== "";
+        const hasAmount = req.body.amount !== undefined && req.body.amount !== "";
 
         // Validation
-        if (!symbol || !quantity || !price) {
+        if (!symbol || hasQuantity === hasAmount) {
             return res.status(400).json({
                 status: "error",
-                message: "Symbol, quantity, and price are required"
+                message: "Symbol and either quantity or amount are required"
             });
         }
 
-        if (quantity <= 0 || price <= 0) {
+        const quantity = hasQuantity ? portfolioTrading.parseQuantity(req.body.quantity) : undefined;
+        const amount = hasAmount ? portfolioTrading.parseLimitPrice(req.body.amount) : undefined;
+        const limitPrice = portfolioTrading.parseLimitPrice(req.body.price);
+
+        if (quantity === null || amount === null || limitPrice === null) {
             return res.status(400).json({
                 status: "error",
-                message: "Quantity and price must be positive"
+                message: "Quantity, amount and price must be positive"
             });
         }
 
-        const portfolio = await getOrCreatePortfolio(userId);
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
 
-        const totalCost = quantity * price;
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const platform = getTradePlatform(req, settings);
 
-        // Check if user has enough cash
-        if (totalCost > portfolio.availableCash) {
+        if (!platform) {
             return res.status(400).json({
                 status: "error",
-                message: "Insufficient cash"
+                message: `Platform must be one of ${Object.keys(PLATFORM_FEE_PROFILES).join(", ")}`
             });
         }
 
-        // Get stock name
-        const FinnhubAdapter = require("../services/adapters/finnhubAdapter");
-        const adapters = {
-            finnhub: new FinnhubAdapter(process.env.FINNHUB_API_KEY)
-        };
-        const enriched = await stockNameEnrichment.enrichStockName({ symbol, name: symbol }, adapters);
-
-        // Check if holding already exists
-        const existingHolding = portfolio.holdings.find(h => h.symbol === symbol);
-
-        if (existingHolding) {
-            // Update existing holding (average price)
-            const newTotalCost = existingHolding.totalCost + totalCost;
-            const newQuantity = existingHolding.quantity + quantity;
-            const newAveragePrice = newTotalCost / newQuantity;
+        const precisionError = hasQuantity
+            ? portfolioTrading.checkQuantityPrecision(quantity, settings.fractionalShares)
+            : null;
 
-            existingHolding.quantity = newQuantity;
-            existingHolding.averagePrice = newAveragePrice;
-            existingHolding.totalCost = newTotalCost;
-        } else {
-            // Add new holding
-            portfolio.holdings.push({
-                symbol,
-                name: enriched.name,
-                quantity,
-                averagePrice: price,
-                totalCost
+        if (precisionError) {
+            return res.status(400).json({
+                status: "error",
+                message: precisionError
             });
         }
 
-        // Deduct cash
-        portfolio.availableCash -= totalCost;
-
-        // Add transaction
-        portfolio.transactions.push({
-            type: "buy",
-            symbol,
-            name: enriched.name,
+        const result = await portfolioTrading.executeMarketBuy(portfolio, {
+            symbol: symbol.toUpperCase(),
             quantity,
-            price,
-            total: totalCost
+            amount,
+            limitPrice,
+            platform,
+            fractional: settings.fractionalShares
         });
 
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
         await portfolio.save();
 
         return res.json({
             status: "success",
             message: "Stock added to portfolio",
-            data: portfolio
+            data: portfolio,
+            fill: result.transaction
         });
     } catch (error) {
         return res.status(500).json({
@@ -221,71 +540,81 @@ exports.addHolding = async (req, res) => {
 };
 
 /**
- * Remove holding (sell stock)
+ * Remove holding (sell stock at the live market price)
  * DELETE /api/portfolio/holdings/:symbol
+ * Body: { quantity, price?, platform? } - price is an optional limit (min price to accept),
+ * platform overrides the user's fee profile
  */
 exports.removeHolding = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { symbol } = req.params;
-        const { quantity, price } = req.body;
+        const symbol = req.params.symbol.toUpperCase();
 
-        if (!quantity || !price) {
+        if (!req.body.quantity) {
             return res.status(400).json({
                 status: "error",
-                message: "Quantity and price are required"
+                message: "Quantity is required"
             });
         }
 
-        const portfolio = await getOrCreatePortfolio(userId);
+        const quantity = portfolioTrading.parseQuantity(req.body.quantity);
+        const limitPrice = portfolioTrading.parseLimitPrice(req.body.price);
 
-        const holding = portfolio.holdings.find(h => h.symbol === symbol);
-
-        if (!holding) {
-            return res.status(404).json({
+        if (quantity === null || limitPrice === null) {
+            return res.status(400).json({
                 status: "error",
-                message: "Holding not found"
+                message: "Quantity and price must be positive"
             });
         }
 
-        if (quantity > holding.quantity) {
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const platform = getTradePlatform(req, settings);
+
+        if (!platform) {
             return res.status(400).json({
                 status: "error",
-                message: "Cannot sell more than you own"
+                message: `Platform must be one of ${Object.keys(PLATFORM_FEE_PROFILES).join(", ")}`
             });
         }
 
-        const totalProceeds = quantity * price;
+        // Sells may close out fractional holdings even when fractional buys are off
+        const precisionError = portfolioTrading.checkQuantityPrecision(quantity, true);
 
-        // Update or remove holding
-        if (quantity === holding.quantity) {
-            // Remove entire holding
-            portfolio.holdings = portfolio.holdings.filter(h => h.symbol !== symbol);
-        } else {
-            // Reduce quantity
-            holding.quantity -= quantity;
-            holding.totalCost = holding.quantity * holding.averagePrice;
+        if (precisionError) {
+            return res.status(400).json({
+                status: "error",
+                message: precisionError
+            });
         }
 
-        // Add cash
-        portfolio.availableCash += totalProceeds;
-
-        // Add transaction
-        portfolio.transactions.push({
-            type: "sell",
+        const result = await portfolioTrading.executeMarketSell(portfolio, {
             symbol,
-            name: holding.name,
             quantity,
-            price,
-            total: totalProceeds
+            limitPrice,
+            costBasisMethod: settings.costBasisMethod,
+            platform
         });
 
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
         await portfolio.save();
 
         return res.json({
             status: "success",
             message: "Stock sold",
-            data: portfolio
+            data: portfolio,
+            fill: result.transaction
         });
     } catch (error) {
         return res.status(500).json({
@@ -301,10 +630,13 @@ exports.removeHolding = async (req, res) => {
  */
 exports.getTransactions = async (req, res) => {
     try {
-        const userId = req.user.userId;
         const { limit = 50 } = req.query;
 
-        const portfolio = await getOrCreatePortfolio(userId);
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
 
         const transactions = portfolio.transactions
             .sort((a, b) => b.date - a.date)
@@ -323,25 +655,610 @@ exports.getTransactions = async (req, res) => {
 };
 
 /**
- * Reset portfolio
- * POST /api/portfolio/reset
+ * Export the full transaction history
+ * GET /api/portfolio/transactions/export?format=csv|json
  */
-exports.resetPortfolio = async (req, res) => {
+exports.exportTransactions = async (req, res) => {
+    try {
+        const format = (req.query.format || "csv").toLowerCase();
+
+        if (!["csv", "json"].includes(format)) {
+            return res.status(400).json({
+                status: "error",
+                message: "Format must be 'csv' or 'json'"
+            });
+        }
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const slug = portfolio.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "portfolio";
+        const filename = `${slug}-transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            return res.send(portfolioImportExport.toCsv(portfolio));
+        }
+
+        return res.json({
+            status: "success",
+            data: {
+                portfolioId: portfolio._id,
+                name: portfolio.name,
+                exportedAt: new Date(),
+                transactions: portfolioImportExport.getExportRows(portfolio)
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Import transactions from a broker-style CSV
+ * POST /api/portfolio/transactions/import
+ * Body: raw text/csv, or JSON { csv }
+ * Rows that fail validation are reported and skipped; the rest are applied.
+ * Dated rows are only accepted into a new or just-reset portfolio (409 otherwise)
+ */
+exports.importTransactions = async (req, res) => {
     try {
         const userId = req.user.userId;
+        const csvText = typeof req.body === "string" ? req.body : req.body?.csv;
 
-        await VirtualPortfolio.findOneAndUpdate(
-            { userId },
-            {
-                availableCash: 10000,
-                holdings: [],
-                transactions: [],
-                totalValue: 10000,
-                totalReturn: 0,
-                totalReturnPercent: 0
-            },
-            { upsert: true }
-        );
+        if (!csvText) {
+            return res.status(400).json({
+                status: "error",
+                message: "CSV content is required"
+            });
+        }
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const result = await portfolioImportExport.importCsv(portfolio, csvText, {
+            costBasisMethod: settings.costBasisMethod,
+            fractional: settings.fractionalShares,
+            platform: settings.tradingPlatform
+        });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
+        if (result.imported > 0) {
+            await portfolio.save();
+        }
+
+        return res.json({
+            status: "success",
+            message: `Imported ${result.imported} of ${result.totalRows} rows`,
+            data: {
+                totalRows: result.totalRows,
+                imported: result.imported,
+                failed: result.failed,
+                errors: result.errors
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Place a pending order (limit, stop or stop-limit)
+ * POST /api/portfolio/orders
+ * Body: { symbol, side, orderType, quantity, limitPrice?, stopPrice? }
+ */
+exports.createOrder = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { symbol, side, orderType } = req.body;
+
+        if (!symbol || !side || !orderType || !req.body.quantity) {
+            return res.status(400).json({
+                status: "error",
+                message: "Symbol, side, orderType and quantity are required"
+            });
+        }
+
+        const quantity = portfolioTrading.parseQuantity(req.body.quantity);
+        const limitPrice = portfolioTrading.parseLimitPrice(req.body.limitPrice);
+        const stopPrice = portfolioTrading.parseLimitPrice(req.body.stopPrice);
+
+        if (quantity === null || limitPrice === null || stopPrice === null) {
+            return res.status(400).json({
+                status: "error",
+                message: "Quantity and prices must be positive"
+            });
+        }
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+        const precisionError = portfolioTrading.checkQuantityPrecision(
+            quantity,
+            settings.fractionalShares || side === "sell"
+        );
+
+        if (precisionError) {
+            return res.status(400).json({
+                status: "error",
+                message: precisionError
+            });
+        }
+
+        const result = await pendingOrders.placeOrder(portfolio, {
+            symbol: symbol.toUpperCase(),
+            side,
+            orderType,
+            quantity,
+            limitPrice,
+            stopPrice,
+            platform: settings.tradingPlatform
+        });
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
+        await portfolio.save();
+
+        return res.status(201).json({
+            status: "success",
+            message: "Order placed",
+            data: result.order
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * List orders
+ * GET /api/portfolio/orders?status=pending|filled|cancelled|rejected
+ */
+exports.getOrders = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const orders = portfolio.pendingOrders
+            .filter(o => !status || o.status === status)
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        return res.json({
+            status: "success",
+            data: orders
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Cancel a pending order
+ * DELETE /api/portfolio/orders/:orderId
+ */
+exports.cancelOrder = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const result = pendingOrders.cancelOrder(portfolio, orderId);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
+        await portfolio.save();
+
+        return res.json({
+            status: "success",
+            message: "Order cancelled",
+            data: result.order
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get equity curve and returns
+ * GET /api/portfolio/performance?range=1M|3M|1Y|ALL
+ */
+exports.getPerformance = async (req, res) => {
+    try {
+        const range = (req.query.range || "ALL").toUpperCase();
+
+        if (range !== "ALL" && !portfolioPerformance.RANGE_DAYS[range]) {
+            return res.status(400).json({
+                status: "error",
+                message: "Range must be one of 1M, 3M, 1Y, ALL"
+            });
+        }
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const performance = await portfolioPerformance.getPerformance(portfolio, range);
+
+        return res.json({
+            status: "success",
+            data: performance
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Compare portfolio returns with a benchmark
+ * GET /api/portfolio/benchmark?symbol=SPY|QQQ|AOR&range=1M|3M|1Y|ALL
+ * Without a symbol, the benchmark matching the user's risk level is used
+ */
+exports.getBenchmark = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const range = (req.query.range || "ALL").toUpperCase();
+
+        if (range !== "ALL" && !portfolioPerformance.RANGE_DAYS[range]) {
+            return res.status(400).json({
+                status: "error",
+                message: "Range must be one of 1M, 3M, 1Y, ALL"
+            });
+        }
+
+        const symbol = req.query.symbol
+            ? req.query.symbol.toUpperCase()
+            : await benchmarkService.getProfileBenchmark(userId);
+
+        if (!benchmarkService.BENCHMARKS[symbol]) {
+            return res.status(400).json({
+                status: "error",
+                message: `Benchmark must be one of ${Object.keys(benchmarkService.BENCHMARKS).join(", ")}`
+            });
+        }
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const comparison = await benchmarkService.getBenchmarkComparison(portfolio, symbol, range);
+
+        return res.json({
+            status: "success",
+            data: comparison
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Allocation, concentration and risk analytics, checked against the user's profile
+ * GET /api/portfolio/analytics
+ */
+exports.getAnalytics = async (req, res) => {
+    try {
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const analytics = await portfolioAnalytics.getPortfolioAnalytics(portfolio);
+
+        return res.json({
+            status: "success",
+            data: analytics
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get portfolio settings
+ * GET /api/portfolio/settings
+ */
+exports.getSettings = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const settings = await portfolioTrading.getPortfolioSettings(userId);
+
+        return res.json({
+            status: "success",
+            data: {
+                ...settings,
+                platforms: PLATFORM_FEE_PROFILES
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Update portfolio settings
+ * PUT /api/portfolio/settings
+ * Body: { costBasisMethod?, tradingPlatform?, displayCurrency?, fractionalShares? } - changes apply to future trades only
+ */
+exports.updateSettings = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { costBasisMethod, tradingPlatform, displayCurrency, fractionalShares } = req.body;
+        const updates = {};
+
+        if (costBasisMethod !== undefined) {
+            if (!portfolioTrading.COST_BASIS_METHODS.includes(costBasisMethod)) {
+                return res.status(400).json({
+                    status: "error",
+                    message: "Cost basis method must be 'fifo' or 'average'"
+                });
+            }
+            updates.costBasisMethod = costBasisMethod;
+        }
+
+        if (tradingPlatform !== undefined) {
+            if (!PLATFORM_FEE_PROFILES[tradingPlatform]) {
+                return res.status(400).json({
+                    status: "error",
+                    message: `Trading platform must be one of ${Object.keys(PLATFORM_FEE_PROFILES).join(", ")}`
+                });
+            }
+            updates.tradingPlatform = tradingPlatform;
+        }
+
+        if (displayCurrency !== undefined) {
+            if (!currencyService.SUPPORTED_CURRENCIES.includes(displayCurrency)) {
+                return res.status(400).json({
+                    status: "error",
+                    message: `Display currency must be one of ${currencyService.SUPPORTED_CURRENCIES.join(", ")}`
+                });
+            }
+            updates.displayCurrency = displayCurrency;
+        }
+
+        if (fractionalShares !== undefined) {
+            if (typeof fractionalShares !== "boolean") {
+                return res.status(400).json({
+                    status: "error",
+                    message: "fractionalShares must be true or false"
+                });
+            }
+            updates.fractionalShares = fractionalShares;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                status: "error",
+                message: "No settings to update"
+            });
+        }
+
+        await PortfolioSettings.findOneAndUpdate(
+            { userId },
+            updates,
+            { new: true, upsert: true }
+        );
+
+        return res.json({
+            status: "success",
+            message: "Settings updated",
+            data: await portfolioTrading.getPortfolioSettings(userId)
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get the pending rebalance proposal for a portfolio
+ * GET /api/portfolio/rebalance
+ */
+exports.getRebalanceProposal = async (req, res) => {
+    try {
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const proposal = await rebalancing.getPendingProposal(portfolio);
+
+        return res.json({
+            status: "success",
+            data: proposal
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Compare holdings with the latest recommended allocation and propose trades
+ * POST /api/portfolio/rebalance
+ */
+exports.createRebalanceProposal = async (req, res) => {
+    try {
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const result = await rebalancing.createRebalanceProposal(portfolio);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
+        if (!result.proposal) {
+            return res.json({
+                status: "success",
+                data: {
+                    portfolioValue: result.plan.portfolioValue,
+                    allocations: result.plan.allocations,
+                    trades: []
+                },
+                message: "Portfolio is within its target allocation"
+            });
+        }
+
+        return res.status(201).json({
+            status: "success",
+            data: result.proposal,
+            message: `${result.proposal.trades.length} trades proposed`
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Apply a rebalance proposal's trades at market prices
+ * POST /api/portfolio/rebalance/:proposalId/apply
+ */
+exports.applyRebalanceProposal = async (req, res) => {
+    try {
+        const { proposalId } = req.params;
+
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        const result = await rebalancing.applyRebalanceProposal(portfolio, proposalId);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                status: "error",
+                message: result.error
+            });
+        }
+
+        const executed = result.proposal.results.filter(r => r.success).length;
+
+        return res.json({
+            status: "success",
+            data: {
+                proposal: result.proposal,
+                portfolio: summarizePortfolio(portfolio)
+            },
+            message: `Rebalanced: ${executed} of ${result.proposal.results.length} trades executed`
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Reset portfolio
+ * POST /api/portfolio/reset
+ */
+exports.resetPortfolio = async (req, res) => {
+    try {
+        const portfolio = await getRequestedPortfolio(req);
+
+        if (!portfolio) {
+            return res.status(404).json(PORTFOLIO_NOT_FOUND);
+        }
+
+        // Start again from this portfolio's own starting cash
+        portfolio.set({
+            availableCash: portfolio.initialCash,
+            holdings: [],
+            transactions: [],
+            pendingOrders: [],
+            totalValue: portfolio.initialCash,
+            totalReturn: 0,
+            totalReturnPercent: 0
+        });
+        await portfolio.save();
+
+        // Old snapshots describe a portfolio that no longer exists
+        await PortfolioSnapshot.deleteMany({ portfolioId: portfolio._id });
 
         return res.json({
             status: "success",
@@ -1,4 +1,7 @@
 const Watchlist = require("../models/watchlist.models");
+const AlertRule = require("../models/alertRule.models");
+const alertRules = require("../services/alertRules.service");
+const alertHistory = require("../services/alertHistory.service");
 const priceAggregator = require("../services/priceAggregator.service");
 const { logActivity } = require("../services/activityLogger.service");
 
@@ -36,6 +39,8 @@ exports.addToWatchlist = async (req, res) => {
             priceAlert
         });
 
+        await alertRules.syncPriceAlertRule(watchlistItem);
+
         // Log activity
         logActivity({
             userId,
@@ -150,6 +155,16 @@ exports.getWatchlistWithPrices = async (req, res) => {
 
         const watchlist = await Watchlist.find({ userId }).sort({ addedAt: -1 });
 
+        // Alert rules with their lifecycle status, grouped by watchlist item
+        const now = new Date();
+        const rules = await AlertRule.find({ userId }).sort({ createdAt: 1 }).lean();
+        const alertsByItem = new Map();
+        for (const rule of rules) {
+            const key = String(rule.watchlistId);
+            if (!alertsByItem.has(key)) alertsByItem.set(key, []);
+            alertsByItem.get(key).push({ ...rule, ...alertRules.getRuleStatus(rule, now) });
+        }
+
         // Fetch comprehensive price comparison data for all symbols
         const enrichedWatchlist = await Promise.all(
             watchlist.map(async (item) => {
@@ -164,6 +179,7 @@ exports.getWatchlistWithPrices = async (req, res) => {
                         addedAt: item.addedAt,
                         notes: item.notes,
                         priceAlert: item.priceAlert,
+                        alerts: alertsByItem.get(String(item._id)) || [],
                         
                         // Comprehensive stock data with price comparison
                         symbol: priceComparison.symbol,
@@ -215,6 +231,7 @@ exports.getWatchlistWithPrices = async (req, res) => {
                         addedAt: item.addedAt,
                         notes: item.notes,
                         priceAlert: item.priceAlert,
+                        alerts: alertsByItem.get(String(item._id)) || [],
                         price: null,
                         change: null,
                         changePercent: null,
@@ -261,6 +278,8 @@ exports.removeFromWatchlist = async (req, res) => {
             });
         }
 
+        await AlertRule.deleteMany({ watchlistId: item._id });
+
         // Log activity
         logActivity({
             userId,
@@ -306,6 +325,8 @@ exports.updateWatchlistItem = async (req, res) => {
             });
         }
 
+        await alertRules.syncPriceAlertRule(item);
+
         return res.json({
             status: "success",
             message: "Watchlist item updated",
@@ -318,3 +339,139 @@ exports.updateWatchlistItem = async (req, res) => {
         });
     }
 };
+
+/**
+ * List alert rules on a watchlist item
+ * GET /api/watchlist/:id/alerts
+ */
+exports.getAlertRules = async (req, res) => {
+    try {
+        const result = await alertRules.listAlertRules(req.user.userId, req.params.id);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.json({
+            status: "success",
+            data: result.rules
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Add an alert rule to a watchlist item
+ * POST /api/watchlist/:id/alerts
+ * Body: { type, targetPrice, threshold, direction, referencePrice, mode, cooldownMinutes, expiresAt }
+ *   price_above / price_below: targetPrice
+ *   percent_change_day / percent_move: threshold (%), direction (up | down | either)
+ *   volume_spike: threshold (multiple of average volume, default 2)
+ *   day_high_break / day_low_break: no settings
+ *   mode: one_shot | rearm | cooldown (default, cooldownMinutes defaults to 60)
+ *   expiresAt: optional date after which the alert stops
+ */
+exports.createAlertRule = async (req, res) => {
+    try {
+        const result = await alertRules.createAlertRule(req.user.userId, req.params.id, req.body);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.status(201).json({
+            status: "success",
+            message: "Alert created",
+            data: result.rule
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Update an alert rule
+ * PUT /api/watchlist/:id/alerts/:alertId
+ */
+exports.updateAlertRule = async (req, res) => {
+    try {
+        const result = await alertRules.updateAlertRule(req.user.userId, req.params.id, req.params.alertId, req.body);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.json({
+            status: "success",
+            message: "Alert updated",
+            data: result.rule
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Delete an alert rule
+ * DELETE /api/watchlist/:id/alerts/:alertId
+ */
+exports.deleteAlertRule = async (req, res) => {
+    try {
+        const result = await alertRules.deleteAlertRule(req.user.userId, req.params.id, req.params.alertId);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ status: "error", message: result.error });
+        }
+
+        return res.json({
+            status: "success",
+            message: "Alert deleted"
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Alert firing history for the user, newest first
+ * GET /api/watchlist/alerts/history?symbol=AAPL&alertId=...&from=2026-01-01&to=2026-02-01&page=1&limit=50
+ */
+exports.getAlertHistory = async (req, res) => {
+    try {
+        const { symbol, alertId, from, to } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+            return res.status(400).json({
+                status: "error",
+                message: "from and to must be valid dates"
+            });
+        }
+
+        const result = await alertHistory.listAlertHistory(req.user.userId, { symbol, alertId, from, to, page, limit });
+
+        return res.json({
+            status: "success",
+            data: result
+        });
+    } catch (error) {
+        return res.status(500).json({
+            status: "error",
+            message: error.message
+        });
+    }
+};
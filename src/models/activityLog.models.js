@@ -30,6 +30,7 @@ const ActivityLogSchema = new mongoose.Schema(
                 "portfolio_sell",
                 "recommendation_generate",
                 "recommendation_view",
+                "recommendation_feedback",
                 "notification_read",
                 "notification_create"
             ]
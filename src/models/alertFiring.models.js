@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+/**
+ * Alert Firing Model
+ * One record each time an alert rule fires; monitoring reads the latest
+ * firing per rule to suppress repeats, and users can browse their history.
+ * Firings are kept for ALERT_HISTORY_DAYS; a rule's own lastTriggeredAt
+ * covers cooldowns longer than that.
+ */
+
+const ALERT_HISTORY_DAYS = 90;
+
+const AlertFiringSchema = new mongoose.Schema(
+    {
+        alertRuleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AlertRule",
+            required: true
+        },
+
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+
+        watchlistId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Watchlist"
+        },
+
+        symbol: {
+            type: String,
+            required: true,
+            uppercase: true
+        },
+
+        // Rule settings when it fired
+        type: {
+            type: String,
+            required: true
+        },
+        mode: String,
+        targetPrice: Number,
+        threshold: Number,
+
+        // Market data the rule fired on
+        price: Number,
+        change: Number,
+        changePercent: Number,
+
+        message: String,
+
+        // Null when the user has price alert notifications turned off
+        notificationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Notification"
+        },
+
+        firedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { timestamps: true }
+);
+
+AlertFiringSchema.index({ alertRuleId: 1, firedAt: -1 });
+AlertFiringSchema.index({ userId: 1, firedAt: -1 });
+
+// TTL index: auto-delete firings older than the history window
+AlertFiringSchema.index({ firedAt: 1 }, { expireAfterSeconds: ALERT_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("AlertFiring", AlertFiringSchema);
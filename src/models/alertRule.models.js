@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+
+/**
+ * Alert Rule Model
+ * One alert condition on a watchlist item; an item can have several.
+ * Rules created from the watchlist item's legacy priceAlert have source "priceAlert".
+ */
+const AlertRuleSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        watchlistId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Watchlist",
+            required: true,
+            index: true
+        },
+
+        symbol: {
+            type: String,
+            required: true,
+            uppercase: true
+        },
+
+        type: {
+            type: String,
+            enum: [
+                "price_above",          // price crosses above targetPrice
+                "price_below",          // price crosses below targetPrice
+                "percent_change_day",   // change since last close reaches threshold %
+                "percent_move",         // move from referencePrice reaches threshold %
+                "day_high_break",       // price breaks the day's high
+                "day_low_break",        // price breaks the day's low
+                "volume_spike"          // volume reaches threshold x average daily volume
+            ],
+            required: true
+        },
+
+        targetPrice: Number,
+
+        // Percent for change / move rules, multiple of average volume for volume_spike
+        threshold: Number,
+
+        direction: {
+            type: String,
+            enum: ["up", "down", "either"],
+            default: "either"
+        },
+
+        // Price when a percent_move rule was set
+        referencePrice: Number,
+
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+
+        // What happens after the alert fires
+        mode: {
+            type: String,
+            enum: [
+                "one_shot",     // disabled once it fires
+                "rearm",        // fires again only after the condition clears
+                "cooldown"      // fires again once cooldownMinutes have passed
+            ],
+            default: "cooldown"
+        },
+
+        cooldownMinutes: {
+            type: Number,
+            default: 60
+        },
+
+        // Rules stop being checked after this date
+        expiresAt: Date,
+
+        source: {
+            type: String,
+            enum: ["rule", "priceAlert"],
+            default: "rule"
+        },
+
+        // Monitoring state
+        lastPrice: Number,
+        lastDayHigh: Number,
+        lastDayLow: Number,
+        lastEvaluatedAt: Date,
+        lastTriggeredAt: Date,
+        // rearm mode: false while the condition that fired still holds
+        armed: {
+            type: Boolean,
+            default: true
+        },
+        triggerCount: {
+            type: Number,
+            default: 0
+        }
+    },
+    { timestamps: true }
+);
+
+AlertRuleSchema.index({ enabled: 1, symbol: 1 });
+AlertRuleSchema.index({ userId: 1, symbol: 1 });
+
+module.exports = mongoose.model("AlertRule", AlertRuleSchema);
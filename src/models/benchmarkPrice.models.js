@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+/**
+ * Benchmark Price Model
+ * End-of-day closes for the benchmarks portfolios are compared against
+ */
+const BenchmarkPriceSchema = new mongoose.Schema(
+    {
+        symbol: {
+            type: String,
+            required: true,
+            uppercase: true
+        },
+
+        // Trading day (midnight UTC, same as portfolio snapshots)
+        date: {
+            type: Date,
+            required: true
+        },
+
+        price: {
+            type: Number,
+            required: true
+        },
+
+        provider: String
+    },
+    { timestamps: true }
+);
+
+// One price per benchmark per day
+BenchmarkPriceSchema.index({ symbol: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("BenchmarkPrice", BenchmarkPriceSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * Experiment Model
+ * A/B test of scoring strategies. Users are split across the arms by
+ * traffic weight; at most one experiment is active at a time.
+ */
+const ExperimentSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true
+        },
+
+        description: String,
+
+        status: {
+            type: String,
+            enum: ["active", "stopped"],
+            default: "active",
+            index: true
+        },
+
+        arms: [
+            {
+                name: {
+                    type: String,
+                    required: true
+                },
+                strategyName: {
+                    type: String,
+                    required: true
+                },
+                strategyVersion: {
+                    type: Number,
+                    required: true
+                },
+                // Relative share of users (weights need not add up to 100)
+                weight: {
+                    type: Number,
+                    default: 1,
+                    min: 0
+                }
+            }
+        ],
+
+        startedAt: {
+            type: Date,
+            default: Date.now
+        },
+        stoppedAt: Date
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model("Experiment", ExperimentSchema);
@@ -37,6 +37,11 @@ const NotificationSchema = new mongoose.Schema(
             change: Number,
             changePercent: Number,
             sessionId: mongoose.Schema.Types.ObjectId,
+            alertRuleId: mongoose.Schema.Types.ObjectId,
+            // Portfolio event behind the notification (dividend, split, rebalance)
+            type: { type: String },
+            portfolioId: mongoose.Schema.Types.ObjectId,
+            proposalId: mongoose.Schema.Types.ObjectId,
             // ... other relevant data
         },
 
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Portfolio Settings Model
+ * User preferences for virtual portfolio accounting
+ */
+const PortfolioSettingsSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            unique: true,
+            index: true
+        },
+
+        // How sold shares are matched against tax lots
+        costBasisMethod: {
+            type: String,
+            enum: ["fifo", "average"],
+            default: "fifo"
+        },
+
+        // Fee profile applied to market buys and sells
+        tradingPlatform: {
+            type: String,
+            enum: ["none", "bamboo", "chaka", "trove", "risevest"],
+            default: "none"
+        },
+
+        // Allow fractional quantities (unset: follow the profile's preferFractional)
+        fractionalShares: {
+            type: Boolean
+        },
+
+        // Currency portfolio values are shown in
+        displayCurrency: {
+            type: String,
+            enum: ["USD", "NGN"],
+            default: "USD"
+        }
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model("PortfolioSettings", PortfolioSettingsSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * Portfolio Snapshot Model
+ * End-of-day value of a virtual portfolio, used for the equity curve
+ */
+const PortfolioSnapshotSchema = new mongoose.Schema(
+    {
+        portfolioId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "VirtualPortfolio",
+            required: true,
+            index: true
+        },
+
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        // Trading day (midnight UTC)
+        date: {
+            type: Date,
+            required: true
+        },
+
+        // Cash including any reserved for pending orders
+        cash: {
+            type: Number,
+            required: true
+        },
+
+        holdingsValue: {
+            type: Number,
+            required: true
+        },
+
+        totalValue: {
+            type: Number,
+            required: true
+        },
+
+        // Cumulative external cash put into the portfolio (for return calculations)
+        netContributions: {
+            type: Number,
+            required: true
+        },
+
+        holdings: [
+            {
+                symbol: String,
+                quantity: Number,
+                price: Number,
+                value: Number,
+                // True when no quote was available and average cost was used
+                estimated: Boolean
+            }
+        ]
+    },
+    { timestamps: true }
+);
+
+// One snapshot per portfolio per day
+PortfolioSnapshotSchema.index({ portfolioId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("PortfolioSnapshot", PortfolioSnapshotSchema);
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+/**
+ * Rebalance Proposal Model
+ * Trades that move a virtual portfolio back to the target allocation
+ * of the user's latest recommendation session
+ */
+const RebalanceProposalSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+
+        portfolioId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "VirtualPortfolio",
+            required: true,
+            index: true
+        },
+
+        // Recommendation session the targets came from
+        sessionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "RecommendationSession"
+        },
+
+        // Holdings plus available cash when the proposal was made
+        portfolioValue: Number,
+
+        // Percentage points a position may drift before it is traded
+        driftThreshold: Number,
+
+        allocations: [
+            {
+                symbol: String,
+                name: String,
+                targetWeight: Number,  // percentage
+                currentWeight: Number, // percentage
+                drift: Number,         // percentage points (current - target)
+                price: Number
+            }
+        ],
+
+        // Sells are by quantity, buys by cash amount (fees included)
+        trades: [
+            {
+                symbol: String,
+                name: String,
+                side: {
+                    type: String,
+                    enum: ["buy", "sell"]
+                },
+                quantity: Number,
+                amount: Number,
+                estimatedPrice: Number,
+                estimatedValue: Number
+            }
+        ],
+
+        // pending -> applying -> applied, or superseded by a newer proposal
+        status: {
+            type: String,
+            enum: ["pending", "applying", "applied", "superseded"],
+            default: "pending"
+        },
+
+        // Outcome of each trade when applied
+        results: [
+            {
+                symbol: String,
+                side: String,
+                success: Boolean,
+                quantity: Number,
+                price: Number,
+                error: String
+            }
+        ],
+
+        appliedAt: Date
+    },
+    { timestamps: true }
+);
+
+RebalanceProposalSchema.index({ portfolioId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RebalanceProposal", RebalanceProposalSchema);
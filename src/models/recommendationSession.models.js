@@ -19,7 +19,18 @@ const RecommendationSessionSchema = new mongoose.Schema(
             profileType: String,
             riskLevel: String,
             investmentHorizon: String,
-            goal: String
+            goal: String,
+            preferredSectors: [String],
+            goalConstraints: {
+                avoidHighVolatility: Boolean,
+                preferStableGrowth: Boolean,
+                preferGrowth: Boolean
+            },
+            budgetConstraints: {
+                maxStockPrice: Number,
+                minPositionSize: Number,
+                recommendETFs: Boolean
+            }
         },
 
         // Recommended stocks
@@ -36,6 +47,19 @@ const RecommendationSessionSchema = new mongoose.Schema(
                 // Why this stock was recommended
                 matchScore: Number,
                 matchReasons: [String],
+
+                // Points per scoring factor, for "why this stock"
+                scoreBreakdown: [
+                    {
+                        factor: String,
+                        label: String,
+                        points: Number,
+                        maxPoints: Number,
+                        weight: Number,
+                        reasons: [String],
+                        inputs: mongoose.Schema.Types.Mixed
+                    }
+                ],
                 
                 // Price at time of recommendation
                 recommendedPrice: Number,
@@ -46,7 +70,39 @@ const RecommendationSessionSchema = new mongoose.Schema(
                 suggestedPositionSize: Number, // amount in currency
                 
                 // Tags that matched
-                matchedTags: [String]
+                matchedTags: [String],
+
+                // Risk from a year of daily prices (absent when history was unavailable)
+                risk: {
+                    level: String,
+                    annualizedVolatility: Number,
+                    beta: Number,
+                    maxDrawdown: Number
+                },
+
+                // User feedback; used to re-rank future recommendations
+                feedback: {
+                    rating: {
+                        type: String,
+                        enum: ["like", "dislike", "already_own", "not_interested"]
+                    },
+                    ratedAt: Date
+                },
+
+                // Return since recommendedPrice, recorded once per horizon
+                outcomes: [
+                    {
+                        horizon: {
+                            type: String,
+                            enum: ["1W", "1M", "3M"]
+                        },
+                        // Close on the horizon date (or the last session before it)
+                        price: Number,
+                        priceDate: String,
+                        returnPercent: Number,
+                        evaluatedAt: Date
+                    }
+                ]
             }
         ],
 
@@ -57,6 +113,40 @@ const RecommendationSessionSchema = new mongoose.Schema(
             default: "personalized"
         },
 
+        // How the basket meets the profile's diversification rules
+        basket: {
+            positions: Number,
+            minPositions: Number,
+            maxPerSector: Number,
+            sectors: mongoose.Schema.Types.Mixed,
+            etfCount: Number,
+            minETFs: Number,
+            met: Boolean,
+            warnings: [String]
+        },
+
+        // Scoring strategy that produced the session
+        strategy: {
+            name: {
+                type: String,
+                default: "baseline"
+            },
+            version: {
+                type: Number,
+                default: 1
+            }
+        },
+
+        // A/B experiment arm the user was in, if any
+        experiment: {
+            experimentId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Experiment"
+            },
+            name: String,
+            arm: String
+        },
+
         // Generation details
         generatedAt: {
             type: Date,
@@ -71,6 +161,22 @@ const RecommendationSessionSchema = new mongoose.Schema(
         },
         viewedAt: Date,
 
+        // Baskets bought into virtual portfolios from this session
+        simulations: [
+            {
+                portfolioId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "VirtualPortfolio"
+                },
+                transactionIds: [mongoose.Schema.Types.ObjectId],
+                invested: Number,
+                simulatedAt: {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+
         // Status
         isActive: {
             type: Boolean,
@@ -83,5 +189,6 @@ const RecommendationSessionSchema = new mongoose.Schema(
 // Compound indexes
 RecommendationSessionSchema.index({ userId: 1, generatedAt: -1 });
 RecommendationSessionSchema.index({ userId: 1, isActive: 1 });
+RecommendationSessionSchema.index({ "experiment.experimentId": 1, "experiment.arm": 1 }, { sparse: true });
 
 module.exports = mongoose.model("RecommendationSession", RecommendationSessionSchema);
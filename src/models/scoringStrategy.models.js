@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+/**
+ * Scoring Strategy Model
+ * A named, versioned set of recommendation scoring weights and options.
+ * Versions are immutable; changing a strategy creates the next version.
+ */
+const ScoringStrategySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true
+        },
+
+        version: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+
+        description: String,
+
+        // Multiplier applied to each factor's points (1 = engine default)
+        weights: {
+            sector: { type: Number, default: 1, min: 0 },
+            riskAlignment: { type: Number, default: 1, min: 0 },
+            stability: { type: Number, default: 1, min: 0 },
+            liquidity: { type: Number, default: 1, min: 0 },
+            etf: { type: Number, default: 1, min: 0 },
+            affordability: { type: Number, default: 1, min: 0 },
+            feedback: { type: Number, default: 1, min: 0 }
+        },
+
+        // Algorithm switches
+        options: {
+            // Risk from a year of price history instead of the daily change
+            useHistoricalRisk: { type: Boolean, default: true },
+            // Re-rank with the user's earlier feedback
+            useFeedback: { type: Boolean, default: true }
+        }
+    },
+    { timestamps: true }
+);
+
+ScoringStrategySchema.index({ name: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model("ScoringStrategy", ScoringStrategySchema);
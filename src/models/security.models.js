@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * Security Model
+ * Security master: reference data for every symbol we quote, filled from
+ * the built-in seed list, company profiles and admin imports
+ */
+const SecuritySchema = new mongoose.Schema(
+    {
+        symbol: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true,
+            trim: true
+        },
+
+        name: String,
+        exchange: String,
+
+        // Normalized sector key (tech, finance, healthcare, ...) used for scoring
+        sector: {
+            type: String,
+            default: "other"
+        },
+
+        // Industry as reported by the provider or import
+        industry: String,
+
+        assetType: {
+            type: String,
+            enum: ["stock", "etf", "fund", "crypto", "other"],
+            default: "stock"
+        },
+
+        currency: {
+            type: String,
+            default: "USD"
+        },
+
+        // Where the record last came from
+        source: {
+            type: String,
+            enum: ["seed", "provider", "import"],
+            default: "provider"
+        },
+
+        lastProfileAt: Date
+    },
+    { timestamps: true }
+);
+
+SecuritySchema.index({ sector: 1 });
+
+module.exports = mongoose.model("Security", SecuritySchema);
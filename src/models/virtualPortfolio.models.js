@@ -10,10 +10,23 @@ const VirtualPortfolioSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
             required: true,
-            unique: true,
             index: true
         },
 
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 50,
+            default: "My Portfolio"
+        },
+
+        // Portfolio used when a request does not name one
+        isDefault: {
+            type: Boolean,
+            default: false
+        },
+
         // Starting virtual cash
         initialCash: {
             type: Number,
@@ -55,7 +68,26 @@ const VirtualPortfolioSchema = new mongoose.Schema(
                 addedAt: {
                     type: Date,
                     default: Date.now
-                }
+                },
+
+                // Tax lots, oldest first (quantities add up to the holding)
+                lots: [
+                    {
+                        quantity: {
+                            type: Number,
+                            required: true,
+                            min: 0
+                        },
+                        price: {
+                            type: Number,
+                            required: true
+                        },
+                        acquiredAt: {
+                            type: Date,
+                            default: Date.now
+                        }
+                    }
+                ]
             }
         ],
 
@@ -64,7 +96,7 @@ const VirtualPortfolioSchema = new mongoose.Schema(
             {
                 type: {
                     type: String,
-                    enum: ["buy", "sell"],
+                    enum: ["buy", "sell", "dividend", "split"],
                     required: true
                 },
                 symbol: String,
@@ -72,6 +104,57 @@ const VirtualPortfolioSchema = new mongoose.Schema(
                 quantity: Number,
                 price: Number,
                 total: Number,
+
+                // Cash amount requested for dollar-amount buys (fees included)
+                amount: Number,
+
+                // Client limit price checked against the fill (optional)
+                limitPrice: Number,
+
+                // Where the server-side fill price came from
+                provider: String,
+                quoteTimestamp: Date,
+                staleness: String,
+                cacheAge: Number,
+
+                // Pending order that produced this fill (if any)
+                orderId: mongoose.Schema.Types.ObjectId,
+
+                // Recommendation session whose basket this buy came from (if any)
+                recommendationSessionId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "RecommendationSession"
+                },
+
+                // "import" for rows replayed from an uploaded CSV
+                source: {
+                    type: String,
+                    enum: ["market", "import"],
+                    default: "market"
+                },
+
+                // Simulated platform costs (USD); price already includes slippage
+                platform: String,
+                commission: Number,
+                fxFee: Number,
+                slippage: Number,
+                fees: Number,
+
+                // Sells only: cost of the lots sold and the gain on them
+                costBasis: Number,
+                realizedPnL: Number,
+                costBasisMethod: {
+                    type: String,
+                    enum: ["fifo", "average"]
+                },
+
+                // Corporate actions: dividends record eligible shares in quantity,
+                // the per-share amount in price and the cash credited in total
+                actionKey: String,
+                exDate: Date,
+                payDate: Date,
+                splitRatio: Number,
+
                 date: {
                     type: Date,
                     default: Date.now
@@ -79,6 +162,60 @@ const VirtualPortfolioSchema = new mongoose.Schema(
             }
         ],
 
+        // Pending order book (limit, stop and stop-limit orders)
+        pendingOrders: [
+            {
+                symbol: {
+                    type: String,
+                    required: true
+                },
+                name: String,
+                side: {
+                    type: String,
+                    enum: ["buy", "sell"],
+                    required: true
+                },
+                orderType: {
+                    type: String,
+                    enum: ["limit", "stop", "stop_limit"],
+                    required: true
+                },
+                quantity: {
+                    type: Number,
+                    required: true,
+                    min: 0
+                },
+                limitPrice: Number,
+                stopPrice: Number,
+                status: {
+                    type: String,
+                    enum: ["pending", "filled", "cancelled", "rejected"],
+                    default: "pending"
+                },
+
+                // Cash set aside for buy orders while they are pending
+                reservedCash: {
+                    type: Number,
+                    default: 0
+                },
+
+                // Stop-limit orders become limit orders once the stop is hit
+                triggeredAt: Date,
+
+                fillPrice: Number,
+                filledAt: Date,
+                cancelledAt: Date,
+                rejectionReason: String,
+                createdAt: {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+
+        // Last time the rebalancing job compared this portfolio to its targets
+        lastRebalanceCheckAt: Date,
+
         // Performance tracking
         totalValue: {
             type: Number,
@@ -98,4 +235,7 @@ const VirtualPortfolioSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+// Portfolio names are unique per user
+VirtualPortfolioSchema.index({ userId: 1, name: 1 }, { unique: true });
+
 module.exports = mongoose.model("VirtualPortfolio", VirtualPortfolioSchema);
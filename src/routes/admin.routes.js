@@ -6,13 +6,26 @@ const {
     getActivities, 
     getSystemHealth,
     getStocks,
+    getSecurities,
+    seedSecurities,
+    importSecurities,
     getNotifications,
     getRecommendationAnalytics,
+    getStrategies,
+    createStrategy,
+    getExperiments,
+    createExperiment,
+    stopExperiment,
     getWatchlistAnalytics,
     getPortfolioAnalytics,
     getMonitoringStats,
     triggerPriceMonitoring, 
     triggerCleanup,
+    triggerOrderProcessing,
+    triggerPortfolioSnapshots,
+    triggerCorporateActions,
+    triggerRebalancing,
+    triggerRecommendationOutcomes,
     getProviderHealth,
     getProviderStats,
     resetProviderHealth,
@@ -38,9 +51,26 @@ router.get("/watchlist-analytics", adminAuth, getWatchlistAnalytics);
 router.get("/portfolio-analytics", adminAuth, getPortfolioAnalytics);
 router.get("/monitoring-stats", adminAuth, getMonitoringStats);
 
+// Scoring strategies and A/B experiments
+router.get("/strategies", adminAuth, getStrategies);
+router.post("/strategies", adminAuth, createStrategy);
+router.get("/experiments", adminAuth, getExperiments);
+router.post("/experiments", adminAuth, createExperiment);
+router.post("/experiments/:experimentId/stop", adminAuth, stopExperiment);
+
+// Security master routes
+router.get("/securities", adminAuth, getSecurities);
+router.post("/securities/seed", adminAuth, seedSecurities);
+router.post("/securities/import", adminAuth, importSecurities);
+
 // Manual triggers for testing
 router.post("/trigger-price-monitoring", adminAuth, triggerPriceMonitoring);
 router.post("/trigger-cleanup", adminAuth, triggerCleanup);
+router.post("/trigger-order-processing", adminAuth, triggerOrderProcessing);
+router.post("/trigger-portfolio-snapshots", adminAuth, triggerPortfolioSnapshots);
+router.post("/trigger-corporate-actions", adminAuth, triggerCorporateActions);
+router.post("/trigger-rebalancing", adminAuth, triggerRebalancing);
+router.post("/trigger-recommendation-outcomes", adminAuth, triggerRecommendationOutcomes);
 
 // Provider health and management routes
 router.get("/provider-health", adminAuth, getProviderHealth);
@@ -5,8 +5,12 @@ const {
     generateRecommendations,
     getRecommendations,
     getRecommendationHistory,
+    getPickPerformance,
     getTrending,
     markAsViewed,
+    simulateSession,
+    submitFeedback,
+    explainRecommendation,
     clearCache
 } = require("../controllers/recommendation.controller");
 
@@ -14,8 +18,12 @@ const {
 router.post("/generate", auth, generateRecommendations);
 router.get("/", auth, getRecommendations);
 router.get("/history", auth, getRecommendationHistory);
+router.get("/performance", auth, getPickPerformance);
 router.get("/trending", getTrending); // Public endpoint
 router.put("/:sessionId/view", auth, markAsViewed);
+router.post("/:sessionId/simulate", auth, simulateSession);
+router.put("/:sessionId/:symbol/feedback", auth, submitFeedback);
+router.get("/:sessionId/:symbol/explain", auth, explainRecommendation);
 router.delete("/cache", auth, clearCache); // Cache clearing for testing
 
 module.exports = router;
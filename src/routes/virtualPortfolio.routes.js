@@ -2,20 +2,61 @@ const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth.middleware");
 const {
+    listPortfolios,
+    createPortfolio,
+    updatePortfolio,
+    deletePortfolio,
     getOverview,
     getHoldings,
     addHolding,
     removeHolding,
     getTransactions,
+    exportTransactions,
+    importTransactions,
+    getPerformance,
+    getBenchmark,
+    getAnalytics,
+    getRebalanceProposal,
+    createRebalanceProposal,
+    applyRebalanceProposal,
+    createOrder,
+    getOrders,
+    cancelOrder,
+    getSettings,
+    updateSettings,
     resetPortfolio
 } = require("../controllers/virtualPortfolio.controller");
 
 // All portfolio routes require authentication
+router.get("/portfolios", auth, listPortfolios);
+router.post("/portfolios", auth, createPortfolio);
+router.patch("/portfolios/:portfolioId", auth, updatePortfolio);
+router.delete("/portfolios/:portfolioId", auth, deletePortfolio);
+router.get("/settings", auth, getSettings);
+router.put("/settings", auth, updateSettings);
+
+// The routes below act on ?portfolioId= (the user's default portfolio if omitted)
 router.get("/overview", auth, getOverview);
 router.get("/holdings", auth, getHoldings);
 router.post("/holdings", auth, addHolding);
 router.delete("/holdings/:symbol", auth, removeHolding);
 router.get("/transactions", auth, getTransactions);
+router.get("/transactions/export", auth, exportTransactions);
+router.post(
+    "/transactions/import",
+    auth,
+    express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+    importTransactions
+);
+router.get("/performance", auth, getPerformance);
+router.get("/benchmark", auth, getBenchmark);
+router.get("/analytics", auth, getAnalytics);
+router.get("/rebalance", auth, getRebalanceProposal);
+router.post("/rebalance", auth, createRebalanceProposal);
+router.post("/rebalance/:proposalId/apply", auth, applyRebalanceProposal);
+router.post("/orders", auth, createOrder);
+router.get("/orders", auth, getOrders);
+router.delete("/orders/:orderId", auth, cancelOrder);
 router.post("/reset", auth, resetPortfolio);
 
 module.exports = router;
\ No newline at end of file
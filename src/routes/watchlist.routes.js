@@ -6,14 +6,26 @@ const {
     getWatchlist,
     getWatchlistWithPrices,
     removeFromWatchlist,
-    updateWatchlistItem
+    updateWatchlistItem,
+    getAlertRules,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    getAlertHistory
 } = require("../controllers/watchlist.controller");
 
 // All watchlist routes require authentication
 router.post("/", auth, addToWatchlist);
 router.get("/", auth, getWatchlist);
 router.get("/with-prices", auth, getWatchlistWithPrices);
+router.get("/alerts/history", auth, getAlertHistory);
 router.delete("/:id", auth, removeFromWatchlist);
 router.put("/:id", auth, updateWatchlistItem);
 
+// Alert rules on a watchlist item
+router.get("/:id/alerts", auth, getAlertRules);
+router.post("/:id/alerts", auth, createAlertRule);
+router.put("/:id/alerts/:alertId", auth, updateAlertRule);
+router.delete("/:id/alerts/:alertId", auth, deleteAlertRule);
+
 module.exports = router;
@@ -80,6 +80,125 @@ class AlphaVantageAdapter extends BaseAdapter {
         }
     }
 
+    /**
+     * Get currency exchange rate
+     */
+    async getExchangeRate(from, to) {
+        try {
+            const response = await axios.get(this.baseUrl, {
+                params: {
+                    function: "CURRENCY_EXCHANGE_RATE",
+                    from_currency: from,
+                    to_currency: to,
+                    apikey: this.apiKey
+                }
+            });
+
+            const data = response.data["Realtime Currency Exchange Rate"];
+
+            if (!data || !data["5. Exchange Rate"]) {
+                return null;
+            }
+
+            return {
+                from,
+                to,
+                rate: parseFloat(data["5. Exchange Rate"]),
+                // "Last Refreshed" is UTC without a zone suffix
+                timestamp: new Date(`${data["6. Last Refreshed"].replace(" ", "T")}Z`).toISOString()
+            };
+        } catch (error) {
+            this.handleError(error, "getExchangeRate");
+            return null;
+        }
+    }
+
+    /**
+     * Get dividends and splits
+     * Alpha Vantage returns full history, so results are filtered to the range
+     */
+    async getCorporateActions(symbol, from, to) {
+        try {
+            const [dividendResponse, splitResponse] = await Promise.all([
+                axios.get(this.baseUrl, {
+                    params: { function: "DIVIDENDS", symbol: symbol, apikey: this.apiKey }
+                }),
+                axios.get(this.baseUrl, {
+                    params: { function: "SPLITS", symbol: symbol, apikey: this.apiKey }
+                })
+            ]);
+
+            const dividends = dividendResponse.data?.data;
+            const splits = splitResponse.data?.data;
+
+            if (!Array.isArray(dividends) && !Array.isArray(splits)) {
+                return null;
+            }
+
+            const inRange = date => date >= from && date <= to;
+
+            return {
+                symbol,
+                dividends: (dividends || [])
+                    .filter(d => inRange(d.ex_dividend_date))
+                    .map(d => ({
+                        exDate: d.ex_dividend_date,
+                        payDate: d.payment_date && d.payment_date !== "None" ? d.payment_date : d.ex_dividend_date,
+                        amount: parseFloat(d.amount)
+                    })),
+                splits: (splits || [])
+                    .filter(s => inRange(s.effective_date))
+                    .map(s => ({
+                        date: s.effective_date,
+                        ratio: parseFloat(s.split_factor)
+                    }))
+            };
+        } catch (error) {
+            this.handleError(error, "getCorporateActions");
+            return null;
+        }
+    }
+
+    /**
+     * Get daily candles
+     * Alpha Vantage returns a date-keyed object, so results are filtered to the range
+     */
+    async getCandles(symbol, from, to) {
+        try {
+            const response = await axios.get(this.baseUrl, {
+                params: {
+                    function: "TIME_SERIES_DAILY",
+                    symbol: symbol,
+                    outputsize: "full",
+                    apikey: this.apiKey
+                }
+            });
+
+            const series = response.data?.["Time Series (Daily)"];
+
+            if (!series) {
+                return null;
+            }
+
+            const candles = Object.entries(series)
+                .filter(([date]) => date >= from && date <= to)
+                .map(([date, v]) => ({
+                    date,
+                    open: parseFloat(v["1. open"]),
+                    high: parseFloat(v["2. high"]),
+                    low: parseFloat(v["3. low"]),
+                    close: parseFloat(v["4. close"]),
+                    volume: parseInt(v["5. volume"]) || 0
+                }))
+                .sort((a, b) => a.date.localeCompare(b.date));
+
+            return candles.length > 0 ? { symbol, candles } : null;
+        } catch (error) {
+            this.handleError(error, "getCandles");
+            return null;
+        }
+    }
+
     /**
      * Get trending stocks (top gainers)
      */
@@ -8,6 +8,8 @@ class BaseAdapter {
     constructor(apiKey) {
         this.apiKey = apiKey;
         this.providerName = "base";
+        // Symbols per getBatchQuotes request; 1 means no native batch endpoint
+        this.maxBatchSize = 1;
     }
 
     /**
@@ -67,6 +69,41 @@ class BaseAdapter {
         throw new Error("getTrending() must be implemented by adapter");
     }
 
+    /**
+     * Get a currency exchange rate
+     * Optional: adapters without FX data return null
+     * @param {String} from - Base currency (e.g. "USD")
+     * @param {String} to - Quote currency (e.g. "NGN")
+     * @returns {Promise<Object|null>} { from, to, rate, timestamp }
+     */
+    async getExchangeRate(from, to) {
+        return null;
+    }
+
+    /**
+     * Get dividends and stock splits for a symbol
+     * Optional: adapters without corporate-action data return null
+     * @param {String} symbol - Stock symbol
+     * @param {String} from - Start date (YYYY-MM-DD)
+     * @param {String} to - End date (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} { symbol, dividends: [{ exDate, payDate, amount }], splits: [{ date, ratio }] }
+     */
+    async getCorporateActions(symbol, from, to) {
+        return null;
+    }
+
+    /**
+     * Get daily price candles for a symbol
+     * Optional: adapters without historical data return null
+     * @param {String} symbol - Stock symbol
+     * @param {String} from - Start date (YYYY-MM-DD)
+     * @param {String} to - End date (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} { symbol, candles: [{ date, open, high, low, close, volume }] } oldest first
+     */
+    async getCandles(symbol, from, to) {
+        return null;
+    }
+
     /**
      * Normalize quote response to standard format
      * @param {Object} rawData - Raw API response
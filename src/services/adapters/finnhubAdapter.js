@@ -139,6 +139,8 @@ class FinnhubAdapter extends BaseAdapter {
                 name: response.data.name,
                 exchange: response.data.exchange,
                 industry: response.data.finnhubIndustry,
+                currency: response.data.currency,
+                country: response.data.country,
                 logo: response.data.logo
             };
         } catch (error) {
@@ -147,6 +149,45 @@ class FinnhubAdapter extends BaseAdapter {
         }
     }
 
+    /**
+     * Get daily candles
+     * Finnhub takes and returns Unix timestamps in parallel arrays
+     */
+    async getCandles(symbol, from, to) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/stock/candle`, {
+                params: {
+                    symbol: symbol,
+                    resolution: "D",
+                    from: Math.floor(new Date(`${from}T00:00:00Z`).getTime() / 1000),
+                    to: Math.floor(new Date(`${to}T23:59:59Z`).getTime() / 1000),
+                    token: this.apiKey
+                }
+            });
+
+            const data = response.data;
+
+            if (!data || data.s !== "ok" || !Array.isArray(data.t)) {
+                return null;
+            }
+
+            return {
+                symbol,
+                candles: data.t.map((timestamp, i) => ({
+                    date: new Date(timestamp * 1000).toISOString().slice(0, 10),
+                    open: data.o[i],
+                    high: data.h[i],
+                    low: data.l[i],
+                    close: data.c[i],
+                    volume: data.v[i] || 0
+                }))
+            };
+        } catch (error) {
+            this.handleError(error, "getCandles");
+            return null;
+        }
+    }
+
     /**
      * Get trending stocks (top gainers from US market)
      */
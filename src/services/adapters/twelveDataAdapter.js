@@ -11,6 +11,7 @@ class TwelveDataAdapter extends BaseAdapter {
         super(apiKey);
         this.providerName = "twelvedata";
         this.baseUrl = "https://api.twelvedata.com";
+        this.maxBatchSize = 120;
     }
 
     /**
@@ -98,8 +99,10 @@ class TwelveDataAdapter extends BaseAdapter {
                 return [];
             }
 
-            // Handle both single and multiple responses
-            const data = Array.isArray(response.data) ? response.data : [response.data];
+            // One symbol returns the quote itself; several return an object keyed by symbol
+            const data = Array.isArray(response.data)
+                ? response.data
+                : response.data.symbol ? [response.data] : Object.values(response.data);
 
             return data
                 .filter(item => item.close)
@@ -123,6 +126,122 @@ class TwelveDataAdapter extends BaseAdapter {
         }
     }
 
+    /**
+     * Get currency exchange rate
+     */
+    async getExchangeRate(from, to) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/exchange_rate`, {
+                params: {
+                    symbol: `${from}/${to}`,
+                    apikey: this.apiKey
+                }
+            });
+
+            const data = response.data;
+
+            if (!data || !data.rate) {
+                return null;
+            }
+
+            return {
+                from,
+                to,
+                rate: parseFloat(data.rate),
+                timestamp: data.timestamp ? new Date(data.timestamp * 1000).toISOString() : new Date().toISOString()
+            };
+        } catch (error) {
+            this.handleError(error, "getExchangeRate");
+            return null;
+        }
+    }
+
+    /**
+     * Get dividends and splits
+     * Split ratio is shares after the split per share before (4-for-1 = 4)
+     */
+    async getCorporateActions(symbol, from, to) {
+        try {
+            const params = {
+                symbol: symbol,
+                start_date: from,
+                end_date: to,
+                apikey: this.apiKey
+            };
+
+            const [dividendResponse, splitResponse] = await Promise.all([
+                axios.get(`${this.baseUrl}/dividends`, { params }),
+                axios.get(`${this.baseUrl}/splits`, { params })
+            ]);
+
+            const dividends = dividendResponse.data?.dividends;
+            const splits = splitResponse.data?.splits;
+
+            if (!Array.isArray(dividends) && !Array.isArray(splits)) {
+                return null;
+            }
+
+            return {
+                symbol,
+                dividends: (dividends || []).map(d => ({
+                    exDate: d.ex_date,
+                    // Twelve Data only reports the ex-date
+                    payDate: d.payment_date || d.ex_date,
+                    amount: parseFloat(d.amount)
+                })),
+                splits: (splits || []).map(s => ({
+                    date: s.date,
+                    ratio: parseFloat(s.to_factor) / parseFloat(s.from_factor)
+                }))
+            };
+        } catch (error) {
+            this.handleError(error, "getCorporateActions");
+            return null;
+        }
+    }
+
+    /**
+     * Get daily candles
+     * Twelve Data returns newest first, so values are reversed
+     */
+    async getCandles(symbol, from, to) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/time_series`, {
+                params: {
+                    symbol: symbol,
+                    interval: "1day",
+                    start_date: from,
+                    end_date: to,
+                    outputsize: 5000,
+                    apikey: this.apiKey
+                }
+            });
+
+            const values = response.data?.values;
+
+            if (!Array.isArray(values) || values.length === 0) {
+                return null;
+            }
+
+            return {
+                symbol,
+                candles: values
+                    .map(v => ({
+                        date: v.datetime.slice(0, 10),
+                        open: parseFloat(v.open),
+                        high: parseFloat(v.high),
+                        low: parseFloat(v.low),
+                        close: parseFloat(v.close),
+                        volume: parseInt(v.volume) || 0
+                    }))
+                    .reverse()
+            };
+        } catch (error) {
+            this.handleError(error, "getCandles");
+            return null;
+        }
+    }
+
     /**
      * Get popular US stocks
      */
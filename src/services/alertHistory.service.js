@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const AlertFiring = require("../models/alertFiring.models");
+
+/**
+ * Alert History Service
+ * Records alert firings and answers "when did this rule last fire?" for
+ * repeat suppression
+ */
+
+/**
+ * Record that a rule fired
+ * @param {Object} rule - Alert rule
+ * @param {Object} quote - { price, change, changePercent }
+ * @param {String} message - Alert message sent to the user
+ * @param {Object|null} notification - Notification created (null when muted)
+ * @param {Date} firedAt - Firing time
+ * @returns {Promise<Object>} Firing record
+ */
+async function recordFiring(rule, quote, message, notification, firedAt = new Date()) {
+    return await AlertFiring.create({
+        alertRuleId: rule._id,
+        userId: rule.userId?._id || rule.userId,
+        watchlistId: rule.watchlistId?._id || rule.watchlistId,
+        symbol: rule.symbol,
+        type: rule.type,
+        mode: rule.mode,
+        targetPrice: rule.targetPrice,
+        threshold: rule.threshold,
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        message,
+        notificationId: notification?._id || null,
+        firedAt
+    });
+}
+
+/**
+ * Latest firing time of each rule since a date
+ * Repeat suppression only looks back one cooldown, so older history is skipped
+ * @param {Array} ruleIds - Alert rule IDs
+ * @param {Date} since - Earliest firing to consider
+ * @returns {Promise<Map>} ruleId string -> Date (rules that did not fire since are absent)
+ */
+async function getLastFirings(ruleIds, since) {
+    if (ruleIds.length === 0) return new Map();
+
+    const rows = await AlertFiring.aggregate([
+        { $match: { alertRuleId: { $in: ruleIds }, firedAt: { $gte: since } } },
+        { $group: { _id: "$alertRuleId", lastFiredAt: { $max: "$firedAt" } } }
+    ]);
+
+    return new Map(rows.map(row => [String(row._id), row.lastFiredAt]));
+}
+
+/**
+ * A user's alert firings, newest first
+ * @param {String} userId - User ID
+ * @param {Object} filters - { symbol, alertId, from, to, page, limit }
+ * @returns {Promise<Object>} { firings, pagination }
+ */
+async function listAlertHistory(userId, { symbol, alertId, from, to, page = 1, limit = 50 } = {}) {
+    const query = { userId };
+
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (alertId) {
+        if (!mongoose.isValidObjectId(alertId)) {
+            return { firings: [], pagination: { page, limit, total: 0, pages: 0 } };
+        }
+        query.alertRuleId = alertId;
+    }
+    if (from || to) {
+        query.firedAt = {};
+        if (from) query.firedAt.$gte = new Date(from);
+        if (to) query.firedAt.$lte = new Date(to);
+    }
+
+    const [firings, total] = await Promise.all([
+        AlertFiring.find(query)
+            .sort({ firedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        AlertFiring.countDocuments(query)
+    ]);
+
+    return {
+        firings,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+module.exports = {
+    recordFiring,
+    getLastFirings,
+    listAlertHistory
+};
@@ -0,0 +1,547 @@
+const mongoose = require("mongoose");
+const AlertRule = require("../models/alertRule.models");
+const Watchlist = require("../models/watchlist.models");
+const priceAggregator = require("./priceAggregator.service");
+const providerManager = require("./providerManager.service");
+
+/**
+ * Alert Rules Service
+ * Validation, storage and evaluation of watchlist alert rules
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALERT_TYPES = [
+    "price_above",
+    "price_below",
+    "percent_change_day",
+    "percent_move",
+    "day_high_break",
+    "day_low_break",
+    "volume_spike"
+];
+
+const DIRECTIONS = ["up", "down", "either"];
+
+const ALERT_MODES = ["one_shot", "rearm", "cooldown"];
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+const PRICE_TYPES = ["price_above", "price_below"];
+const PERCENT_TYPES = ["percent_change_day", "percent_move"];
+
+// Volume spike fires at this multiple of average volume unless set
+const DEFAULT_VOLUME_MULTIPLE = 2;
+
+// Trading days averaged for volume_spike
+const AVERAGE_VOLUME_DAYS = 20;
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function formatPrice(value) {
+    return `$${value.toFixed(2)}`;
+}
+
+function formatPercent(value) {
+    return `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`;
+}
+
+/**
+ * Validate rule fields from a request body
+ * @param {Object} input - Request body
+ * @param {String|null} existingType - Type of the rule being updated (null on create)
+ * @returns {Object} { fields } or { error }
+ */
+function parseRuleInput(input, existingType = null) {
+    const fields = {};
+    const type = existingType || input.type;
+
+    if (existingType && input.type !== undefined && input.type !== existingType) {
+        return { error: "Alert type cannot be changed; create a new alert instead" };
+    }
+
+    if (!ALERT_TYPES.includes(type)) {
+        return { error: `Alert type must be one of ${ALERT_TYPES.join(", ")}` };
+    }
+    if (!existingType) fields.type = type;
+
+    if (PRICE_TYPES.includes(type)) {
+        if (input.targetPrice !== undefined || !existingType) {
+            const targetPrice = Number(input.targetPrice);
+            if (!(targetPrice > 0)) {
+                return { error: "targetPrice must be a positive number" };
+            }
+            fields.targetPrice = targetPrice;
+        }
+    }
+
+    if (PERCENT_TYPES.includes(type) || type === "volume_spike") {
+        if (input.threshold !== undefined || !existingType) {
+            const threshold = input.threshold === undefined && type === "volume_spike"
+                ? DEFAULT_VOLUME_MULTIPLE
+                : Number(input.threshold);
+            if (!(threshold > 0)) {
+                return {
+                    error: type === "volume_spike"
+                        ? "threshold must be a positive multiple of average volume"
+                        : "threshold must be a positive percentage"
+                };
+            }
+            fields.threshold = threshold;
+        }
+    }
+
+    if (PERCENT_TYPES.includes(type) && input.direction !== undefined) {
+        if (!DIRECTIONS.includes(input.direction)) {
+            return { error: `direction must be one of ${DIRECTIONS.join(", ")}` };
+        }
+        fields.direction = input.direction;
+    }
+
+    if (input.mode !== undefined) {
+        if (!ALERT_MODES.includes(input.mode)) {
+            return { error: `mode must be one of ${ALERT_MODES.join(", ")}` };
+        }
+        fields.mode = input.mode;
+    }
+
+    if (input.cooldownMinutes !== undefined) {
+        const cooldownMinutes = Number(input.cooldownMinutes);
+        if (!(cooldownMinutes > 0)) {
+            return { error: "cooldownMinutes must be a positive number" };
+        }
+        fields.cooldownMinutes = cooldownMinutes;
+    }
+
+    if (input.expiresAt !== undefined) {
+        if (input.expiresAt === null) {
+            fields.expiresAt = null;
+        } else {
+            const expiresAt = new Date(input.expiresAt);
+            if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+                return { error: "expiresAt must be a future date" };
+            }
+            fields.expiresAt = expiresAt;
+        }
+    }
+
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== "boolean") {
+            return { error: "enabled must be true or false" };
+        }
+        fields.enabled = input.enabled;
+    }
+
+    // A new mode or a re-enabled rule starts ready to fire
+    if (fields.mode !== undefined || fields.enabled === true) {
+        fields.armed = true;
+    }
+
+    return { fields };
+}
+
+/**
+ * Whether a signed value reaches a threshold in the given direction
+ */
+function reaches(value, threshold, direction) {
+    if (direction === "up") return value >= threshold;
+    if (direction === "down") return value <= -threshold;
+    return Math.abs(value) >= threshold;
+}
+
+/**
+ * Evaluate a rule against a market snapshot (pure)
+ * @param {Object} rule - Alert rule
+ * @param {Object} snapshot - { price, changePercent, high, low, volume, averageVolume }
+ * @param {String} name - Display name for messages
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { met, message, state } where state holds the fields to save on the rule
+ */
+function evaluateRule(rule, snapshot, name = rule.symbol, now = new Date()) {
+    const { price } = snapshot;
+
+    // Day high/low seen at earlier checks today; a new day starts fresh
+    const sameDay = rule.lastEvaluatedAt && toDateString(new Date(rule.lastEvaluatedAt)) === toDateString(now);
+    const priorHigh = sameDay ? rule.lastDayHigh : null;
+    const priorLow = sameDay ? rule.lastDayLow : null;
+
+    const state = {
+        lastPrice: price,
+        lastDayHigh: Math.max(priorHigh || 0, snapshot.high || 0, price),
+        lastDayLow: Math.min(priorLow || Infinity, snapshot.low || Infinity, price),
+        lastEvaluatedAt: now
+    };
+
+    let met = false;
+    let message = "";
+
+    switch (rule.type) {
+        case "price_above": {
+            met = price >= rule.targetPrice;
+            message = `${name} has reached ${formatPrice(price)} (${formatPercent((price / rule.targetPrice - 1) * 100)}) - Target: Above ${formatPrice(rule.targetPrice)}`;
+            break;
+        }
+        case "price_below": {
+            met = price <= rule.targetPrice;
+            message = `${name} has dropped to ${formatPrice(price)} (${formatPercent((price / rule.targetPrice - 1) * 100)}) - Target: Below ${formatPrice(rule.targetPrice)}`;
+            break;
+        }
+        case "percent_change_day": {
+            const change = snapshot.changePercent;
+            met = change !== null && change !== undefined && reaches(change, rule.threshold, rule.direction);
+            message = `${name} is ${formatPercent(change || 0)} since the last close at ${formatPrice(price)} - Alert: ${rule.threshold}% ${rule.direction}`;
+            break;
+        }
+        case "percent_move": {
+            const move = (price / rule.referencePrice - 1) * 100;
+            met = rule.referencePrice > 0 && reaches(move, rule.threshold, rule.direction);
+            message = `${name} has moved ${formatPercent(move)} since you set this alert at ${formatPrice(rule.referencePrice)} (now ${formatPrice(price)})`;
+            break;
+        }
+        case "day_high_break": {
+            met = priorHigh > 0 && price > priorHigh;
+            message = `${name} broke above today's high of ${formatPrice(priorHigh || price)} at ${formatPrice(price)}`;
+            break;
+        }
+        case "day_low_break": {
+            met = priorLow > 0 && price < priorLow;
+            message = `${name} broke below today's low of ${formatPrice(priorLow || price)} at ${formatPrice(price)}`;
+            break;
+        }
+        case "volume_spike": {
+            const multiple = snapshot.averageVolume > 0 ? snapshot.volume / snapshot.averageVolume : 0;
+            met = multiple >= rule.threshold;
+            message = `${name} volume is ${multiple.toFixed(1)}x its ${AVERAGE_VOLUME_DAYS}-day average (${(snapshot.volume || 0).toLocaleString()} shares)`;
+            break;
+        }
+    }
+
+    return { met, message, state };
+}
+
+/**
+ * Decide whether a checked rule notifies, given its mode (pure)
+ *   one_shot: fires once, then the rule is disabled
+ *   rearm: fires, then waits until the condition clears before it can fire again
+ *   cooldown: fires again while met once cooldownMinutes have passed
+ * @param {Object} rule - Alert rule
+ * @param {Boolean} met - Whether the condition holds now
+ * @param {Date} now - Evaluation time
+ * @param {Date|null} lastFiredAt - Latest firing from the alert history (defaults to the rule's own record)
+ * @returns {Object} { fire, state, reason } where reason explains a met rule that did not fire
+ */
+function applyLifecycle(rule, met, now = new Date(), lastFiredAt = rule.lastTriggeredAt) {
+    const mode = rule.mode || "cooldown";
+    const state = {};
+
+    if (!met) {
+        if (mode === "rearm" && rule.armed === false) state.armed = true;
+        return { fire: false, state, reason: null };
+    }
+
+    if (mode === "rearm" && rule.armed === false) {
+        return { fire: false, state, reason: "waiting for the condition to clear before re-arming" };
+    }
+
+    if (mode === "cooldown" && lastFiredAt) {
+        const cooldownMs = (rule.cooldownMinutes || DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+        const nextEligibleAt = new Date(new Date(lastFiredAt).getTime() + cooldownMs);
+        if (now < nextEligibleAt) {
+            return { fire: false, state, reason: `cooling down until ${nextEligibleAt.toISOString()}` };
+        }
+    }
+
+    state.lastTriggeredAt = now;
+    state.triggerCount = (rule.triggerCount || 0) + 1;
+    if (mode === "rearm") state.armed = false;
+    if (mode === "one_shot") state.enabled = false;
+
+    return { fire: true, state, reason: null };
+}
+
+/**
+ * Lifecycle status of a rule for display
+ * @param {Object} rule - Alert rule
+ * @param {Date} now - Current time
+ * @returns {Object} { status, nextEligibleAt } where status is
+ *   active | cooling_down | waiting_to_rearm | fired | expired | disabled
+ */
+function getRuleStatus(rule, now = new Date()) {
+    if (rule.expiresAt && new Date(rule.expiresAt) <= now) {
+        return { status: "expired", nextEligibleAt: null };
+    }
+
+    if (!rule.enabled) {
+        const fired = rule.mode === "one_shot" && rule.lastTriggeredAt;
+        return { status: fired ? "fired" : "disabled", nextEligibleAt: null };
+    }
+
+    if (rule.mode === "rearm" && rule.armed === false) {
+        return { status: "waiting_to_rearm", nextEligibleAt: null };
+    }
+
+    if ((rule.mode || "cooldown") === "cooldown" && rule.lastTriggeredAt) {
+        const cooldownMs = (rule.cooldownMinutes || DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+        const nextEligibleAt = new Date(new Date(rule.lastTriggeredAt).getTime() + cooldownMs);
+        if (now < nextEligibleAt) {
+            return { status: "cooling_down", nextEligibleAt };
+        }
+    }
+
+    return { status: "active", nextEligibleAt: null };
+}
+
+/**
+ * Disable enabled rules whose expiry has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Rules that expired
+ */
+async function expireAlertRules(now = new Date()) {
+    const expired = await AlertRule.find({ enabled: true, expiresAt: { $lte: now } })
+        .select("watchlistId source")
+        .lean();
+
+    if (expired.length === 0) return expired;
+
+    await AlertRule.updateMany({ _id: { $in: expired.map(rule => rule._id) } }, { enabled: false });
+    return expired;
+}
+
+/**
+ * Average daily volume over recent sessions, excluding today
+ * @param {String} symbol - Stock symbol
+ * @returns {Promise<Number|null>} Average volume
+ */
+async function getAverageVolume(symbol) {
+    try {
+        const now = new Date();
+        const history = await providerManager.getCandles(
+            symbol,
+            toDateString(new Date(now.getTime() - 45 * DAY_MS)),
+            toDateString(new Date(now.getTime() - DAY_MS))
+        );
+
+        const volumes = history.candles.slice(-AVERAGE_VOLUME_DAYS).map(c => c.volume).filter(v => v > 0);
+        if (volumes.length < 5) return null;
+
+        return volumes.reduce((sum, v) => sum + v, 0) / volumes.length;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Watchlist item owned by a user (null when missing or not theirs)
+ */
+async function findWatchlistItem(userId, watchlistId) {
+    if (!mongoose.isValidObjectId(watchlistId)) return null;
+    return await Watchlist.findOne({ _id: watchlistId, userId });
+}
+
+/**
+ * Alert rules on one watchlist item
+ * @returns {Promise<Object>} { success, rules } or { success: false, statusCode, error }
+ */
+async function listAlertRules(userId, watchlistId) {
+    const item = await findWatchlistItem(userId, watchlistId);
+    if (!item) {
+        return { success: false, statusCode: 404, error: "Watchlist item not found" };
+    }
+
+    const rules = await AlertRule.find({ watchlistId: item._id }).sort({ createdAt: 1 }).lean();
+    const now = new Date();
+
+    return {
+        success: true,
+        rules: rules.map(rule => ({ ...rule, ...getRuleStatus(rule, now) }))
+    };
+}
+
+/**
+ * Add an alert rule to a watchlist item
+ * percent_move rules use the current price as their reference unless one is given
+ * @returns {Promise<Object>} { success, rule } or { success: false, statusCode, error }
+ */
+async function createAlertRule(userId, watchlistId, input) {
+    const item = await findWatchlistItem(userId, watchlistId);
+    if (!item) {
+        return { success: false, statusCode: 404, error: "Watchlist item not found" };
+    }
+
+    const parsed = parseRuleInput(input);
+    if (parsed.error) {
+        return { success: false, statusCode: 400, error: parsed.error };
+    }
+
+    const fields = parsed.fields;
+
+    if (fields.type === "percent_move") {
+        const referencePrice = input.referencePrice !== undefined
+            ? Number(input.referencePrice)
+            : (await priceAggregator.getAggregatedQuote(item.symbol))?.price;
+
+        if (!(referencePrice > 0)) {
+            return { success: false, statusCode: 400, error: "Could not get a reference price for this alert" };
+        }
+        fields.referencePrice = referencePrice;
+    }
+
+    const rule = await AlertRule.create({
+        ...fields,
+        userId,
+        watchlistId: item._id,
+        symbol: item.symbol
+    });
+
+    return { success: true, rule };
+}
+
+/**
+ * Copy a priceAlert-mirrored rule's state back onto its watchlist item,
+ * so the legacy priceAlert does not recreate or re-enable the rule
+ * @param {Object} rule - Alert rule with source "priceAlert"
+ * @param {Boolean} deleted - Whether the rule was removed
+ */
+async function updateMirroredPriceAlert(rule, deleted = false) {
+    const update = deleted || !rule.enabled
+        ? { "priceAlert.enabled": false }
+        : { "priceAlert.enabled": true, "priceAlert.targetPrice": rule.targetPrice };
+
+    await Watchlist.updateOne({ _id: rule.watchlistId, userId: rule.userId }, update);
+}
+
+/**
+ * Update an alert rule's settings (its type is fixed)
+ * @returns {Promise<Object>} { success, rule } or { success: false, statusCode, error }
+ */
+async function updateAlertRule(userId, watchlistId, alertId, input) {
+    const rule = mongoose.isValidObjectId(alertId) && mongoose.isValidObjectId(watchlistId)
+        ? await AlertRule.findOne({ _id: alertId, watchlistId, userId })
+        : null;
+
+    if (!rule) {
+        return { success: false, statusCode: 404, error: "Alert not found" };
+    }
+
+    const parsed = parseRuleInput(input, rule.type);
+    if (parsed.error) {
+        return { success: false, statusCode: 400, error: parsed.error };
+    }
+
+    if (rule.type === "percent_move" && input.referencePrice !== undefined) {
+        const referencePrice = Number(input.referencePrice);
+        if (!(referencePrice > 0)) {
+            return { success: false, statusCode: 400, error: "referencePrice must be a positive number" };
+        }
+        parsed.fields.referencePrice = referencePrice;
+    }
+
+    Object.assign(rule, parsed.fields);
+
+    if (rule.enabled && rule.expiresAt && rule.expiresAt <= new Date()) {
+        return { success: false, statusCode: 400, error: "Alert has expired; set a later expiresAt to re-enable it" };
+    }
+
+    await rule.save();
+
+    if (rule.source === "priceAlert") {
+        await updateMirroredPriceAlert(rule);
+    }
+
+    return { success: true, rule };
+}
+
+/**
+ * Delete an alert rule
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, error }
+ */
+async function deleteAlertRule(userId, watchlistId, alertId) {
+    const rule = mongoose.isValidObjectId(alertId) && mongoose.isValidObjectId(watchlistId)
+        ? await AlertRule.findOneAndDelete({ _id: alertId, watchlistId, userId })
+        : null;
+
+    if (!rule) {
+        return { success: false, statusCode: 404, error: "Alert not found" };
+    }
+
+    if (rule.source === "priceAlert") {
+        await updateMirroredPriceAlert(rule, true);
+    }
+
+    return { success: true };
+}
+
+/**
+ * Keep a watchlist item's priceAlert mirrored as an alert rule
+ * @param {Object} item - Watchlist document
+ */
+async function syncPriceAlertRule(item) {
+    const alert = item.priceAlert;
+
+    if (!alert?.enabled || !(alert.targetPrice > 0) || !["above", "below"].includes(alert.condition)) {
+        await AlertRule.deleteMany({ watchlistId: item._id, source: "priceAlert" });
+        return;
+    }
+
+    await AlertRule.updateOne(
+        { watchlistId: item._id, source: "priceAlert" },
+        {
+            $set: {
+                userId: item.userId,
+                symbol: item.symbol,
+                type: `price_${alert.condition}`,
+                targetPrice: alert.targetPrice,
+                enabled: true
+            }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Create rules for priceAlerts saved before alert rules existed
+ * @returns {Promise<Number>} Rules created
+ */
+async function syncLegacyPriceAlerts() {
+    const items = await Watchlist.find({
+        "priceAlert.enabled": true,
+        "priceAlert.targetPrice": { $exists: true, $ne: null }
+    }).select("userId symbol priceAlert");
+
+    if (items.length === 0) return 0;
+
+    const synced = new Set(
+        (await AlertRule.distinct("watchlistId", {
+            source: "priceAlert",
+            watchlistId: { $in: items.map(item => item._id) }
+        })).map(String)
+    );
+
+    const missing = items.filter(item => !synced.has(String(item._id)));
+    for (const item of missing) {
+        await syncPriceAlertRule(item);
+    }
+
+    return missing.length;
+}
+
+module.exports = {
+    ALERT_TYPES,
+    DIRECTIONS,
+    ALERT_MODES,
+    DEFAULT_COOLDOWN_MINUTES,
+    parseRuleInput,
+    evaluateRule,
+    applyLifecycle,
+    getRuleStatus,
+    expireAlertRules,
+    getAverageVolume,
+    listAlertRules,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    syncPriceAlertRule,
+    syncLegacyPriceAlerts
+};
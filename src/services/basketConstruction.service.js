@@ -0,0 +1,138 @@
+/**
+ * Basket Construction Service
+ * Picks the recommended basket from scored candidates so that it meets the
+ * profile's diversification rules: a position count between the profile's
+ * minimum and its caps, a per-sector cap, a minimum ETF share when ETFs are
+ * recommended, and no position the minimum position size cannot buy.
+ */
+
+// Largest share of the basket one sector may hold
+const MAX_SECTOR_SHARE = 0.4;
+
+// Tighter cap for goals that avoid volatility
+const CAUTIOUS_MAX_SECTOR_SHARE = 0.3;
+
+// Share of the basket filled with ETFs when the profile recommends them
+const MIN_ETF_SHARE = 0.3;
+
+// Broad funds spread across sectors already, so they are not sector-capped
+const UNCAPPED_SECTORS = ["diversified"];
+
+/**
+ * Diversification rules for a profile
+ * @param {Object} profile - User profile
+ * @param {Number} candidateCount - Candidates available
+ * @returns {Object} { targetCount, minCount, maxPerSector, minETFs }
+ */
+function getBasketRules(profile, candidateCount) {
+    const goal = profile.goalConstraints || {};
+    const budget = profile.budgetConstraints || {};
+    const level = profile.diversificationLevel || {};
+
+    // Budget caps the positions a user can afford to hold
+    const maxCount = Math.min(level.maxAssets || Infinity, budget.maxPositionsCount || Infinity);
+    const minCount = Math.min(maxCount, Math.max(level.minAssets || 0, goal.minDiversification || 0));
+    const targetCount = Math.min(maxCount, candidateCount);
+
+    const cautious = goal.avoidHighVolatility || goal.avoidVolatility || goal.preferStable;
+    const sectorShare = cautious ? CAUTIOUS_MAX_SECTOR_SHARE : MAX_SECTOR_SHARE;
+    const sizeForCaps = Math.max(targetCount, minCount);
+
+    const wantsETFs = goal.recommendETFs ?? budget.recommendETFs ?? false;
+
+    return {
+        targetCount,
+        minCount,
+        maxPerSector: Math.max(1, Math.floor(sizeForCaps * sectorShare)),
+        minETFs: wantsETFs ? Math.ceil(sizeForCaps * MIN_ETF_SHARE) : 0
+    };
+}
+
+/**
+ * Whether a minimum-size position can buy at least one share
+ */
+function isAffordable(stock, profile) {
+    const { minPositionSize, preferFractional } = profile.budgetConstraints || {};
+    if (preferFractional || !minPositionSize) return true;
+    return stock.price <= minPositionSize;
+}
+
+/**
+ * Choose the basket from scored candidates
+ * ETFs are placed first up to the minimum ETF count, then the remaining slots
+ * go to the best-scored candidates whose sector still has room
+ * @param {Array} candidates - [{ stock, score, sector, isETF }] sorted by score, best first
+ * @param {Object} profile - User profile
+ * @returns {Object} { selected, summary, excluded }
+ */
+function buildBasket(candidates, profile) {
+    const excluded = [];
+    const affordable = candidates.filter(candidate => {
+        if (isAffordable(candidate.stock, profile)) return true;
+        excluded.push({ symbol: candidate.stock.symbol, reason: "One share costs more than your minimum position size" });
+        return false;
+    });
+
+    const rules = getBasketRules(profile, affordable.length);
+    const sectorCounts = new Map();
+    const chosen = new Set();
+
+    const hasRoom = candidate =>
+        UNCAPPED_SECTORS.includes(candidate.sector) ||
+        (sectorCounts.get(candidate.sector) || 0) < rules.maxPerSector;
+
+    const take = candidate => {
+        chosen.add(candidate);
+        sectorCounts.set(candidate.sector, (sectorCounts.get(candidate.sector) || 0) + 1);
+    };
+
+    for (const candidate of affordable) {
+        if (chosen.size >= Math.min(rules.minETFs, rules.targetCount)) break;
+        if (candidate.isETF && hasRoom(candidate)) take(candidate);
+    }
+
+    for (const candidate of affordable) {
+        if (chosen.size >= rules.targetCount) break;
+        if (!chosen.has(candidate) && hasRoom(candidate)) take(candidate);
+    }
+
+    for (const candidate of affordable) {
+        if (!chosen.has(candidate) && !hasRoom(candidate)) {
+            excluded.push({ symbol: candidate.stock.symbol, reason: `Sector cap reached for ${candidate.sector}` });
+        }
+    }
+
+    // Keep score order so the best picks get the largest allocations
+    const selected = affordable.filter(candidate => chosen.has(candidate));
+    const etfCount = selected.filter(candidate => candidate.isETF).length;
+
+    const warnings = [];
+    if (selected.length < rules.minCount) {
+        warnings.push(`Only ${selected.length} of the ${rules.minCount} positions your profile needs met the diversification rules`);
+    }
+    if (etfCount < Math.min(rules.minETFs, selected.length)) {
+        warnings.push(`Only ${etfCount} of ${rules.minETFs} recommended ETFs were available`);
+    }
+
+    return {
+        selected,
+        summary: {
+            positions: selected.length,
+            minPositions: rules.minCount,
+            maxPerSector: rules.maxPerSector,
+            sectors: Object.fromEntries(sectorCounts),
+            etfCount,
+            minETFs: rules.minETFs,
+            met: warnings.length === 0,
+            warnings
+        },
+        excluded
+    };
+}
+
+module.exports = {
+    MAX_SECTOR_SHARE,
+    MIN_ETF_SHARE,
+    getBasketRules,
+    buildBasket
+};
@@ -0,0 +1,214 @@
+const BenchmarkPrice = require("../models/benchmarkPrice.models");
+const PortfolioSnapshot = require("../models/portfolioSnapshot.models");
+const UserProfile = require("../models/userProfile.models");
+const { fetchQuoteMap } = require("./portfolioTrading.service");
+const {
+    startOfUTCDay,
+    getRangeStart,
+    getPeriodReturns,
+    computeTimeWeightedReturn
+} = require("./portfolioPerformance.service");
+
+/**
+ * Benchmark Service
+ * Records daily benchmark closes and compares portfolio returns against them
+ */
+
+const BENCHMARKS = {
+    SPY: "SPDR S&P 500 ETF",
+    QQQ: "Invesco QQQ (Nasdaq-100)",
+    AOR: "iShares Core Growth Allocation ETF (60/40)"
+};
+
+// Benchmark that best matches each profile risk level
+const RISK_LEVEL_BENCHMARKS = {
+    Conservative: "AOR",
+    Balanced: "SPY",
+    Aggressive: "QQQ"
+};
+
+/**
+ * Save today's close for every benchmark
+ * Re-running on the same day overwrites that day's price
+ */
+async function recordBenchmarkPrices() {
+    try {
+        const date = startOfUTCDay(new Date());
+        const quotes = await fetchQuoteMap(Object.keys(BENCHMARKS));
+
+        for (const [symbol, quote] of quotes) {
+            await BenchmarkPrice.findOneAndUpdate(
+                { symbol, date },
+                { symbol, date, price: quote.price, provider: quote.metadata?.provider || quote.provider },
+                { upsert: true }
+            );
+        }
+
+        console.log(`✅ Recorded ${quotes.size}/${Object.keys(BENCHMARKS).length} benchmark prices`);
+
+        return { success: true, pricesRecorded: quotes.size };
+    } catch (error) {
+        console.error("❌ Benchmark price error:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Benchmark symbol matching a user's risk level (SPY if there is no profile)
+ * @param {String} userId - User ID
+ * @returns {Promise<String>} Benchmark symbol
+ */
+async function getProfileBenchmark(userId) {
+    const profile = await UserProfile.findOne({ userId }).select("riskLevel").lean();
+    return RISK_LEVEL_BENCHMARKS[profile?.riskLevel] || "SPY";
+}
+
+/**
+ * Largest peak-to-trough fall of a return series
+ * @param {Array<Number>} returns - Period returns as fractions
+ * @returns {Number} Max drawdown as a percentage (0 or negative)
+ */
+function computeMaxDrawdown(returns) {
+    let value = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+
+    for (const r of returns) {
+        value *= 1 + r;
+        peak = Math.max(peak, value);
+        maxDrawdown = Math.min(maxDrawdown, value / peak - 1);
+    }
+
+    return maxDrawdown * 100;
+}
+
+/**
+ * Beta of portfolio returns against benchmark returns
+ * @param {Array<Number>} portfolioReturns - Period returns as fractions
+ * @param {Array<Number>} benchmarkReturns - Same periods, as fractions
+ * @returns {Number|null} Beta, or null without enough variation to measure it
+ */
+function computeBeta(portfolioReturns, benchmarkReturns) {
+    const n = portfolioReturns.length;
+    if (n < 2) return null;
+
+    const meanP = portfolioReturns.reduce((sum, r) => sum + r, 0) / n;
+    const meanB = benchmarkReturns.reduce((sum, r) => sum + r, 0) / n;
+
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (portfolioReturns[i] - meanP) * (benchmarkReturns[i] - meanB);
+        variance += (benchmarkReturns[i] - meanB) ** 2;
+    }
+
+    if (variance === 0) return null;
+
+    return covariance / variance;
+}
+
+/**
+ * Compare a portfolio's equity curve with a benchmark's closes
+ * Only days present in both series are used.
+ * @param {Array} snapshots - [{ date, totalValue, netContributions }] sorted by date
+ * @param {Array} prices - [{ date, price }] sorted by date
+ * @returns {Object} Comparison metrics (returns and drawdowns in percent)
+ */
+function compareToBenchmark(snapshots, prices) {
+    const priceByDay = new Map(prices.map(p => [new Date(p.date).getTime(), p.price]));
+    const points = snapshots.filter(s => priceByDay.has(new Date(s.date).getTime()));
+
+    const portfolioReturns = getPeriodReturns(points);
+    const benchmarkReturns = [];
+    for (let i = 1; i < points.length; i++) {
+        const previous = priceByDay.get(new Date(points[i - 1].date).getTime());
+        const current = priceByDay.get(new Date(points[i].date).getTime());
+        benchmarkReturns.push(current / previous - 1);
+    }
+
+    // Both series rebased to 100 on the first shared day
+    const series = [];
+    let portfolioIndex = 100;
+    let benchmarkIndex = 100;
+    points.forEach((point, i) => {
+        if (i > 0) {
+            portfolioIndex *= 1 + portfolioReturns[i - 1];
+            benchmarkIndex *= 1 + benchmarkReturns[i - 1];
+        }
+        series.push({ date: point.date, portfolio: portfolioIndex, benchmark: benchmarkIndex });
+    });
+
+    if (points.length < 2) {
+        return {
+            daysCompared: points.length,
+            portfolioReturn: null,
+            benchmarkReturn: null,
+            trackingDifference: null,
+            beta: null,
+            alpha: null,
+            portfolioMaxDrawdown: null,
+            benchmarkMaxDrawdown: null,
+            series
+        };
+    }
+
+    const portfolioReturn = computeTimeWeightedReturn(points);
+    const benchmarkReturn = (benchmarkIndex / 100 - 1) * 100;
+    const beta = computeBeta(portfolioReturns, benchmarkReturns);
+
+    return {
+        daysCompared: points.length,
+        portfolioReturn,
+        benchmarkReturn,
+        trackingDifference: portfolioReturn - benchmarkReturn,
+        beta,
+        // Return not explained by benchmark exposure over the period (risk-free rate taken as 0)
+        alpha: beta === null ? null : portfolioReturn - beta * benchmarkReturn,
+        portfolioMaxDrawdown: computeMaxDrawdown(portfolioReturns),
+        benchmarkMaxDrawdown: computeMaxDrawdown(benchmarkReturns),
+        series
+    };
+}
+
+/**
+ * Benchmark comparison for a portfolio
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} symbol - Benchmark symbol
+ * @param {String} range - 1M | 3M | 1Y | ALL
+ * @returns {Promise<Object>} Comparison data
+ */
+async function getBenchmarkComparison(portfolio, symbol, range = "ALL") {
+    const start = getRangeStart(range);
+    const dateFilter = start ? { date: { $gte: start } } : {};
+
+    const [snapshots, prices] = await Promise.all([
+        PortfolioSnapshot.find({ portfolioId: portfolio._id, ...dateFilter })
+            .sort({ date: 1 })
+            .select("date totalValue netContributions")
+            .lean(),
+        BenchmarkPrice.find({ symbol, ...dateFilter })
+            .sort({ date: 1 })
+            .select("date price")
+            .lean()
+    ]);
+
+    return {
+        range,
+        benchmark: {
+            symbol,
+            name: BENCHMARKS[symbol]
+        },
+        ...compareToBenchmark(snapshots, prices)
+    };
+}
+
+module.exports = {
+    BENCHMARKS,
+    RISK_LEVEL_BENCHMARKS,
+    recordBenchmarkPrices,
+    getProfileBenchmark,
+    computeMaxDrawdown,
+    computeBeta,
+    compareToBenchmark,
+    getBenchmarkComparison
+};
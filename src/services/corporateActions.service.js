@@ -0,0 +1,296 @@
+const VirtualPortfolio = require("../models/virtualPortfolio.models");
+const providerManager = require("./providerManager.service");
+const portfolioTrading = require("./portfolioTrading.service");
+const { createPortfolioNotification } = require("./notification.service");
+
+/**
+ * Corporate Actions Service
+ * Credits cash dividends and applies stock splits to virtual holdings.
+ * Each action is recorded once per portfolio as a "dividend" or "split"
+ * transaction, keyed by actionKey so re-runs are safe.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each run looks; covers the gap between ex-date and pay date
+const LOOKBACK_DAYS = 60;
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Unique key for an action on a symbol
+ */
+function getActionKey(kind, symbol, date) {
+    return `${kind}:${symbol}:${date}`;
+}
+
+/**
+ * Shares of a symbol held just before a date, replayed from transactions
+ * Shares sold on or after the date still count, as they would for an ex-date
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} symbol - Stock symbol
+ * @param {Date} date - Cut-off (exclusive)
+ * @returns {Number} Shares held
+ */
+function getSharesHeldBefore(portfolio, symbol, date) {
+    const transactions = portfolio.transactions
+        .filter(t => t.symbol === symbol && t.date < date)
+        .sort((a, b) => a.date - b.date);
+
+    let shares = 0;
+
+    for (const transaction of transactions) {
+        if (transaction.type === "buy") {
+            shares += transaction.quantity;
+        } else if (transaction.type === "sell") {
+            shares -= transaction.quantity;
+        } else if (transaction.type === "split") {
+            shares *= transaction.splitRatio;
+        }
+    }
+
+    return Math.max(0, portfolioTrading.roundQuantity(shares));
+}
+
+/**
+ * Credit a cash dividend to a portfolio (does not save)
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} symbol - Stock symbol
+ * @param {Object} dividend - { exDate, payDate, amount }
+ * @returns {Object|null} Transaction recorded, or null when no shares were eligible
+ */
+function applyDividend(portfolio, symbol, dividend) {
+    const exDate = new Date(dividend.exDate);
+    const shares = getSharesHeldBefore(portfolio, symbol, exDate);
+    if (shares <= 0) return null;
+
+    const total = shares * dividend.amount;
+    const holding = portfolio.holdings.find(h => h.symbol === symbol);
+
+    portfolio.availableCash += total;
+
+    portfolio.transactions.push({
+        type: "dividend",
+        symbol,
+        name: holding?.name,
+        quantity: shares,
+        price: dividend.amount,
+        total,
+        exDate,
+        payDate: new Date(dividend.payDate),
+        actionKey: getActionKey("dividend", symbol, dividend.exDate),
+        date: new Date(dividend.payDate)
+    });
+
+    return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Apply a stock split to a portfolio (does not save)
+ * Lots bought before the split date are multiplied by the ratio and their
+ * price divided by it, so cost basis is unchanged. Pending orders placed
+ * before the split are adjusted the same way.
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} symbol - Stock symbol
+ * @param {Object} split - { date, ratio } (shares after per share before)
+ * @returns {Object|null} Transaction recorded, or null when nothing was held
+ */
+function applySplit(portfolio, symbol, split) {
+    const splitDate = new Date(split.date);
+    const holding = portfolio.holdings.find(h => h.symbol === symbol);
+    if (!holding) return null;
+
+    portfolioTrading.ensureLots(holding);
+
+    let sharesBefore = 0;
+    let sharesAfter = 0;
+
+    for (const lot of holding.lots) {
+        if (lot.acquiredAt >= splitDate) continue;
+
+        sharesBefore += lot.quantity;
+        lot.quantity = portfolioTrading.roundQuantity(lot.quantity * split.ratio);
+        lot.price = lot.price / split.ratio;
+        sharesAfter += lot.quantity;
+    }
+
+    if (sharesBefore <= 0) return null;
+
+    holding.quantity = portfolioTrading.roundQuantity(
+        holding.lots.reduce((sum, lot) => sum + lot.quantity, 0)
+    );
+    holding.averagePrice = holding.totalCost / holding.quantity;
+
+    for (const order of portfolio.pendingOrders) {
+        if (order.status !== "pending" || order.symbol !== symbol || order.createdAt >= splitDate) continue;
+
+        // Reserved cash stays the same: more shares at a lower price
+        order.quantity = portfolioTrading.roundQuantity(order.quantity * split.ratio);
+        if (order.limitPrice) order.limitPrice = order.limitPrice / split.ratio;
+        if (order.stopPrice) order.stopPrice = order.stopPrice / split.ratio;
+    }
+
+    portfolio.transactions.push({
+        type: "split",
+        symbol,
+        name: holding.name,
+        quantity: portfolioTrading.roundQuantity(sharesAfter - sharesBefore),
+        splitRatio: split.ratio,
+        actionKey: getActionKey("split", symbol, split.date),
+        date: splitDate
+    });
+
+    return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Apply the given actions to a portfolio, oldest first (does not save)
+ * Actions already recorded, and dividends not yet paid, are skipped
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Map} actionsBySymbol - symbol -> { dividends, splits }
+ * @param {Date} now - Reference time
+ * @returns {Array} Transactions recorded
+ */
+function applyCorporateActions(portfolio, actionsBySymbol, now = new Date()) {
+    const recorded = new Set(portfolio.transactions.map(t => t.actionKey).filter(Boolean));
+    const symbols = new Set([
+        ...portfolio.holdings.map(h => h.symbol),
+        ...portfolio.transactions.map(t => t.symbol)
+    ]);
+    const applied = [];
+
+    for (const symbol of symbols) {
+        const actions = actionsBySymbol.get(symbol);
+        if (!actions) continue;
+
+        // A split and a dividend on the same day: the dividend is per pre-split share
+        const events = [
+            ...(actions.dividends || []).map(d => ({ kind: "dividend", date: d.exDate, action: d })),
+            ...(actions.splits || []).map(s => ({ kind: "split", date: s.date, action: s }))
+        ].sort((a, b) => a.date.localeCompare(b.date) || (a.kind === "dividend" ? -1 : 1));
+
+        for (const { kind, date, action } of events) {
+            if (recorded.has(getActionKey(kind, symbol, date))) continue;
+
+            let transaction = null;
+
+            if (kind === "dividend") {
+                if (!(action.amount > 0) || new Date(action.payDate) > now) continue;
+                transaction = applyDividend(portfolio, symbol, action);
+            } else {
+                if (!(action.ratio > 0) || action.ratio === 1 || new Date(action.date) > now) continue;
+                transaction = applySplit(portfolio, symbol, action);
+            }
+
+            if (transaction) {
+                recorded.add(transaction.actionKey);
+                applied.push(transaction);
+            }
+        }
+    }
+
+    return applied;
+}
+
+/**
+ * Describe a corporate-action transaction for notifications
+ */
+function describeAction(transaction, portfolioName) {
+    if (transaction.type === "dividend") {
+        return `You received a $${transaction.total.toFixed(2)} dividend from ${transaction.symbol} in ${portfolioName}`;
+    }
+    const ratio = transaction.splitRatio >= 1
+        ? `${transaction.splitRatio}-for-1`
+        : `1-for-${Math.round(1 / transaction.splitRatio)}`;
+    return `${transaction.symbol} had a ${ratio} split; your shares in ${portfolioName} were adjusted`;
+}
+
+/**
+ * Fetch recent dividends and splits for every held symbol and apply them
+ */
+async function processCorporateActions() {
+    try {
+        const startTime = new Date();
+        console.log(`💵 Processing corporate actions at ${startTime.toISOString()}...`);
+
+        const portfolios = await VirtualPortfolio.find({ "holdings.0": { $exists: true } });
+
+        if (portfolios.length === 0) {
+            console.log("ℹ️ No holdings to process corporate actions for");
+            return { success: true, portfoliosChecked: 0, dividendsCredited: 0, splitsApplied: 0 };
+        }
+
+        const from = toDateString(new Date(startTime.getTime() - LOOKBACK_DAYS * DAY_MS));
+        const to = toDateString(startTime);
+        const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+
+        // One request per symbol, shared by every portfolio that holds it
+        const actionsBySymbol = new Map();
+        for (const symbol of symbols) {
+            try {
+                actionsBySymbol.set(symbol, await providerManager.getCorporateActions(symbol, from, to));
+            } catch (error) {
+                console.warn(`⚠️ Skipping corporate actions for ${symbol}: ${error.message}`);
+            }
+        }
+
+        let dividendsCredited = 0;
+        let splitsApplied = 0;
+        let failed = 0;
+
+        for (const portfolio of portfolios) {
+            try {
+                const applied = applyCorporateActions(portfolio, actionsBySymbol, startTime);
+                if (applied.length === 0) continue;
+
+                await portfolio.save();
+
+                for (const transaction of applied) {
+                    if (transaction.type === "dividend") {
+                        dividendsCredited++;
+                    } else {
+                        splitsApplied++;
+                    }
+
+                    await createPortfolioNotification(
+                        portfolio.userId,
+                        describeAction(transaction, portfolio.name),
+                        { symbol: transaction.symbol, type: transaction.type }
+                    );
+                }
+            } catch (error) {
+                console.error(`❌ Corporate actions failed for portfolio ${portfolio._id}:`, error.message);
+                failed++;
+            }
+        }
+
+        const duration = new Date() - startTime;
+        console.log(`✅ Corporate actions processed in ${duration}ms: ${dividendsCredited} dividends, ${splitsApplied} splits (${failed} failed)`);
+
+        return {
+            success: true,
+            portfoliosChecked: portfolios.length,
+            symbolsChecked: actionsBySymbol.size,
+            dividendsCredited,
+            splitsApplied,
+            failed,
+            duration
+        };
+    } catch (error) {
+        console.error("❌ Corporate action processing error:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    getSharesHeldBefore,
+    applyDividend,
+    applySplit,
+    applyCorporateActions,
+    processCorporateActions
+};
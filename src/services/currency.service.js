@@ -0,0 +1,54 @@
+const providerManager = require("./providerManager.service");
+
+/**
+ * Currency Service
+ * Converts USD portfolio amounts for display in other currencies
+ */
+
+const SUPPORTED_CURRENCIES = ["USD", "NGN"];
+
+/**
+ * USD -> currency exchange rate
+ * @param {String} currency - USD | NGN
+ * @returns {Promise<Object>} { currency, rate, provider, timestamp, staleness }
+ */
+async function getUsdRate(currency) {
+    if (currency === "USD") {
+        return { currency, rate: 1, provider: null, timestamp: null, staleness: "fresh" };
+    }
+
+    const fx = await providerManager.getExchangeRate("USD", currency);
+
+    return {
+        currency,
+        rate: fx.rate,
+        provider: fx.provider,
+        timestamp: fx.timestamp,
+        staleness: fx.metadata?.staleness || "unknown"
+    };
+}
+
+/**
+ * Copy of an object with the given amount fields multiplied by a rate
+ * @param {Object} source - Object with USD amounts
+ * @param {Array<String>} fields - Amount fields to convert
+ * @param {Number} rate - USD -> target rate
+ * @returns {Object} Converted copy
+ */
+function convertAmounts(source, fields, rate) {
+    const converted = { ...source };
+
+    for (const field of fields) {
+        if (typeof converted[field] === "number") {
+            converted[field] = converted[field] * rate;
+        }
+    }
+
+    return converted;
+}
+
+module.exports = {
+    SUPPORTED_CURRENCIES,
+    getUsdRate,
+    convertAmounts
+};
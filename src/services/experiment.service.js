@@ -0,0 +1,290 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Experiment = require("../models/experiment.models");
+const RecommendationSession = require("../models/recommendationSession.models");
+const ActivityLog = require("../models/activityLog.models");
+const { DEFAULT_STRATEGY, getStrategy, getStrategyKey } = require("./scoringStrategy.service");
+
+/**
+ * Experiment Service
+ * Splits users across scoring strategies for A/B tests. Assignment hashes
+ * the user and experiment name, so a user stays in the same arm for the
+ * whole experiment without storing the assignment.
+ */
+
+const FEEDBACK_RATINGS = ["like", "dislike", "already_own", "not_interested"];
+const NEGATIVE_RATINGS = ["dislike", "not_interested"];
+
+/**
+ * Stable position in [0, 1) for a user within an experiment
+ * @param {String} userId - User ID
+ * @param {String} experimentName - Experiment name
+ * @returns {Number} Bucket
+ */
+function getBucket(userId, experimentName) {
+    const hash = crypto.createHash("sha256").update(`${experimentName}:${userId}`).digest("hex");
+    return parseInt(hash.slice(0, 8), 16) / 0x100000000;
+}
+
+/**
+ * Arm a user falls into, by traffic weight
+ * @param {Object} experiment - Experiment with arms
+ * @param {String} userId - User ID
+ * @returns {Object|null} Arm (null when no arm has traffic)
+ */
+function assignArm(experiment, userId) {
+    const totalWeight = experiment.arms.reduce((sum, arm) => sum + arm.weight, 0);
+    if (totalWeight <= 0) return null;
+
+    let point = getBucket(userId, experiment.name) * totalWeight;
+    for (const arm of experiment.arms) {
+        if (point < arm.weight) return arm;
+        point -= arm.weight;
+    }
+
+    return experiment.arms[experiment.arms.length - 1];
+}
+
+/**
+ * The running experiment, if any
+ */
+async function getActiveExperiment() {
+    return await Experiment.findOne({ status: "active" }).sort({ startedAt: -1 }).lean();
+}
+
+/**
+ * Strategy to score a user's recommendations with
+ * Falls back to the default strategy outside experiments or on any error
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { strategy, experiment: { experimentId, name, arm } | null }
+ */
+async function resolveStrategy(userId) {
+    try {
+        const experiment = await getActiveExperiment();
+
+        if (experiment) {
+            const arm = assignArm(experiment, userId);
+            const strategy = arm ? await getStrategy(arm.strategyName, arm.strategyVersion) : null;
+
+            if (strategy) {
+                return {
+                    strategy,
+                    experiment: { experimentId: experiment._id, name: experiment.name, arm: arm.name }
+                };
+            }
+        }
+    } catch (error) {
+        console.error("❌ Failed to resolve scoring strategy:", error.message);
+    }
+
+    return { strategy: DEFAULT_STRATEGY, experiment: null };
+}
+
+/**
+ * Start an experiment; any running experiment is stopped first
+ * @param {Object} input - { name, description, arms: [{ name, strategyName, strategyVersion, weight }] }
+ * @returns {Promise<Object>} { success, experiment } or { success: false, statusCode, error }
+ */
+async function createExperiment({ name, description, arms }) {
+    if (typeof name !== "string" || !name.trim()) {
+        return { success: false, statusCode: 400, error: "Experiment name is required" };
+    }
+
+    if (!Array.isArray(arms) || arms.length < 2) {
+        return { success: false, statusCode: 400, error: "An experiment needs at least two arms" };
+    }
+
+    const armNames = new Set();
+    for (const arm of arms) {
+        if (typeof arm?.name !== "string" || !arm.name.trim()) {
+            return { success: false, statusCode: 400, error: "Every arm needs a name" };
+        }
+        if (armNames.has(arm.name)) {
+            return { success: false, statusCode: 400, error: `Duplicate arm name '${arm.name}'` };
+        }
+        armNames.add(arm.name);
+
+        if (arm.weight !== undefined && (typeof arm.weight !== "number" || !(arm.weight >= 0))) {
+            return { success: false, statusCode: 400, error: `Weight for arm '${arm.name}' must be a non-negative number` };
+        }
+
+        const strategy = await getStrategy(arm.strategyName, Number(arm.strategyVersion));
+        if (!strategy) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: `Strategy ${arm.strategyName}@v${arm.strategyVersion} not found for arm '${arm.name}'`
+            };
+        }
+    }
+
+    if (arms.every(arm => arm.weight === 0)) {
+        return { success: false, statusCode: 400, error: "At least one arm needs traffic" };
+    }
+
+    if (await Experiment.exists({ name: name.trim() })) {
+        return { success: false, statusCode: 409, error: "An experiment with this name already exists" };
+    }
+
+    await Experiment.updateMany({ status: "active" }, { status: "stopped", stoppedAt: new Date() });
+
+    const experiment = await Experiment.create({
+        name: name.trim(),
+        description,
+        arms: arms.map(arm => ({
+            name: arm.name,
+            strategyName: arm.strategyName,
+            strategyVersion: Number(arm.strategyVersion),
+            weight: arm.weight ?? 1
+        }))
+    });
+
+    return { success: true, experiment };
+}
+
+/**
+ * Stop a running experiment; users go back to the default strategy
+ * @param {String} experimentId - Experiment ID
+ * @returns {Promise<Object>} { success, experiment } or { success: false, statusCode, error }
+ */
+async function stopExperiment(experimentId) {
+    const experiment = mongoose.isValidObjectId(experimentId)
+        ? await Experiment.findById(experimentId)
+        : null;
+
+    if (!experiment) {
+        return { success: false, statusCode: 404, error: "Experiment not found" };
+    }
+
+    if (experiment.status === "stopped") {
+        return { success: false, statusCode: 400, error: "Experiment is already stopped" };
+    }
+
+    experiment.status = "stopped";
+    experiment.stoppedAt = new Date();
+    await experiment.save();
+
+    return { success: true, experiment };
+}
+
+function toRate(count, total) {
+    return total > 0 ? (count / total) * 100 : 0;
+}
+
+/**
+ * Per-arm view and feedback rates
+ * Session counts come from the sessions each arm generated (viewed is set by
+ * markAsViewed); event counts come from recommendation activity logs
+ * @param {Object} experiment - Experiment
+ * @returns {Promise<Array>} One entry per arm
+ */
+async function getExperimentStats(experiment) {
+    const ratedIn = ratings => ({
+        $size: {
+            $filter: {
+                input: "$recommendations",
+                as: "r",
+                cond: { $in: ["$$r.feedback.rating", ratings] }
+            }
+        }
+    });
+
+    const [sessionStats, activityStats] = await Promise.all([
+        RecommendationSession.aggregate([
+            { $match: { "experiment.experimentId": experiment._id } },
+            {
+                $project: {
+                    arm: "$experiment.arm",
+                    userId: 1,
+                    viewed: 1,
+                    recommendations: { $size: "$recommendations" },
+                    rated: ratedIn(FEEDBACK_RATINGS),
+                    liked: ratedIn(["like"]),
+                    disliked: ratedIn(NEGATIVE_RATINGS)
+                }
+            },
+            {
+                $group: {
+                    _id: "$arm",
+                    sessions: { $sum: 1 },
+                    users: { $addToSet: "$userId" },
+                    viewed: { $sum: { $cond: ["$viewed", 1, 0] } },
+                    recommendations: { $sum: "$recommendations" },
+                    rated: { $sum: "$rated" },
+                    liked: { $sum: "$liked" },
+                    disliked: { $sum: "$disliked" }
+                }
+            }
+        ]),
+        ActivityLog.aggregate([
+            {
+                $match: {
+                    action: { $in: ["recommendation_view", "recommendation_feedback"] },
+                    "details.experimentId": String(experiment._id)
+                }
+            },
+            {
+                $group: {
+                    _id: { arm: "$details.arm", action: "$action" },
+                    events: { $sum: 1 },
+                    users: { $addToSet: "$userId" }
+                }
+            }
+        ])
+    ]);
+
+    const activityFor = (arm, action) => {
+        const row = activityStats.find(a => a._id.arm === arm && a._id.action === action);
+        return { events: row?.events || 0, users: row?.users.length || 0 };
+    };
+
+    return experiment.arms.map(arm => {
+        const stats = sessionStats.find(s => s._id === arm.name);
+        const sessions = stats?.sessions || 0;
+        const recommendations = stats?.recommendations || 0;
+        const rated = stats?.rated || 0;
+
+        return {
+            arm: arm.name,
+            strategy: getStrategyKey({ name: arm.strategyName, version: arm.strategyVersion }),
+            weight: arm.weight,
+            users: stats?.users.length || 0,
+            sessions,
+            viewed: stats?.viewed || 0,
+            viewRate: toRate(stats?.viewed || 0, sessions),
+            recommendations,
+            rated,
+            feedbackRate: toRate(rated, recommendations),
+            likeRate: toRate(stats?.liked || 0, rated),
+            dislikeRate: toRate(stats?.disliked || 0, rated),
+            activity: {
+                views: activityFor(arm.name, "recommendation_view"),
+                feedback: activityFor(arm.name, "recommendation_feedback")
+            }
+        };
+    });
+}
+
+/**
+ * Experiments, newest first, with per-arm stats
+ * @returns {Promise<Array>} Experiments
+ */
+async function listExperiments() {
+    const experiments = await Experiment.find().sort({ startedAt: -1 }).lean();
+
+    return await Promise.all(experiments.map(async experiment => ({
+        ...experiment,
+        stats: await getExperimentStats(experiment)
+    })));
+}
+
+module.exports = {
+    getBucket,
+    assignArm,
+    getActiveExperiment,
+    resolveStrategy,
+    createExperiment,
+    stopExperiment,
+    getExperimentStats,
+    listExperiments
+};
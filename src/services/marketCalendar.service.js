@@ -0,0 +1,426 @@
+/**
+ * Market Calendar Service
+ * Trading sessions, holidays and early closes for the exchanges we cover,
+ * evaluated in each exchange's own time zone so daylight saving is handled
+ * by the platform's time zone data rather than fixed UTC offsets.
+ *
+ * NGX closes for Eid al-Fitr, Eid al-Adha and Mawlid too, but those dates
+ * are declared by the Federal Government each year and are not computed here.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Session boundaries in minutes after local midnight
+const CALENDARS = {
+    US: {
+        name: "US equities (NYSE / Nasdaq)",
+        timeZone: "America/New_York",
+        preMarket: 4 * 60,
+        open: 9 * 60 + 30,
+        close: 16 * 60,
+        afterHours: 20 * 60,
+        earlyClose: 13 * 60,
+        earlyAfterHours: 17 * 60
+    },
+    NGX: {
+        name: "Nigerian Exchange",
+        timeZone: "Africa/Lagos",
+        preMarket: 9 * 60 + 30,
+        open: 10 * 60,
+        close: 14 * 60 + 30,
+        afterHours: 14 * 60 + 30
+    }
+};
+
+// Minutes between price monitoring runs
+const MONITORING_INTERVALS = {
+    open: 5,        // a regular session is open somewhere
+    extended: 15,   // only US pre-market / after-hours trading
+    closed: 30      // every market is closed
+};
+
+// Market whose regular session pending portfolio orders fill in
+const ORDER_MARKET = "US";
+
+const formatters = new Map();
+const holidayCache = new Map();
+
+/**
+ * Local calendar date, weekday and time of day in a time zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} { date: "YYYY-MM-DD", weekday: 0-6, minutes }
+ */
+function getZonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            weekday: "short"
+        }));
+    }
+
+    const parts = Object.fromEntries(
+        formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+/**
+ * Instant at which a local wall-clock time occurs in a time zone
+ * @param {String} dateString - Local date (YYYY-MM-DD)
+ * @param {Number} minutes - Minutes after local midnight
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dateString, minutes, timeZone) {
+    const [year, month, day] = dateString.split("-").map(Number);
+    const target = Date.UTC(year, month - 1, day, 0, minutes);
+
+    // Correct by the zone's offset; a second pass settles DST transitions
+    let utc = target;
+    for (let i = 0; i < 2; i++) {
+        const local = getZonedParts(new Date(utc), timeZone);
+        const [ly, lm, ld] = local.date.split("-").map(Number);
+        utc += target - Date.UTC(ly, lm - 1, ld, 0, local.minutes);
+    }
+
+    return new Date(utc);
+}
+
+function toDateString(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+    return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function getWeekday(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The nth given weekday of a month (n = -1 for the last one)
+ */
+function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+        const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        return toDateString(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+    }
+
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+    return toDateString(year, month, lastDay - ((last - weekday + 7) % 7));
+}
+
+/**
+ * Easter Sunday (Gregorian computus)
+ */
+function getEaster(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return toDateString(year, month, day);
+}
+
+/**
+ * NYSE observance: Saturday holidays move to Friday, Sunday holidays to Monday
+ */
+function observeUS(dateString) {
+    const weekday = getWeekday(dateString);
+    if (weekday === 6) return addDays(dateString, -1);
+    if (weekday === 0) return addDays(dateString, 1);
+    return dateString;
+}
+
+/**
+ * NYSE full-day holidays for a year
+ * @returns {Map} date -> holiday name
+ */
+function getUSHolidays(year) {
+    const holidays = new Map();
+
+    // A Saturday New Year's Day is not observed on the previous Friday
+    const newYear = toDateString(year, 1, 1);
+    if (getWeekday(newYear) !== 6) holidays.set(observeUS(newYear), "New Year's Day");
+
+    holidays.set(nthWeekday(year, 1, 1, 3), "Martin Luther King Jr. Day");
+    holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+    holidays.set(addDays(getEaster(year), -2), "Good Friday");
+    holidays.set(nthWeekday(year, 5, 1, -1), "Memorial Day");
+    if (year >= 2022) holidays.set(observeUS(toDateString(year, 6, 19)), "Juneteenth");
+    holidays.set(observeUS(toDateString(year, 7, 4)), "Independence Day");
+    holidays.set(nthWeekday(year, 9, 1, 1), "Labor Day");
+    holidays.set(nthWeekday(year, 11, 4, 4), "Thanksgiving Day");
+    holidays.set(observeUS(toDateString(year, 12, 25)), "Christmas Day");
+
+    return holidays;
+}
+
+/**
+ * NYSE 1 PM early closes for a year
+ * @returns {Map} date -> reason
+ */
+function getUSEarlyCloses(year) {
+    const earlyCloses = new Map();
+    const holidays = getUSHolidays(year);
+
+    const isWeekdayOpen = dateString => {
+        const weekday = getWeekday(dateString);
+        return weekday >= 1 && weekday <= 5 && !holidays.has(dateString);
+    };
+
+    // Only when the eve is Monday-Thursday; a Friday eve is the observed holiday itself
+    const julyThird = toDateString(year, 7, 3);
+    if (isWeekdayOpen(julyThird) && getWeekday(julyThird) !== 5) {
+        earlyCloses.set(julyThird, "Independence Day eve");
+    }
+
+    earlyCloses.set(addDays(nthWeekday(year, 11, 4, 4), 1), "Day after Thanksgiving");
+
+    const christmasEve = toDateString(year, 12, 24);
+    if (isWeekdayOpen(christmasEve)) earlyCloses.set(christmasEve, "Christmas Eve");
+
+    return earlyCloses;
+}
+
+/**
+ * NGX public holidays for a year
+ * Weekend holidays move to the next weekday that is not already a holiday
+ * @returns {Map} date -> holiday name
+ */
+function getNGXHolidays(year) {
+    const easter = getEaster(year);
+    const fixed = [
+        [toDateString(year, 1, 1), "New Year's Day"],
+        [addDays(easter, -2), "Good Friday"],
+        [addDays(easter, 1), "Easter Monday"],
+        [toDateString(year, 5, 1), "Workers' Day"],
+        [toDateString(year, 6, 12), "Democracy Day"],
+        [toDateString(year, 10, 1), "Independence Day"],
+        [toDateString(year, 12, 25), "Christmas Day"],
+        [toDateString(year, 12, 26), "Boxing Day"]
+    ].sort(([a], [b]) => a.localeCompare(b));
+
+    // Sorted, so a moved Christmas pushes Boxing Day along with it
+    const holidays = new Map();
+    for (const [date, name] of fixed) {
+        let observed = date;
+        while ([0, 6].includes(getWeekday(observed)) || holidays.has(observed)) {
+            observed = addDays(observed, 1);
+        }
+        holidays.set(observed, name);
+    }
+
+    return holidays;
+}
+
+/**
+ * Resolve an exchange name to a calendar
+ * @param {String} exchange - Exchange or market code (NASDAQ, NYSE, NGX, ...)
+ * @returns {String} Calendar key (US or NGX)
+ */
+function getCalendarKey(exchange) {
+    if (exchange && CALENDARS[exchange]) return exchange;
+    if (exchange && /NGX|NSENG|XNSA|NIGERIA|LAGOS/i.test(exchange)) return "NGX";
+    return "US";
+}
+
+function getCalendarYear(key, year) {
+    const cacheKey = `${key}:${year}`;
+
+    if (!holidayCache.has(cacheKey)) {
+        holidayCache.set(cacheKey, key === "NGX"
+            ? { holidays: getNGXHolidays(year), earlyCloses: new Map() }
+            : { holidays: getUSHolidays(year), earlyCloses: getUSEarlyCloses(year) });
+    }
+
+    return holidayCache.get(cacheKey);
+}
+
+/**
+ * Holiday name for a local date (null on ordinary days)
+ */
+function getHoliday(exchange, dateString) {
+    const key = getCalendarKey(exchange);
+    return getCalendarYear(key, Number(dateString.slice(0, 4))).holidays.get(dateString) || null;
+}
+
+/**
+ * Session times for a local date
+ * @param {String} exchange - Exchange or calendar key
+ * @param {String} dateString - Local date (YYYY-MM-DD)
+ * @returns {Object|null} { preMarket, open, close, afterHours, earlyClose } in local minutes,
+ *   null when the market is closed all day
+ */
+function getSession(exchange, dateString) {
+    const key = getCalendarKey(exchange);
+    const calendar = CALENDARS[key];
+    const weekday = getWeekday(dateString);
+
+    if (weekday === 0 || weekday === 6 || getHoliday(key, dateString)) return null;
+
+    const { earlyCloses } = getCalendarYear(key, Number(dateString.slice(0, 4)));
+    const earlyClose = earlyCloses.get(dateString) || null;
+
+    return {
+        preMarket: calendar.preMarket,
+        open: calendar.open,
+        close: earlyClose ? calendar.earlyClose : calendar.close,
+        afterHours: earlyClose ? calendar.earlyAfterHours : calendar.afterHours,
+        earlyClose
+    };
+}
+
+/**
+ * Whether the exchange trades on the local date of an instant
+ */
+function isTradingDay(exchange, now = new Date()) {
+    const key = getCalendarKey(exchange);
+    return getSession(key, getZonedParts(now, CALENDARS[key].timeZone).date) !== null;
+}
+
+/**
+ * Next regular-session open strictly after an instant
+ * @returns {Date|null} Open time
+ */
+function getNextOpen(exchange, now = new Date()) {
+    const key = getCalendarKey(exchange);
+    const { timeZone } = CALENDARS[key];
+    const today = getZonedParts(now, timeZone).date;
+
+    for (let i = 0; i <= 14; i++) {
+        const date = addDays(today, i);
+        const session = getSession(key, date);
+        if (!session) continue;
+
+        const openAt = zonedTimeToUtc(date, session.open, timeZone);
+        if (openAt > now) return openAt;
+    }
+
+    return null;
+}
+
+/**
+ * Current status of an exchange
+ * @param {String} exchange - Exchange or market code
+ * @param {Date} now - Instant to evaluate
+ * @returns {Object} { market, name, timeZone, localTime, status, isOpen, holiday, earlyClose,
+ *   opensAt, closesAt, nextOpen } where status is open | pre_market | after_hours | closed
+ */
+function getMarketStatus(exchange, now = new Date()) {
+    const key = getCalendarKey(exchange);
+    const calendar = CALENDARS[key];
+    const local = getZonedParts(now, calendar.timeZone);
+    const session = getSession(key, local.date);
+
+    let status = "closed";
+    if (session) {
+        if (local.minutes >= session.open && local.minutes < session.close) {
+            status = "open";
+        } else if (local.minutes >= session.preMarket && local.minutes < session.open) {
+            status = "pre_market";
+        } else if (local.minutes >= session.close && local.minutes < session.afterHours) {
+            status = "after_hours";
+        }
+    }
+
+    const hours = String(Math.floor(local.minutes / 60)).padStart(2, "0");
+    const minutes = String(local.minutes % 60).padStart(2, "0");
+
+    return {
+        market: key,
+        name: calendar.name,
+        timeZone: calendar.timeZone,
+        localTime: `${local.date} ${hours}:${minutes}`,
+        status,
+        isOpen: status === "open",
+        holiday: getHoliday(key, local.date),
+        earlyClose: session?.earlyClose || null,
+        opensAt: session ? zonedTimeToUtc(local.date, session.open, calendar.timeZone) : null,
+        closesAt: session ? zonedTimeToUtc(local.date, session.close, calendar.timeZone) : null,
+        nextOpen: status === "open" ? null : getNextOpen(key, now)
+    };
+}
+
+/**
+ * Status of every covered market
+ */
+function getAllMarketStatuses(now = new Date()) {
+    return Object.keys(CALENDARS).map(key => getMarketStatus(key, now));
+}
+
+/**
+ * Minutes between monitoring runs right now
+ * Regular sessions get the tightest interval, US extended hours a looser one,
+ * and nights, weekends and holidays the loosest
+ * @param {Date} now - Instant to evaluate
+ * @returns {Number} Interval in minutes
+ */
+function getMonitoringInterval(now = new Date()) {
+    const statuses = getAllMarketStatuses(now).map(market => market.status);
+
+    if (statuses.includes("open")) return MONITORING_INTERVALS.open;
+    if (statuses.includes("pre_market") || statuses.includes("after_hours")) return MONITORING_INTERVALS.extended;
+    return MONITORING_INTERVALS.closed;
+}
+
+/**
+ * Whether any covered market is in its regular session
+ */
+function isAnyMarketOpen(now = new Date()) {
+    return getAllMarketStatuses(now).some(market => market.isOpen);
+}
+
+/**
+ * Whether pending portfolio orders can fill now
+ * Virtual portfolios hold US-listed stocks, so orders only fill in
+ * the US regular session (not while only NGX is open)
+ */
+function canFillOrders(now = new Date()) {
+    return getMarketStatus(ORDER_MARKET, now).isOpen;
+}
+
+module.exports = {
+    CALENDARS,
+    MONITORING_INTERVALS,
+    getZonedParts,
+    zonedTimeToUtc,
+    getCalendarKey,
+    getUSHolidays,
+    getUSEarlyCloses,
+    getNGXHolidays,
+    getHoliday,
+    getSession,
+    isTradingDay,
+    getNextOpen,
+    getMarketStatus,
+    getAllMarketStatuses,
+    getMonitoringInterval,
+    isAnyMarketOpen,
+    canFillOrders
+};
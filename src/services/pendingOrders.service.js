@@ -0,0 +1,334 @@
+const VirtualPortfolio = require("../models/virtualPortfolio.models");
+const portfolioTrading = require("./portfolioTrading.service");
+const { calculateTradeCosts } = require("./tradingCosts.service");
+const { createPortfolioNotification } = require("./notification.service");
+
+/**
+ * Pending Orders Service
+ * Limit, stop and stop-limit orders for the virtual portfolio.
+ * Buy orders reserve cash (estimated platform fees included) when placed;
+ * a scheduled job fills orders once the live quote crosses their trigger.
+ */
+
+const ORDER_TYPES = ["limit", "stop", "stop_limit"];
+const ORDER_SIDES = ["buy", "sell"];
+
+/**
+ * Price used to reserve cash for a pending buy order
+ * @param {Object} order - Order fields
+ * @returns {Number} Reservation price per share
+ */
+function getReservationPrice(order) {
+    return order.orderType === "stop" ? order.stopPrice : order.limitPrice;
+}
+
+/**
+ * Decide whether an order triggers and/or fills at the given price
+ * @param {Object} order - Pending order
+ * @param {Number} price - Current market price
+ * @returns {Object} { triggered, fill }
+ */
+function evaluateOrder(order, price) {
+    const isBuy = order.side === "buy";
+    const limitReached = isBuy ? price <= order.limitPrice : price >= order.limitPrice;
+    const stopReached = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+
+    if (order.orderType === "limit") {
+        return { triggered: false, fill: limitReached };
+    }
+
+    if (order.orderType === "stop") {
+        return { triggered: stopReached, fill: stopReached };
+    }
+
+    // Stop-limit: the stop arms the order, then it behaves like a limit order
+    const triggered = !!order.triggeredAt || stopReached;
+    return { triggered, fill: triggered && limitReached };
+}
+
+/**
+ * Validate and place a pending order on a portfolio (does not save)
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} params - { symbol, side, orderType, quantity, limitPrice, stopPrice, platform }
+ * @returns {Promise<Object>} { success, order } or { success: false, statusCode, error }
+ */
+async function placeOrder(portfolio, { symbol, side, orderType, quantity, limitPrice, stopPrice, platform = "none" }) {
+    if (!ORDER_SIDES.includes(side)) {
+        return { success: false, statusCode: 400, error: "Side must be 'buy' or 'sell'" };
+    }
+
+    if (!ORDER_TYPES.includes(orderType)) {
+        return { success: false, statusCode: 400, error: "Order type must be 'limit', 'stop' or 'stop_limit'" };
+    }
+
+    if (orderType !== "stop" && !limitPrice) {
+        return { success: false, statusCode: 400, error: "A limit price is required for limit and stop-limit orders" };
+    }
+
+    if (orderType !== "limit" && !stopPrice) {
+        return { success: false, statusCode: 400, error: "A stop price is required for stop and stop-limit orders" };
+    }
+
+    const order = {
+        symbol,
+        side,
+        orderType,
+        quantity,
+        limitPrice: orderType === "stop" ? undefined : limitPrice,
+        stopPrice: orderType === "limit" ? undefined : stopPrice,
+        status: "pending",
+        reservedCash: 0
+    };
+
+    if (side === "buy") {
+        const costs = calculateTradeCosts(platform, "buy", quantity, getReservationPrice(order));
+        const reservedCash = costs.notional + costs.fees;
+
+        if (reservedCash > portfolio.availableCash) {
+            return { success: false, statusCode: 400, error: "Insufficient cash" };
+        }
+
+        order.name = await portfolioTrading.resolveName(symbol);
+        order.reservedCash = reservedCash;
+        portfolio.availableCash -= reservedCash;
+    } else {
+        const holding = portfolio.holdings.find(h => h.symbol === symbol);
+
+        if (!holding) {
+            return { success: false, statusCode: 404, error: "Holding not found" };
+        }
+
+        const uncommitted = portfolioTrading.roundQuantity(
+            holding.quantity - portfolioTrading.getCommittedQuantity(portfolio, symbol)
+        );
+        if (quantity > uncommitted) {
+            return { success: false, statusCode: 400, error: "Cannot sell more than you own" };
+        }
+
+        order.name = holding.name;
+    }
+
+    portfolio.pendingOrders.push(order);
+
+    return { success: true, order: portfolio.pendingOrders[portfolio.pendingOrders.length - 1] };
+}
+
+/**
+ * Release any cash reserved by a buy order
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} order - Pending order subdocument
+ */
+function releaseReservation(portfolio, order) {
+    if (order.reservedCash > 0) {
+        portfolio.availableCash += order.reservedCash;
+        order.reservedCash = 0;
+    }
+}
+
+/**
+ * Cancel a pending order and release its reservation (does not save)
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} orderId - Order ID
+ * @returns {Object} { success, order } or { success: false, statusCode, error }
+ */
+function cancelOrder(portfolio, orderId) {
+    const order = portfolio.pendingOrders.id(orderId);
+
+    if (!order) {
+        return { success: false, statusCode: 404, error: "Order not found" };
+    }
+
+    if (order.status !== "pending") {
+        return { success: false, statusCode: 400, error: `Order is already ${order.status}` };
+    }
+
+    releaseReservation(portfolio, order);
+    order.status = "cancelled";
+    order.cancelledAt = new Date();
+
+    return { success: true, order };
+}
+
+/**
+ * Fill a triggered order at the quote price with the platform's costs (does not save)
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} order - Pending order subdocument
+ * @param {Object} fillQuote - Quote from portfolioTrading.toFillQuote
+ * @param {String} costBasisMethod - fifo | average (sells only)
+ * @param {String} platform - Key of PLATFORM_FEE_PROFILES
+ * @returns {Object} { filled, transaction } or { filled: false, reason }
+ */
+function fillOrder(portfolio, order, fillQuote, costBasisMethod, platform = "none") {
+    const costs = calculateTradeCosts(platform, order.side, order.quantity, fillQuote.price);
+    let transaction;
+
+    if (order.side === "buy") {
+        releaseReservation(portfolio, order);
+
+        if (costs.notional + costs.fees > portfolio.availableCash) {
+            order.status = "rejected";
+            order.rejectionReason = "Insufficient cash at fill time";
+            return { filled: false, reason: order.rejectionReason };
+        }
+
+        transaction = portfolioTrading.applyBuy(portfolio, {
+            symbol: order.symbol,
+            name: order.name || order.symbol,
+            quantity: order.quantity,
+            price: costs.price,
+            limitPrice: order.limitPrice,
+            quote: fillQuote,
+            orderId: order._id,
+            costs
+        });
+    } else {
+        const holding = portfolio.holdings.find(h => h.symbol === order.symbol);
+
+        if (!holding || holding.quantity < order.quantity) {
+            order.status = "rejected";
+            order.rejectionReason = "Not enough shares at fill time";
+            return { filled: false, reason: order.rejectionReason };
+        }
+
+        const feeError = portfolioTrading.checkSaleCoversFees(costs);
+        if (feeError) {
+            order.status = "rejected";
+            order.rejectionReason = feeError;
+            return { filled: false, reason: order.rejectionReason };
+        }
+
+        transaction = portfolioTrading.applySell(portfolio, {
+            symbol: order.symbol,
+            quantity: order.quantity,
+            price: costs.price,
+            limitPrice: order.limitPrice,
+            quote: fillQuote,
+            orderId: order._id,
+            costBasisMethod,
+            costs
+        });
+    }
+
+    order.status = "filled";
+    order.fillPrice = costs.price;
+    order.filledAt = new Date();
+
+    return { filled: true, transaction };
+}
+
+/**
+ * Describe an order for notifications
+ */
+function describeOrder(order) {
+    const label = order.orderType.replace("_", "-");
+    return `${label} ${order.side} order for ${order.quantity} ${order.symbol}`;
+}
+
+/**
+ * Check every pending order against live quotes and fill the ones that cross
+ */
+async function processPendingOrders() {
+    try {
+        const startTime = new Date();
+        console.log(`📒 Processing pending orders at ${startTime.toISOString()}...`);
+
+        const portfolios = await VirtualPortfolio.find({ "pendingOrders.status": "pending" });
+
+        if (portfolios.length === 0) {
+            console.log("ℹ️ No pending orders to process");
+            return { success: true, portfoliosChecked: 0, ordersFilled: 0, ordersRejected: 0 };
+        }
+
+        const symbols = [...new Set(
+            portfolios.flatMap(p => p.pendingOrders.filter(o => o.status === "pending").map(o => o.symbol))
+        )];
+        const quotes = await portfolioTrading.fetchQuoteMap(symbols);
+
+        let ordersFilled = 0;
+        let ordersRejected = 0;
+
+        for (const portfolio of portfolios) {
+            try {
+                const events = [];
+                let changed = false;
+                let settings;
+
+                const pending = portfolio.pendingOrders
+                    .filter(o => o.status === "pending")
+                    .sort((a, b) => a.createdAt - b.createdAt);
+
+                for (const order of pending) {
+                    const quote = quotes.get(order.symbol);
+                    if (!quote) continue;
+
+                    const decision = evaluateOrder(order, quote.price);
+
+                    if (decision.triggered && !order.triggeredAt) {
+                        order.triggeredAt = new Date();
+                        changed = true;
+                    }
+
+                    if (!decision.fill) continue;
+
+                    if (!settings) {
+                        settings = await portfolioTrading.getPortfolioSettings(portfolio.userId);
+                    }
+
+                    const fillQuote = portfolioTrading.toFillQuote({ ...quote, symbol: order.symbol });
+                    const result = fillOrder(portfolio, order, fillQuote, settings.costBasisMethod, settings.tradingPlatform);
+                    events.push({ order, result, price: result.filled ? order.fillPrice : fillQuote.price });
+                    changed = true;
+                }
+
+                if (!changed) continue;
+
+                await portfolio.save();
+
+                for (const { order, result, price } of events) {
+                    if (result.filled) {
+                        ordersFilled++;
+                        await createPortfolioNotification(
+                            portfolio.userId,
+                            `Your ${describeOrder(order)} in ${portfolio.name} was filled at $${price.toFixed(2)}`,
+                            { symbol: order.symbol, price }
+                        );
+                    } else {
+                        ordersRejected++;
+                        await createPortfolioNotification(
+                            portfolio.userId,
+                            `Your ${describeOrder(order)} in ${portfolio.name} could not be filled: ${result.reason}`,
+                            { symbol: order.symbol, price }
+                        );
+                    }
+                }
+            } catch (error) {
+                console.error(`❌ Error processing orders for portfolio ${portfolio._id}:`, error.message);
+            }
+        }
+
+        const duration = new Date() - startTime;
+        console.log(`✅ Pending orders processed in ${duration}ms: ${ordersFilled} filled, ${ordersRejected} rejected`);
+
+        return {
+            success: true,
+            portfoliosChecked: portfolios.length,
+            symbolsQuoted: quotes.size,
+            ordersFilled,
+            ordersRejected,
+            duration
+        };
+    } catch (error) {
+        console.error("❌ Pending order processing error:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    ORDER_TYPES,
+    ORDER_SIDES,
+    evaluateOrder,
+    placeOrder,
+    cancelOrder,
+    fillOrder,
+    processPendingOrders
+};
@@ -0,0 +1,264 @@
+const PortfolioSnapshot = require("../models/portfolioSnapshot.models");
+const UserProfile = require("../models/userProfile.models");
+const providerManager = require("./providerManager.service");
+const recommendationEngine = require("./recommendation.engine.v2");
+const securityMaster = require("./securityMaster.service");
+const { calculatePortfolioValue, getPeriodReturns, getRangeStart } = require("./portfolioPerformance.service");
+
+/**
+ * Portfolio Analytics Service
+ * Allocation (sector, ETF vs stock, concentration), a volatility estimate
+ * and a diversification score, checked against the user's own profile
+ */
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Daily snapshots needed before realized volatility is reported
+const MIN_VOLATILITY_RETURNS = 10;
+
+// Annualized volatility (%) below which a portfolio counts as low / medium
+const VOLATILITY_LEVELS = {
+    low: 15,
+    medium: 25
+};
+
+/**
+ * Sector for a symbol from the security master
+ * Unknown symbols are looked up once through the company profile,
+ * which records them in the security master
+ * @param {String} symbol - Stock symbol
+ * @returns {Promise<String>} Sector key ("other" when unknown)
+ */
+async function resolveSector(symbol) {
+    if (securityMaster.getSecurity(symbol)) {
+        return securityMaster.getSector(symbol);
+    }
+
+    try {
+        const profile = await providerManager.getCompanyProfile(symbol);
+        return securityMaster.normalizeSector(profile?.sector || profile?.industry);
+    } catch (error) {
+        return "other";
+    }
+}
+
+/**
+ * Herfindahl index of a list of weights (1 = a single position)
+ */
+function herfindahl(weights) {
+    return weights.reduce((sum, w) => sum + w * w, 0);
+}
+
+/**
+ * Group weighted positions by a key
+ * @param {Array} positions - [{ symbol, value, weight, ... }]
+ * @param {String} key - Position field to group by
+ * @returns {Array} [{ [key], value, weight, symbols }] largest first
+ */
+function groupPositions(positions, key) {
+    const groups = new Map();
+
+    for (const position of positions) {
+        const group = groups.get(position[key]) || { [key]: position[key], value: 0, weight: 0, symbols: [] };
+        group.value += position.value;
+        group.weight += position.weight;
+        group.symbols.push(position.symbol);
+        groups.set(position[key], group);
+    }
+
+    return [...groups.values()].sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Annualized volatility from daily snapshot returns
+ * @param {Array} snapshots - [{ date, totalValue, netContributions }] sorted by date
+ * @returns {Number|null} Volatility as a percentage
+ */
+function computeAnnualizedVolatility(snapshots) {
+    const returns = getPeriodReturns(snapshots);
+    if (returns.length < MIN_VOLATILITY_RETURNS) return null;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+
+    return Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100;
+}
+
+/**
+ * Volatility estimate for a portfolio
+ * Uses the last 3 months of snapshots; before there are enough of them,
+ * falls back to the value-weighted volatility bucket of each holding
+ * @returns {Promise<Object>} { annualized, level, method }
+ */
+async function estimateVolatility(portfolio, positions) {
+    const snapshots = await PortfolioSnapshot.find({
+        portfolioId: portfolio._id,
+        date: { $gte: getRangeStart("3M") }
+    })
+        .sort({ date: 1 })
+        .select("date totalValue netContributions")
+        .lean();
+
+    const annualized = computeAnnualizedVolatility(snapshots);
+
+    if (annualized !== null) {
+        const level = annualized < VOLATILITY_LEVELS.low
+            ? "low"
+            : annualized < VOLATILITY_LEVELS.medium ? "medium" : "high";
+        return { annualized, level, method: "snapshots", observations: snapshots.length - 1 };
+    }
+
+    if (positions.length === 0) {
+        return { annualized: null, level: null, method: "none", observations: 0 };
+    }
+
+    const bucketScores = { low: 1, medium: 2, high: 3 };
+    const score = positions.reduce((sum, p) => sum + p.weight * bucketScores[p.volatility], 0);
+    const level = score < 1.5 ? "low" : score < 2.5 ? "medium" : "high";
+
+    return { annualized: null, level, method: "daily_change", observations: snapshots.length - 1 };
+}
+
+/**
+ * Diversification score from 0 to 100
+ * 50 points for the effective number of positions against the target,
+ * 30 for spread across sectors (4+ effective sectors scores full) and
+ * 20 for the share held in ETFs (half the portfolio or more scores full)
+ * @param {Object} inputs - { effectivePositions, effectiveSectors, etfWeight, targetPositions }
+ * @returns {Number} Score
+ */
+function computeDiversificationScore({ effectivePositions, effectiveSectors, etfWeight, targetPositions }) {
+    if (!effectivePositions) return 0;
+
+    const positionScore = Math.min(1, effectivePositions / targetPositions) * 50;
+    const sectorScore = Math.min(1, effectiveSectors / 4) * 30;
+    const etfScore = Math.min(1, etfWeight / 0.5) * 20;
+
+    return Math.round(positionScore + sectorScore + etfScore);
+}
+
+/**
+ * Compare the portfolio with the limits in the user's profile
+ * @returns {Array} [{ code, message }]
+ */
+function getProfileWarnings(profile, { positionsCount, volatility }) {
+    if (!profile) return [];
+
+    const warnings = [];
+    const minAssets = profile.diversificationLevel?.minAssets;
+    const maxAssets = profile.diversificationLevel?.maxAssets;
+    const maxPositions = profile.budgetConstraints?.maxPositionsCount;
+
+    if (minAssets && positionsCount < minAssets) {
+        warnings.push({
+            code: "below_min_assets",
+            message: `You hold ${positionsCount} positions; your profile calls for at least ${minAssets}`
+        });
+    }
+
+    if (maxAssets && positionsCount > maxAssets) {
+        warnings.push({
+            code: "above_max_assets",
+            message: `You hold ${positionsCount} positions; your profile calls for at most ${maxAssets}`
+        });
+    }
+
+    if (maxPositions && positionsCount > maxPositions) {
+        warnings.push({
+            code: "above_max_positions",
+            message: `You hold ${positionsCount} positions, more than the ${maxPositions} your budget supports`
+        });
+    }
+
+    const avoidsVolatility = profile.goalConstraints?.avoidHighVolatility || profile.goalConstraints?.avoidVolatility;
+    if (volatility.level === "high" && (profile.riskLevel === "Conservative" || avoidsVolatility)) {
+        warnings.push({
+            code: "volatility_above_risk_level",
+            message: "Portfolio volatility is high for your risk profile"
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * Allocation and risk analytics for a portfolio
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @returns {Promise<Object>} Analytics data
+ */
+async function getPortfolioAnalytics(portfolio) {
+    const [calculated, profile] = await Promise.all([
+        calculatePortfolioValue(portfolio),
+        UserProfile.findOne({ userId: portfolio.userId })
+            .select("riskLevel diversificationLevel budgetConstraints goalConstraints")
+            .lean()
+    ]);
+
+    const holdingsValue = calculated.holdings.reduce((sum, h) => sum + h.currentValue, 0);
+    const sectors = await Promise.all(calculated.holdings.map(h => resolveSector(h.symbol)));
+
+    const positions = calculated.holdings
+        .map((holding, index) => ({
+            symbol: holding.symbol,
+            name: holding.name,
+            value: holding.currentValue,
+            weight: holdingsValue > 0 ? holding.currentValue / holdingsValue : 0,
+            sector: sectors[index],
+            assetType: securityMaster.getSecurity(holding.symbol)?.assetType || "stock",
+            volatility: recommendationEngine.inferVolatility({ changePercent: holding.changePercent })
+        }))
+        .sort((a, b) => b.value - a.value);
+
+    const bySector = groupPositions(positions, "sector");
+    const byAssetType = groupPositions(positions, "assetType");
+    const etfWeight = byAssetType.find(g => g.assetType === "etf")?.weight || 0;
+
+    const positionsHHI = herfindahl(positions.map(p => p.weight));
+    const sectorHHI = herfindahl(bySector.map(g => g.weight));
+    const effectivePositions = positionsHHI > 0 ? 1 / positionsHHI : 0;
+    const effectiveSectors = sectorHHI > 0 ? 1 / sectorHHI : 0;
+
+    const volatility = await estimateVolatility(portfolio, positions);
+    const targetPositions = profile?.diversificationLevel?.minAssets || 5;
+
+    return {
+        totalValue: calculated.totalValue,
+        holdingsValue,
+        cashWeight: calculated.totalValue > 0 ? (calculated.totalValue - holdingsValue) / calculated.totalValue : 1,
+        positionsCount: positions.length,
+        sectors: bySector,
+        assetTypes: byAssetType,
+        concentration: {
+            positions: positions.map(({ symbol, name, value, weight }) => ({ symbol, name, value, weight })),
+            largestPosition: positions[0] ? { symbol: positions[0].symbol, weight: positions[0].weight } : null,
+            top3Weight: positions.slice(0, 3).reduce((sum, p) => sum + p.weight, 0),
+            herfindahlIndex: positionsHHI,
+            effectivePositions
+        },
+        volatility,
+        diversificationScore: computeDiversificationScore({
+            effectivePositions,
+            effectiveSectors,
+            etfWeight,
+            targetPositions
+        }),
+        profile: profile
+            ? {
+                riskLevel: profile.riskLevel,
+                minAssets: profile.diversificationLevel?.minAssets ?? null,
+                maxAssets: profile.diversificationLevel?.maxAssets ?? null,
+                maxPositionsCount: profile.budgetConstraints?.maxPositionsCount ?? null
+            }
+            : null,
+        warnings: getProfileWarnings(profile, { positionsCount: positions.length, volatility })
+    };
+}
+
+module.exports = {
+    VOLATILITY_LEVELS,
+    resolveSector,
+    computeAnnualizedVolatility,
+    computeDiversificationScore,
+    getProfileWarnings,
+    getPortfolioAnalytics
+};
@@ -0,0 +1,467 @@
+const portfolioTrading = require("./portfolioTrading.service");
+const providerManager = require("./providerManager.service");
+const { calculateTradeCosts } = require("./tradingCosts.service");
+
+/**
+ * Portfolio Import/Export Service
+ * Exports transaction history as CSV/JSON and replays broker-style
+ * CSV files into a virtual portfolio. Imported prices are checked
+ * against market data and charged platform costs like live trades.
+ */
+
+const EXPORT_COLUMNS = [
+    "date",
+    "type",
+    "symbol",
+    "name",
+    "quantity",
+    "price",
+    "total",
+    "costBasis",
+    "realizedPnL",
+    "costBasisMethod",
+    "platform",
+    "commission",
+    "fxFee",
+    "slippage",
+    "fees",
+    "splitRatio",
+    "exDate",
+    "payDate",
+    "limitPrice",
+    "provider",
+    "quoteTimestamp",
+    "source",
+    "orderId"
+];
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Header names used by common broker exports, mapped to our fields
+const HEADER_ALIASES = {
+    date: ["date", "trade date", "transaction date", "settlement date", "time"],
+    type: ["type", "action", "side", "transaction type", "buy/sell"],
+    symbol: ["symbol", "ticker", "instrument", "stock"],
+    name: ["name", "description", "security name", "company"],
+    quantity: ["quantity", "qty", "shares", "units"],
+    price: ["price", "unit price", "price per share", "fill price", "execution price"]
+};
+
+// Allowed gap between an imported price and the day's high/low (rounding in broker exports)
+const PRICE_RANGE_TOLERANCE = 0.01;
+
+const BUY_ACTIONS = ["buy", "bought", "b", "purchase"];
+const SELL_ACTIONS = ["sell", "sold", "s", "sale"];
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+/**
+ * Quote a value for CSV output when needed
+ * Text cells that a spreadsheet would read as a formula get a leading '
+ */
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) return "";
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && FORMULA_PREFIXES.includes(text[0])) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Plain export rows for a portfolio's transactions, oldest first
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @returns {Array<Object>} One object per transaction with EXPORT_COLUMNS keys
+ */
+function getExportRows(portfolio) {
+    return [...portfolio.transactions]
+        .sort((a, b) => a.date - b.date)
+        .map(transaction => {
+            const row = {};
+            for (const column of EXPORT_COLUMNS) {
+                row[column] = transaction[column] ?? null;
+            }
+            return row;
+        });
+}
+
+/**
+ * Render a portfolio's transactions as CSV
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @returns {String} CSV text with a header row
+ */
+function toCsv(portfolio) {
+    const lines = [EXPORT_COLUMNS.join(",")];
+
+    for (const row of getExportRows(portfolio)) {
+        lines.push(EXPORT_COLUMNS.map(column => escapeCsvValue(row[column])).join(","));
+    }
+
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Split CSV text into rows of cells (handles quoted fields and "" escapes)
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} Rows
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+/**
+ * Map our field names to column indexes in a CSV header
+ * @param {Array<String>} header - Header cells
+ * @returns {Object} field -> column index (missing fields are absent)
+ */
+function mapHeader(header) {
+    const normalized = header.map(h => h.trim().toLowerCase());
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+        const index = normalized.findIndex(h => aliases.includes(h));
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * UTC calendar date (YYYY-MM-DD) of a Date
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Strip currency symbols and thousands separators from a number cell
+ */
+function cleanNumber(value) {
+    return (value || "").replace(/[$₦,\s]/g, "");
+}
+
+/**
+ * Validate one CSV row
+ * @returns {Object} { trade } or { error }
+ */
+function parseRow(cells, columns, fractional) {
+    const cell = field => (columns[field] === undefined ? "" : (cells[columns[field]] || "").trim());
+
+    const action = cell("type").toLowerCase();
+    const side = BUY_ACTIONS.includes(action) ? "buy" : SELL_ACTIONS.includes(action) ? "sell" : null;
+    if (!side) {
+        return { error: `Unsupported action "${cell("type")}" (expected buy or sell)` };
+    }
+
+    const symbol = cell("symbol").toUpperCase();
+    if (!symbol) {
+        return { error: "Symbol is required" };
+    }
+
+    // Same rules as addHolding; the price column is required for a replay
+    const quantity = portfolioTrading.parseQuantity(cleanNumber(cell("quantity")));
+    const price = portfolioTrading.parseLimitPrice(cleanNumber(cell("price")));
+    if (quantity === null || !price) {
+        return { error: "Quantity and price must be positive" };
+    }
+
+    // Sells may close out fractional holdings even when fractional buys are off
+    const precisionError = portfolioTrading.checkQuantityPrecision(quantity, fractional || side === "sell");
+    if (precisionError) {
+        return { error: precisionError };
+    }
+
+    let date;
+    if (cell("date")) {
+        date = new Date(cell("date"));
+        if (isNaN(date.getTime())) {
+            return { error: `Invalid date "${cell("date")}"` };
+        }
+        if (date > new Date()) {
+            return { error: "Date cannot be in the future" };
+        }
+    }
+
+    return { trade: { side, symbol, name: cell("name"), quantity, price, date } };
+}
+
+/**
+ * Daily candles per symbol covering the dated trades, keyed by date
+ * @param {Array<Object>} trades - Parsed trades
+ * @returns {Promise<Map>} symbol -> Map(date -> candle), or null when no history is available
+ */
+async function fetchTradeCandles(trades) {
+    const ranges = new Map();
+
+    for (const trade of trades) {
+        if (!trade.date) continue;
+
+        const day = toDateString(trade.date);
+        const range = ranges.get(trade.symbol);
+        if (!range) {
+            ranges.set(trade.symbol, { from: day, to: day });
+        } else {
+            if (day < range.from) range.from = day;
+            if (day > range.to) range.to = day;
+        }
+    }
+
+    const candles = new Map();
+
+    for (const [symbol, { from, to }] of ranges) {
+        try {
+            const history = await providerManager.getCandles(symbol, from, to);
+            candles.set(symbol, new Map(history.candles.map(candle => [candle.date, candle])));
+        } catch (error) {
+            candles.set(symbol, null);
+        }
+    }
+
+    return candles;
+}
+
+/**
+ * Price an imported trade from market data
+ * Dated rows must fall within that day's traded range; undated rows
+ * fill at the live quote like a market order
+ * @param {Object} trade - Parsed trade
+ * @param {Map} candles - Result of fetchTradeCandles
+ * @returns {Promise<Object>} { price, quote } or { error }
+ */
+async function priceTrade(trade, candles) {
+    if (!trade.date) {
+        try {
+            const quote = await portfolioTrading.getFillQuote(trade.symbol);
+            return { price: quote.price, quote };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    const history = candles.get(trade.symbol);
+    if (!history) {
+        return { error: `No price history available to verify ${trade.symbol}` };
+    }
+
+    const day = toDateString(trade.date);
+    const candle = history.get(day);
+    if (!candle) {
+        return { error: `${trade.symbol} did not trade on ${day}` };
+    }
+
+    if (trade.price < candle.low - PRICE_RANGE_TOLERANCE || trade.price > candle.high + PRICE_RANGE_TOLERANCE) {
+        return {
+            error: `Price $${trade.price} is outside ${trade.symbol}'s range on ${day} ($${candle.low}-$${candle.high})`
+        };
+    }
+
+    return { price: trade.price };
+}
+
+/**
+ * Whether a portfolio has never traded (new or just reset)
+ */
+function isEmptyPortfolio(portfolio) {
+    return portfolio.transactions.length === 0 &&
+        portfolio.holdings.length === 0 &&
+        (portfolio.pendingOrders || []).length === 0;
+}
+
+/**
+ * Replay a broker-style CSV into a portfolio (does not save)
+ * Rows are applied oldest first; a row that fails is reported and skipped.
+ * Undated rows ignore the price column and fill at the live quote.
+ * Dated rows rebuild the portfolio's history from its starting cash, so
+ * they are only accepted into an empty (new or just reset) portfolio;
+ * otherwise a back-dated buy would be paid for with today's cash.
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} csvText - CSV with date, action, symbol, quantity and price columns
+ * @param {Object} options - { costBasisMethod, fractional, platform }
+ * @returns {Promise<Object>} { success, imported, failed, errors } or { success: false, statusCode, error }
+ */
+async function importCsv(portfolio, csvText, { costBasisMethod, fractional = true, platform = "none" } = {}) {
+    const rows = parseCsv(csvText || "");
+
+    if (rows.length < 2) {
+        return { success: false, statusCode: 400, error: "CSV must have a header row and at least one transaction" };
+    }
+
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        return { success: false, statusCode: 400, error: `CSV can have at most ${MAX_IMPORT_ROWS} rows` };
+    }
+
+    const columns = mapHeader(rows[0]);
+    const missing = ["type", "symbol", "quantity", "price"].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return { success: false, statusCode: 400, error: `CSV is missing columns: ${missing.join(", ")}` };
+    }
+
+    const errors = [];
+    const trades = [];
+
+    rows.slice(1).forEach((cells, index) => {
+        // Row 1 is the header
+        const row = index + 2;
+        const parsed = parseRow(cells, columns, fractional);
+
+        if (parsed.error) {
+            errors.push({ row, error: parsed.error });
+        } else {
+            trades.push({ row, ...parsed.trade });
+        }
+    });
+
+    if (trades.some(trade => trade.date)) {
+        if (!isEmptyPortfolio(portfolio)) {
+            return {
+                success: false,
+                statusCode: 409,
+                error: "Dated transactions can only be imported into a new or just-reset portfolio"
+            };
+        }
+
+        portfolio.availableCash = portfolio.initialCash;
+    }
+
+    // Undated rows keep their file order after the dated ones
+    const sortTime = trade => (trade.date ? trade.date.getTime() : Number.MAX_SAFE_INTEGER);
+    trades.sort((a, b) => sortTime(a) - sortTime(b));
+
+    const candles = await fetchTradeCandles(trades);
+    const names = new Map();
+    let imported = 0;
+
+    for (const trade of trades) {
+        const priced = await priceTrade(trade, candles);
+        if (priced.error) {
+            errors.push({ row: trade.row, error: priced.error });
+            continue;
+        }
+
+        const costs = calculateTradeCosts(platform, trade.side, trade.quantity, priced.price);
+
+        if (trade.side === "buy") {
+            if (costs.notional + costs.fees > portfolio.availableCash) {
+                errors.push({ row: trade.row, error: "Insufficient cash" });
+                continue;
+            }
+
+            if (!names.has(trade.symbol)) {
+                const holding = portfolio.holdings.find(h => h.symbol === trade.symbol);
+                names.set(trade.symbol, holding?.name || await portfolioTrading.resolveName(trade.symbol, trade.name));
+            }
+
+            portfolioTrading.applyBuy(portfolio, {
+                symbol: trade.symbol,
+                name: names.get(trade.symbol),
+                quantity: trade.quantity,
+                price: costs.price,
+                quote: priced.quote,
+                date: trade.date,
+                source: "import",
+                costs
+            });
+        } else {
+            const holding = portfolio.holdings.find(h => h.symbol === trade.symbol);
+
+            if (!holding) {
+                errors.push({ row: trade.row, error: "Holding not found" });
+                continue;
+            }
+
+            const available = portfolioTrading.roundQuantity(
+                holding.quantity - portfolioTrading.getCommittedQuantity(portfolio, trade.symbol)
+            );
+            if (trade.quantity > available) {
+                errors.push({ row: trade.row, error: "Cannot sell more than you own" });
+                continue;
+            }
+
+            const feeError = portfolioTrading.checkSaleCoversFees(costs);
+            if (feeError) {
+                errors.push({ row: trade.row, error: feeError });
+                continue;
+            }
+
+            portfolioTrading.applySell(portfolio, {
+                symbol: trade.symbol,
+                quantity: trade.quantity,
+                price: costs.price,
+                quote: priced.quote,
+                costBasisMethod,
+                date: trade.date,
+                source: "import",
+                costs
+            });
+        }
+
+        imported++;
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return {
+        success: true,
+        totalRows: rows.length - 1,
+        imported,
+        failed: errors.length,
+        errors
+    };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    MAX_IMPORT_ROWS,
+    getExportRows,
+    toCsv,
+    parseCsv,
+    importCsv
+};
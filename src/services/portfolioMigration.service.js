@@ -0,0 +1,42 @@
+const VirtualPortfolio = require("../models/virtualPortfolio.models");
+
+/**
+ * Portfolio Migration Service
+ * Brings deployments from one portfolio per user up to multiple named
+ * portfolios: drops the old unique userId index and marks each user's
+ * existing portfolio as their named default. Safe to run repeatedly.
+ */
+
+/**
+ * Run the multi-portfolio migration
+ * @returns {Promise<Object>} { success, droppedIndex, defaultsMarked } or { success: false, error }
+ */
+async function migrateMultiPortfolio() {
+    try {
+        const indexes = await VirtualPortfolio.collection.indexes();
+        const oldIndex = indexes.find(index => index.name === "userId_1" && index.unique);
+        if (oldIndex) {
+            await VirtualPortfolio.collection.dropIndex("userId_1");
+            console.log("✅ Dropped unique userId index on virtual portfolios");
+        }
+
+        const result = await VirtualPortfolio.updateMany(
+            { isDefault: { $exists: false } },
+            { $set: { isDefault: true, name: "My Portfolio" } }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`✅ Marked ${result.modifiedCount} existing portfolios as default`);
+        }
+
+        await VirtualPortfolio.syncIndexes();
+
+        return { success: true, droppedIndex: Boolean(oldIndex), defaultsMarked: result.modifiedCount };
+    } catch (error) {
+        console.error("❌ Portfolio migration failed:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    migrateMultiPortfolio
+};
@@ -0,0 +1,389 @@
+const VirtualPortfolio = require("../models/virtualPortfolio.models");
+const PortfolioSnapshot = require("../models/portfolioSnapshot.models");
+const priceAggregator = require("./priceAggregator.service");
+const { fetchQuoteMap } = require("./portfolioTrading.service");
+
+/**
+ * Portfolio Performance Service
+ * Values virtual portfolios, stores end-of-day snapshots and
+ * computes equity curves with time- and money-weighted returns
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_DAYS = {
+    "1M": 30,
+    "3M": 91,
+    "1Y": 365
+};
+
+/**
+ * Cash set aside for pending buy orders (still part of the portfolio's value)
+ */
+function getReservedCash(portfolio) {
+    return portfolio.pendingOrders
+        .filter(o => o.status === "pending")
+        .reduce((sum, o) => sum + o.reservedCash, 0);
+}
+
+/**
+ * Realized P&L per symbol from recorded sell transactions
+ * @param {Array} transactions - Portfolio transactions
+ * @returns {Map} symbol -> realized P&L
+ */
+function getRealizedPnLBySymbol(transactions) {
+    const realized = new Map();
+
+    for (const transaction of transactions) {
+        if (transaction.type !== "sell" || typeof transaction.realizedPnL !== "number") continue;
+        realized.set(transaction.symbol, (realized.get(transaction.symbol) || 0) + transaction.realizedPnL);
+    }
+
+    return realized;
+}
+
+/**
+ * Cash dividends received per symbol
+ * @param {Array} transactions - Portfolio transactions
+ * @returns {Map} symbol -> dividend income
+ */
+function getDividendIncomeBySymbol(transactions) {
+    const income = new Map();
+
+    for (const transaction of transactions) {
+        if (transaction.type !== "dividend") continue;
+        income.set(transaction.symbol, (income.get(transaction.symbol) || 0) + transaction.total);
+    }
+
+    return income;
+}
+
+/**
+ * Calculate portfolio value with current prices
+ */
+async function calculatePortfolioValue(portfolio) {
+    const reservedCash = getReservedCash(portfolio);
+    const realizedBySymbol = getRealizedPnLBySymbol(portfolio.transactions);
+    const realizedPnL = [...realizedBySymbol.values()].reduce((sum, value) => sum + value, 0);
+    const dividendsBySymbol = getDividendIncomeBySymbol(portfolio.transactions);
+    const dividendIncome = [...dividendsBySymbol.values()].reduce((sum, value) => sum + value, 0);
+
+    if (portfolio.holdings.length === 0) {
+        const totalValue = portfolio.availableCash + reservedCash;
+        const totalReturn = totalValue - portfolio.initialCash;
+
+        return {
+            totalValue,
+            totalReturn,
+            totalReturnPercent: (totalReturn / portfolio.initialCash) * 100,
+            realizedPnL,
+            unrealizedPnL: 0,
+            dividendIncome,
+            holdings: []
+        };
+    }
+
+    // Fetch current prices for all holdings
+    const symbols = portfolio.holdings.map(h => h.symbol);
+    const quotes = await Promise.all(
+        symbols.map(symbol =>
+            priceAggregator.getAggregatedQuote(symbol)
+                .catch(() => null)
+        )
+    );
+
+    // Calculate current value for each holding
+    const enrichedHoldings = portfolio.holdings.map((holding, index) => {
+        const quote = quotes[index];
+        const currentPrice = quote?.price || holding.averagePrice;
+        const currentValue = holding.quantity * currentPrice;
+        const totalReturn = currentValue - holding.totalCost;
+        const returnPercent = (totalReturn / holding.totalCost) * 100;
+
+        return {
+            ...holding.toObject(),
+            currentPrice,
+            changePercent: quote?.changePercent ?? null,
+            currentValue,
+            totalReturn,
+            returnPercent,
+            unrealizedPnL: totalReturn,
+            realizedPnL: realizedBySymbol.get(holding.symbol) || 0,
+            dividendIncome: dividendsBySymbol.get(holding.symbol) || 0
+        };
+    });
+
+    // Calculate total portfolio value
+    const holdingsValue = enrichedHoldings.reduce((sum, h) => sum + h.currentValue, 0);
+    const totalValue = holdingsValue + portfolio.availableCash + reservedCash;
+    const totalReturn = totalValue - portfolio.initialCash;
+    const totalReturnPercent = (totalReturn / portfolio.initialCash) * 100;
+
+    return {
+        totalValue,
+        totalReturn,
+        totalReturnPercent,
+        realizedPnL,
+        unrealizedPnL: enrichedHoldings.reduce((sum, h) => sum + h.unrealizedPnL, 0),
+        dividendIncome,
+        holdings: enrichedHoldings
+    };
+}
+
+/**
+ * Midnight UTC of the given day
+ * @param {Date} date - Any time on the day
+ * @returns {Date} Start of the UTC day
+ */
+function startOfUTCDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Build snapshot fields for a portfolio from a symbol -> quote map
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Map} quotes - symbol -> quote
+ * @param {Date} date - Snapshot day
+ * @returns {Object} Snapshot fields
+ */
+function buildSnapshot(portfolio, quotes, date) {
+    const holdings = portfolio.holdings.map(holding => {
+        const quote = quotes.get(holding.symbol);
+        const price = quote?.price || holding.averagePrice;
+
+        return {
+            symbol: holding.symbol,
+            quantity: holding.quantity,
+            price,
+            value: holding.quantity * price,
+            estimated: !quote?.price
+        };
+    });
+
+    const cash = portfolio.availableCash + getReservedCash(portfolio);
+    const holdingsValue = holdings.reduce((sum, h) => sum + h.value, 0);
+
+    return {
+        portfolioId: portfolio._id,
+        userId: portfolio.userId,
+        date: startOfUTCDay(date),
+        cash,
+        holdingsValue,
+        totalValue: cash + holdingsValue,
+        netContributions: portfolio.initialCash,
+        holdings
+    };
+}
+
+/**
+ * Save an end-of-day snapshot for every portfolio
+ * Re-running on the same day overwrites that day's snapshot
+ */
+async function takeDailySnapshots() {
+    try {
+        const startTime = new Date();
+        console.log(`📸 Taking portfolio snapshots at ${startTime.toISOString()}...`);
+
+        const portfolios = await VirtualPortfolio.find({});
+
+        if (portfolios.length === 0) {
+            console.log("ℹ️ No portfolios to snapshot");
+            return { success: true, snapshotsSaved: 0 };
+        }
+
+        const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+        const quotes = await fetchQuoteMap(symbols);
+
+        let snapshotsSaved = 0;
+        let failed = 0;
+
+        for (const portfolio of portfolios) {
+            try {
+                const snapshot = buildSnapshot(portfolio, quotes, startTime);
+
+                await PortfolioSnapshot.findOneAndUpdate(
+                    { portfolioId: snapshot.portfolioId, date: snapshot.date },
+                    snapshot,
+                    { upsert: true }
+                );
+                snapshotsSaved++;
+            } catch (error) {
+                console.error(`❌ Snapshot failed for portfolio ${portfolio._id}:`, error.message);
+                failed++;
+            }
+        }
+
+        const duration = new Date() - startTime;
+        console.log(`✅ Saved ${snapshotsSaved} portfolio snapshots in ${duration}ms (${failed} failed)`);
+
+        return {
+            success: true,
+            snapshotsSaved,
+            failed,
+            symbolsQuoted: quotes.size,
+            duration
+        };
+    } catch (error) {
+        console.error("❌ Portfolio snapshot error:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Time-weighted return over a series of snapshots
+ * Each period's return strips out contributions made during that period
+ * @param {Array} points - [{ date, totalValue, netContributions }] sorted by date
+ * @returns {Number|null} Return as a percentage
+ */
+function computeTimeWeightedReturn(points) {
+    if (points.length < 2) return null;
+
+    const growth = getPeriodReturns(points).reduce((product, r) => product * (1 + r), 1);
+
+    return (growth - 1) * 100;
+}
+
+/**
+ * Return of each period between consecutive snapshots, net of contributions
+ * @param {Array} points - [{ date, totalValue, netContributions }] sorted by date
+ * @returns {Array<Number>} Period returns as fractions (one fewer than points)
+ */
+function getPeriodReturns(points) {
+    const returns = [];
+
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const current = points[i];
+
+        if (previous.totalValue <= 0) {
+            returns.push(0);
+            continue;
+        }
+
+        const flow = current.netContributions - previous.netContributions;
+        returns.push((current.totalValue - flow) / previous.totalValue - 1);
+    }
+
+    return returns;
+}
+
+/**
+ * Money-weighted return (XIRR) over a series of snapshots
+ * The opening value counts as the initial investment and any later
+ * change in contributions as an additional cash flow
+ * @param {Array} points - [{ date, totalValue, netContributions }] sorted by date
+ * @returns {Object|null} { periodReturn, annualizedReturn } as percentages
+ */
+function computeMoneyWeightedReturn(points) {
+    if (points.length < 2) return null;
+
+    const start = new Date(points[0].date).getTime();
+    const last = points[points.length - 1];
+    const span = new Date(last.date).getTime() - start;
+    if (span <= 0) return null;
+
+    // Solve for the whole-period rate; times are fractions of the period
+    const flows = [{ t: 0, amount: -points[0].totalValue }];
+    for (let i = 1; i < points.length; i++) {
+        const contribution = points[i].netContributions - points[i - 1].netContributions;
+        if (contribution !== 0) {
+            flows.push({
+                t: (new Date(points[i].date).getTime() - start) / span,
+                amount: -contribution
+            });
+        }
+    }
+    flows.push({ t: 1, amount: last.totalValue });
+
+    const npv = rate => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.t), 0);
+
+    // Bisection: npv falls as the rate rises
+    let low = -0.9999;
+    let high = 1000;
+    if (npv(low) * npv(high) > 0) return null;
+
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (npv(mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const periodRate = (low + high) / 2;
+    const years = span / (365 * DAY_MS);
+
+    return {
+        periodReturn: periodRate * 100,
+        annualizedReturn: years >= 1 ? (Math.pow(1 + periodRate, 1 / years) - 1) * 100 : null
+    };
+}
+
+/**
+ * First day included in a performance range
+ * @param {String} range - 1M | 3M | 1Y | ALL
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Start date, or null for ALL
+ */
+function getRangeStart(range, now = new Date()) {
+    const days = RANGE_DAYS[range];
+    if (!days) return null;
+    return startOfUTCDay(new Date(now.getTime() - days * DAY_MS));
+}
+
+/**
+ * Equity curve and returns for a portfolio
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} range - 1M | 3M | 1Y | ALL
+ * @returns {Promise<Object>} Performance data
+ */
+async function getPerformance(portfolio, range = "ALL") {
+    const query = { portfolioId: portfolio._id };
+    const start = getRangeStart(range);
+    if (start) {
+        query.date = { $gte: start };
+    }
+
+    const snapshots = await PortfolioSnapshot.find(query)
+        .sort({ date: 1 })
+        .select("date cash holdingsValue totalValue netContributions")
+        .lean();
+
+    const equityCurve = snapshots.map(s => ({
+        date: s.date,
+        cash: s.cash,
+        holdingsValue: s.holdingsValue,
+        totalValue: s.totalValue,
+        netContributions: s.netContributions
+    }));
+
+    const moneyWeighted = computeMoneyWeightedReturn(equityCurve);
+
+    return {
+        range,
+        startDate: equityCurve[0]?.date || null,
+        endDate: equityCurve[equityCurve.length - 1]?.date || null,
+        snapshotsCount: equityCurve.length,
+        equityCurve,
+        timeWeightedReturn: computeTimeWeightedReturn(equityCurve),
+        moneyWeightedReturn: moneyWeighted?.periodReturn ?? null,
+        moneyWeightedReturnAnnualized: moneyWeighted?.annualizedReturn ?? null
+    };
+}
+
+module.exports = {
+    RANGE_DAYS,
+    startOfUTCDay,
+    getReservedCash,
+    getRealizedPnLBySymbol,
+    getDividendIncomeBySymbol,
+    calculatePortfolioValue,
+    buildSnapshot,
+    takeDailySnapshots,
+    computeTimeWeightedReturn,
+    getPeriodReturns,
+    computeMoneyWeightedReturn,
+    getRangeStart,
+    getPerformance
+};
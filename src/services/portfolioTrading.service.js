@@ -0,0 +1,609 @@
+const priceAggregator = require("./priceAggregator.service");
+const providerManager = require("./providerManager.service");
+const stockNameEnrichment = require("./stockNameEnrichment.service");
+const mongoose = require("mongoose");
+const FinnhubAdapter = require("./adapters/finnhubAdapter");
+const VirtualPortfolio = require("../models/virtualPortfolio.models");
+const PortfolioSettings = require("../models/portfolioSettings.models");
+const UserProfile = require("../models/userProfile.models");
+const { calculateTradeCosts, getExecutionPrice, getNotionalForBudget } = require("./tradingCosts.service");
+
+/**
+ * Portfolio Trading Service
+ * Fills virtual portfolio orders at server-side market prices.
+ * Client-supplied prices are only ever used as limit checks.
+ */
+
+const COST_BASIS_METHODS = ["fifo", "average"];
+
+// Lots smaller than this are treated as fully sold (floating point dust)
+const LOT_EPSILON = 1e-9;
+
+// Decimal places kept for fractional share quantities
+const QUANTITY_DECIMALS = parseInt(process.env.FRACTIONAL_SHARE_DECIMALS, 10) || 6;
+
+/**
+ * Convert a provider quote into the fields used to fill an order
+ * @param {Object} quote - Quote from providerManager / priceAggregator
+ * @returns {Object} Fill quote with provider and staleness metadata
+ */
+function toFillQuote(quote) {
+    return {
+        symbol: quote.symbol,
+        name: quote.name,
+        price: quote.price,
+        provider: quote.metadata?.provider || quote.provider || "unknown",
+        quoteTimestamp: quote.timestamp || new Date().toISOString(),
+        staleness: quote.metadata?.staleness || "unknown",
+        cacheAge: quote.metadata?.cacheAge || 0
+    };
+}
+
+/**
+ * Fetch the live quote used to fill an order
+ * @param {String} symbol - Stock symbol
+ * @returns {Promise<Object>} Fill quote with provider and staleness metadata
+ */
+async function getFillQuote(symbol) {
+    const quote = await priceAggregator.getAggregatedQuote(symbol);
+
+    if (!quote || !quote.price || quote.price <= 0) {
+        throw new Error(`No market price available for ${symbol}`);
+    }
+
+    return toFillQuote({ ...quote, symbol });
+}
+
+/**
+ * Fetch one quote per symbol, a few at a time
+ * @param {Array<String>} symbols - Distinct symbols
+ * @returns {Promise<Map>} symbol -> quote
+ */
+async function fetchQuoteMap(symbols) {
+    const quotes = new Map();
+    const batchSize = 5;
+
+    for (let i = 0; i < symbols.length; i += batchSize) {
+        const batch = symbols.slice(i, i + batchSize);
+
+        const results = await Promise.all(batch.map(symbol =>
+            providerManager.getQuote(symbol).catch(error => {
+                console.warn(`⚠️ No quote for ${symbol}: ${error.message}`);
+                return null;
+            })
+        ));
+
+        results.forEach((quote, index) => {
+            if (quote && quote.price) {
+                quotes.set(batch[index], quote);
+            }
+        });
+
+        // Small delay between batches to be respectful to APIs
+        if (i + batchSize < symbols.length) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    return quotes;
+}
+
+/**
+ * Resolve a display name for a symbol, preferring the quote's name
+ * @param {String} symbol - Stock symbol
+ * @param {String} quoteName - Name returned with the quote (may be empty)
+ * @returns {Promise<String>} Company name
+ */
+async function resolveName(symbol, quoteName) {
+    const adapters = {
+        finnhub: new FinnhubAdapter(process.env.FINNHUB_API_KEY)
+    };
+    const enriched = await stockNameEnrichment.enrichStockName({ symbol, name: quoteName || symbol }, adapters);
+    return enriched.name || symbol;
+}
+
+/**
+ * Parse and validate an order quantity
+ * @param {*} value - Raw quantity from the request
+ * @returns {Number|null} Positive quantity or null if invalid
+ */
+function parseQuantity(value) {
+    const quantity = Number(value);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+        return null;
+    }
+    return quantity;
+}
+
+/**
+ * Round a share quantity to the supported precision
+ * @param {Number} quantity - Shares
+ * @returns {Number} Rounded quantity
+ */
+function roundQuantity(quantity) {
+    const factor = 10 ** QUANTITY_DECIMALS;
+    return Math.round(quantity * factor) / factor;
+}
+
+/**
+ * Round a share quantity down, to whole shares unless fractional is allowed
+ * @param {Number} quantity - Shares
+ * @param {Boolean} fractional - Whether fractional shares are allowed
+ * @returns {Number} Rounded-down quantity
+ */
+function floorQuantity(quantity, fractional) {
+    const factor = fractional ? 10 ** QUANTITY_DECIMALS : 1;
+    // Small nudge so 2.9999999 from float division still becomes 3
+    return Math.floor(quantity * factor + 1e-6) / factor;
+}
+
+/**
+ * Check a requested quantity against the allowed precision
+ * @param {Number} quantity - Parsed positive quantity
+ * @param {Boolean} fractional - Whether fractional shares are allowed
+ * @returns {String|null} Error message, or null if valid
+ */
+function checkQuantityPrecision(quantity, fractional) {
+    if (!fractional && !Number.isInteger(quantity)) {
+        return "Fractional shares are turned off; quantity must be a whole number";
+    }
+    if (Math.abs(roundQuantity(quantity) - quantity) > 1e-12) {
+        return `Quantity can have at most ${QUANTITY_DECIMALS} decimal places`;
+    }
+    return null;
+}
+
+/**
+ * Parse an optional limit price
+ * @param {*} value - Raw price from the request
+ * @returns {Number|undefined|null} Limit price, undefined if not given, null if invalid
+ */
+function parseLimitPrice(value) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price <= 0) {
+        return null;
+    }
+    return price;
+}
+
+/**
+ * Shares of a symbol already committed to pending sell orders
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} symbol - Stock symbol
+ * @returns {Number} Committed quantity
+ */
+function getCommittedQuantity(portfolio, symbol) {
+    return (portfolio.pendingOrders || [])
+        .filter(o => o.status === "pending" && o.side === "sell" && o.symbol === symbol)
+        .reduce((sum, o) => sum + o.quantity, 0);
+}
+
+/**
+ * Build the transaction fields that record where a fill price came from
+ * @param {Object} fillQuote - Quote from getFillQuote
+ * @returns {Object} Transaction price-source fields
+ */
+function fillMetadata(fillQuote) {
+    return {
+        provider: fillQuote.provider,
+        quoteTimestamp: fillQuote.quoteTimestamp,
+        staleness: fillQuote.staleness,
+        cacheAge: fillQuote.cacheAge
+    };
+}
+
+/**
+ * Build the transaction fields for simulated platform costs
+ * @param {Object} costs - Result of tradingCosts.calculateTradeCosts
+ * @returns {Object} Transaction cost fields
+ */
+function costFields(costs) {
+    return {
+        platform: costs.platform,
+        commission: costs.commission,
+        fxFee: costs.fxFee,
+        slippage: costs.slippage,
+        fees: costs.fees
+    };
+}
+
+/**
+ * Reject a sale whose fees would be more than its proceeds
+ * (a platform's minimum fee on a very small sale)
+ * @param {Object} costs - Result of tradingCosts.calculateTradeCosts for a sell
+ * @returns {String|null} Error message, or null if the sale can go ahead
+ */
+function checkSaleCoversFees(costs) {
+    if (costs.fees > costs.notional) {
+        return `Sale proceeds of $${costs.notional.toFixed(2)} do not cover $${costs.fees.toFixed(2)} in platform fees`;
+    }
+    return null;
+}
+
+/**
+ * Apply a buy fill to a portfolio document (does not save)
+ * Fees are added to the cost basis of the new lot
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} fill - { symbol, name, quantity, price, limitPrice, quote, orderId, date, source, costs, amount, recommendationSessionId }
+ * @returns {Object} Transaction that was recorded
+ */
+function applyBuy(portfolio, { symbol, name, quantity, price, limitPrice, quote, orderId, date, source, costs, amount, recommendationSessionId }) {
+    const totalCost = quantity * price;
+    const fees = costs ? costs.fees : 0;
+    const lotPrice = (totalCost + fees) / quantity;
+    const existingHolding = portfolio.holdings.find(h => h.symbol === symbol);
+
+    if (existingHolding) {
+        // Update existing holding (average price)
+        const newTotalCost = existingHolding.totalCost + totalCost + fees;
+        const newQuantity = roundQuantity(existingHolding.quantity + quantity);
+
+        ensureLots(existingHolding);
+        existingHolding.lots.push({ quantity, price: lotPrice, acquiredAt: date });
+        if (date) {
+            // Back-dated fills (imports) keep lots in acquisition order for FIFO
+            existingHolding.lots.sort((a, b) => a.acquiredAt - b.acquiredAt);
+        }
+        existingHolding.quantity = newQuantity;
+        existingHolding.averagePrice = newTotalCost / newQuantity;
+        existingHolding.totalCost = newTotalCost;
+    } else {
+        portfolio.holdings.push({
+            symbol,
+            name,
+            quantity,
+            averagePrice: lotPrice,
+            totalCost: totalCost + fees,
+            addedAt: date,
+            lots: [{ quantity, price: lotPrice, acquiredAt: date }]
+        });
+    }
+
+    portfolio.availableCash -= totalCost + fees;
+
+    portfolio.transactions.push({
+        type: "buy",
+        symbol,
+        name,
+        quantity,
+        price,
+        total: totalCost,
+        amount,
+        limitPrice,
+        orderId,
+        recommendationSessionId,
+        date,
+        source,
+        ...(costs ? costFields(costs) : {}),
+        ...(quote ? fillMetadata(quote) : {})
+    });
+
+    return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Give a holding bought before lot tracking a single lot at its average cost
+ * @param {Object} holding - Holding subdocument
+ */
+function ensureLots(holding) {
+    if (!holding.lots || holding.lots.length === 0) {
+        holding.lots = [{
+            quantity: holding.quantity,
+            price: holding.averagePrice,
+            acquiredAt: holding.addedAt
+        }];
+    }
+}
+
+/**
+ * Take sold shares out of a holding's tax lots
+ * FIFO sells the oldest lots first. Average cost sells the same fraction of
+ * every lot, so the remaining lots still add up to the average-cost basis.
+ * @param {Array} lots - [{ quantity, price, acquiredAt }] oldest first
+ * @param {Number} quantity - Shares sold
+ * @param {String} method - fifo | average
+ * @returns {Object} { lots, costBasis } remaining lots and cost of the shares sold
+ */
+function consumeLots(lots, quantity, method) {
+    const heldQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const remaining = [];
+    let costBasis = 0;
+
+    if (method === "average") {
+        const heldCost = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+        const keepFraction = Math.max(0, 1 - quantity / heldQuantity);
+        costBasis = heldCost * Math.min(1, quantity / heldQuantity);
+
+        for (const lot of lots) {
+            const keep = lot.quantity * keepFraction;
+            if (keep > LOT_EPSILON) {
+                remaining.push({ quantity: keep, price: lot.price, acquiredAt: lot.acquiredAt });
+            }
+        }
+
+        return { lots: remaining, costBasis };
+    }
+
+    let toSell = quantity;
+
+    for (const lot of lots) {
+        const sold = Math.min(lot.quantity, toSell);
+        costBasis += sold * lot.price;
+        toSell -= sold;
+
+        const keep = lot.quantity - sold;
+        if (keep > LOT_EPSILON) {
+            remaining.push({ quantity: keep, price: lot.price, acquiredAt: lot.acquiredAt });
+        }
+    }
+
+    return { lots: remaining, costBasis };
+}
+
+/**
+ * Apply a sell fill to a portfolio document (does not save)
+ * Fees come out of the proceeds and the realized P&L
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} fill - { symbol, quantity, price, limitPrice, quote, orderId, costBasisMethod, date, source, costs }
+ * @returns {Object} Transaction that was recorded
+ */
+function applySell(portfolio, { symbol, quantity, price, limitPrice, quote, orderId, costBasisMethod = "fifo", date, source, costs }) {
+    const holding = portfolio.holdings.find(h => h.symbol === symbol);
+    const totalProceeds = quantity * price;
+    // Callers reject sales that do not cover their fees; never let cash go negative
+    const fees = costs ? Math.min(costs.fees, totalProceeds) : 0;
+
+    ensureLots(holding);
+    const consumed = consumeLots(holding.lots, quantity, costBasisMethod);
+
+    const remaining = roundQuantity(holding.quantity - quantity);
+
+    if (remaining <= 0) {
+        // Remove entire holding
+        portfolio.holdings = portfolio.holdings.filter(h => h.symbol !== symbol);
+    } else {
+        holding.lots = consumed.lots;
+        holding.quantity = remaining;
+        holding.totalCost = consumed.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+        holding.averagePrice = holding.totalCost / holding.quantity;
+    }
+
+    portfolio.availableCash += totalProceeds - fees;
+
+    portfolio.transactions.push({
+        type: "sell",
+        symbol,
+        name: holding.name,
+        quantity,
+        price,
+        total: totalProceeds,
+        limitPrice,
+        orderId,
+        costBasis: consumed.costBasis,
+        realizedPnL: totalProceeds - fees - consumed.costBasis,
+        costBasisMethod,
+        date,
+        source,
+        ...(costs ? costFields(costs) : {}),
+        ...(quote ? fillMetadata(quote) : {})
+    });
+
+    return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Buy at the live market price
+ * Give either a quantity or a cash amount to spend (fees included)
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} order - { symbol, quantity, amount, limitPrice, platform, fractional, recommendationSessionId }
+ * @returns {Promise<Object>} { success, transaction } or { success: false, statusCode, error }
+ */
+async function executeMarketBuy(portfolio, { symbol, quantity, amount, limitPrice, platform = "none", fractional = true, recommendationSessionId }) {
+    let quote;
+    try {
+        quote = await getFillQuote(symbol);
+    } catch (error) {
+        return { success: false, statusCode: 503, error: `Unable to get a market price for ${symbol}` };
+    }
+
+    if (amount !== undefined) {
+        const notional = getNotionalForBudget(platform, amount);
+        quantity = floorQuantity(notional / getExecutionPrice(platform, "buy", quote.price), fractional);
+
+        if (quantity <= 0) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: fractional
+                    ? "Amount is too small to buy any shares"
+                    : `Amount does not cover one whole share at $${quote.price.toFixed(2)}`
+            };
+        }
+    }
+
+    const costs = calculateTradeCosts(platform, "buy", quantity, quote.price);
+
+    if (limitPrice !== undefined && costs.price > limitPrice) {
+        return {
+            success: false,
+            statusCode: 400,
+            error: `Market price $${costs.price.toFixed(2)} is above your limit of $${limitPrice.toFixed(2)}`
+        };
+    }
+
+    if (costs.notional + costs.fees > portfolio.availableCash) {
+        return { success: false, statusCode: 400, error: "Insufficient cash" };
+    }
+
+    const name = await resolveName(symbol, quote.name);
+    const transaction = applyBuy(portfolio, {
+        symbol,
+        name,
+        quantity,
+        price: costs.price,
+        limitPrice,
+        quote,
+        costs,
+        amount,
+        recommendationSessionId
+    });
+
+    return { success: true, transaction };
+}
+
+/**
+ * Sell at the live market price
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} order - { symbol, quantity, limitPrice, costBasisMethod, platform }
+ * @returns {Promise<Object>} { success, transaction } or { success: false, statusCode, error }
+ */
+async function executeMarketSell(portfolio, { symbol, quantity, limitPrice, costBasisMethod, platform = "none" }) {
+    const holding = portfolio.holdings.find(h => h.symbol === symbol);
+
+    if (!holding) {
+        return { success: false, statusCode: 404, error: "Holding not found" };
+    }
+
+    if (quantity > holding.quantity) {
+        return { success: false, statusCode: 400, error: "Cannot sell more than you own" };
+    }
+
+    if (quantity > roundQuantity(holding.quantity - getCommittedQuantity(portfolio, symbol))) {
+        return { success: false, statusCode: 400, error: "Shares are already committed to pending sell orders" };
+    }
+
+    let quote;
+    try {
+        quote = await getFillQuote(symbol);
+    } catch (error) {
+        return { success: false, statusCode: 503, error: `Unable to get a market price for ${symbol}` };
+    }
+
+    const costs = calculateTradeCosts(platform, "sell", quantity, quote.price);
+
+    const feeError = checkSaleCoversFees(costs);
+    if (feeError) {
+        return { success: false, statusCode: 400, error: feeError };
+    }
+
+    if (limitPrice !== undefined && costs.price < limitPrice) {
+        return {
+            success: false,
+            statusCode: 400,
+            error: `Market price $${costs.price.toFixed(2)} is below your limit of $${limitPrice.toFixed(2)}`
+        };
+    }
+
+    const transaction = applySell(portfolio, {
+        symbol,
+        quantity,
+        price: costs.price,
+        limitPrice,
+        quote,
+        costBasisMethod,
+        costs
+    });
+
+    return { success: true, transaction };
+}
+
+/**
+ * Get the user's default portfolio, creating it if needed
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} VirtualPortfolio document
+ */
+async function getOrCreateDefaultPortfolio(userId) {
+    let portfolio = await VirtualPortfolio.findOne({ userId, isDefault: true });
+
+    if (!portfolio) {
+        // Fall back to the oldest portfolio (e.g. after the default was deleted)
+        portfolio = await VirtualPortfolio.findOne({ userId }).sort({ createdAt: 1 });
+
+        if (portfolio) {
+            portfolio.isDefault = true;
+            await portfolio.save();
+        } else {
+            portfolio = await VirtualPortfolio.create({ userId, isDefault: true });
+        }
+    }
+
+    return portfolio;
+}
+
+/**
+ * One of a user's portfolios, or their default portfolio when no ID is given
+ * @param {String} userId - User ID
+ * @param {String} portfolioId - Portfolio ID (optional)
+ * @returns {Promise<Object|null>} Portfolio, or null if it does not belong to the user
+ */
+async function findUserPortfolio(userId, portfolioId) {
+    if (!portfolioId) {
+        return getOrCreateDefaultPortfolio(userId);
+    }
+
+    if (!mongoose.isValidObjectId(portfolioId)) {
+        return null;
+    }
+
+    return VirtualPortfolio.findOne({ _id: portfolioId, userId });
+}
+
+/**
+ * A user's portfolio settings, with defaults when none are saved
+ * Fractional shares follow the profile's preferFractional until the user sets them
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { costBasisMethod, tradingPlatform, displayCurrency, fractionalShares, quantityDecimals }
+ */
+async function getPortfolioSettings(userId) {
+    const [settings, profile] = await Promise.all([
+        PortfolioSettings.findOne({ userId }).lean(),
+        UserProfile.findOne({ userId }).select("budgetConstraints.preferFractional").lean()
+    ]);
+
+    return {
+        costBasisMethod: settings?.costBasisMethod || "fifo",
+        tradingPlatform: settings?.tradingPlatform || "none",
+        displayCurrency: settings?.displayCurrency || "USD",
+        fractionalShares: settings?.fractionalShares ?? profile?.budgetConstraints?.preferFractional ?? true,
+        quantityDecimals: QUANTITY_DECIMALS
+    };
+}
+
+/**
+ * A user's cost-basis method for matching sells to lots
+ * @param {String} userId - User ID
+ * @returns {Promise<String>} fifo | average
+ */
+async function getCostBasisMethod(userId) {
+    const settings = await getPortfolioSettings(userId);
+    return settings.costBasisMethod;
+}
+
+module.exports = {
+    COST_BASIS_METHODS,
+    QUANTITY_DECIMALS,
+    toFillQuote,
+    getFillQuote,
+    fetchQuoteMap,
+    resolveName,
+    parseQuantity,
+    parseLimitPrice,
+    roundQuantity,
+    floorQuantity,
+    checkQuantityPrecision,
+    getCommittedQuantity,
+    checkSaleCoversFees,
+    applyBuy,
+    ensureLots,
+    consumeLots,
+    applySell,
+    executeMarketBuy,
+    executeMarketSell,
+    getOrCreateDefaultPortfolio,
+    findUserPortfolio,
+    getPortfolioSettings,
+    getCostBasisMethod
+};
@@ -1,140 +1,179 @@
-const Watchlist = require("../models/watchlist.models");
 const Notification = require("../models/notification.models");
-const priceAggregator = require("./priceAggregator.service");
+const AlertRule = require("../models/alertRule.models");
+const AlertFiring = require("../models/alertFiring.models");
+const Watchlist = require("../models/watchlist.models");
+const providerManager = require("./providerManager.service");
+const alertRules = require("./alertRules.service");
+const alertHistory = require("./alertHistory.service");
 const { createNotification } = require("./notification.service");
 
 /**
- * Check all watchlists and send alerts for price changes
+ * Turn off a watchlist item's priceAlert once its mirrored rule stops, so a
+ * fired one-shot or expired alert does not show as enabled on the item
+ */
+async function disablePriceAlerts(watchlistIds) {
+    if (watchlistIds.length === 0) return;
+    await Watchlist.updateMany({ _id: { $in: watchlistIds } }, { "priceAlert.enabled": false });
+}
+
+/**
+ * Average daily volume for the symbols with volume_spike rules
+ * Candles are cached for hours, so this rarely reaches a provider
+ * @returns {Promise<Map>} symbol -> average volume
+ */
+async function getAverageVolumes(symbols) {
+    const averages = new Map();
+    const concurrency = 5;
+
+    for (let i = 0; i < symbols.length; i += concurrency) {
+        const batch = symbols.slice(i, i + concurrency);
+        await Promise.all(batch.map(async symbol => {
+            averages.set(symbol, await alertRules.getAverageVolume(symbol));
+        }));
+    }
+
+    return averages;
+}
+
+/**
+ * Check every enabled alert rule and notify users whose conditions are met
+ * Each distinct symbol is quoted once (batch endpoints first) and every
+ * user's rules on it are evaluated against that shared snapshot
  */
 exports.monitorWatchlistPrices = async () => {
     try {
         const startTime = new Date();
         console.log(`🔍 Starting price monitoring at ${startTime.toISOString()}...`);
-        
-        // Get all watchlists with price alerts enabled
-        const watchlists = await Watchlist.find({
-            "priceAlert.enabled": true,
-            "priceAlert.targetPrice": { $exists: true, $ne: null }
-        }).populate("userId", "firstname email");
 
-        if (watchlists.length === 0) {
+        // priceAlerts saved before alert rules existed
+        await alertRules.syncLegacyPriceAlerts();
+
+        const expired = await alertRules.expireAlertRules(startTime);
+        if (expired.length > 0) {
+            console.log(`⌛ Expired ${expired.length} alert rules`);
+            await disablePriceAlerts(expired.filter(rule => rule.source === "priceAlert").map(rule => rule.watchlistId));
+        }
+
+        // Rules whose watchlist item or user was removed are skipped
+        const rules = (await AlertRule.find({ enabled: true })
+            .populate("watchlistId", "name")
+            .populate("userId", "firstname")
+            .lean())
+            .filter(rule => rule.watchlistId && rule.userId);
+
+        if (rules.length === 0) {
             console.log("ℹ️ No active price alerts to monitor");
-            return { success: true, alertsCreated: 0, watchlistsChecked: 0 };
+            return { success: true, alertsCreated: 0, symbolsChecked: 0, watchlistsChecked: 0, rulesChecked: 0 };
         }
 
-        console.log(`📊 Monitoring ${watchlists.length} watchlists with active alerts...`);
+        const rulesBySymbol = new Map();
+        for (const rule of rules) {
+            if (!rulesBySymbol.has(rule.symbol)) rulesBySymbol.set(rule.symbol, []);
+            rulesBySymbol.get(rule.symbol).push(rule);
+        }
+
+        const symbols = [...rulesBySymbol.keys()];
+        const watchlistsChecked = new Set(rules.map(rule => String(rule.watchlistId._id))).size;
+        console.log(`📊 Monitoring ${rules.length} alert rules on ${symbols.length} symbols...`);
+
+        // Only cooldown rules look at past firings, and only as far back as their cooldown
+        const cooldownRules = rules.filter(rule => (rule.mode || "cooldown") === "cooldown");
+        const longestCooldown = Math.max(0, ...cooldownRules.map(rule =>
+            rule.cooldownMinutes || alertRules.DEFAULT_COOLDOWN_MINUTES
+        ));
+
+        const [quotes, averageVolumes, lastFirings] = await Promise.all([
+            providerManager.getBatchQuotes(symbols),
+            getAverageVolumes(symbols.filter(symbol =>
+                rulesBySymbol.get(symbol).some(rule => rule.type === "volume_spike")
+            )),
+            // Repeats are suppressed from recorded firings, not the notifications
+            alertHistory.getLastFirings(
+                cooldownRules.map(rule => rule._id),
+                new Date(startTime.getTime() - longestCooldown * 60 * 1000)
+            )
+        ]);
 
         let alertsCreated = 0;
         let successfulChecks = 0;
         let failedChecks = 0;
+        const ruleUpdates = [];
+        const stoppedPriceAlerts = [];
 
-        // Process watchlists in batches to avoid overwhelming APIs
-        const batchSize = 5;
-        for (let i = 0; i < watchlists.length; i += batchSize) {
-            const batch = watchlists.slice(i, i + batchSize);
-            
-            await Promise.all(batch.map(async (watchlist) => {
-                try {
-                    // Skip if no alert set (double check)
-                    if (!watchlist.priceAlert || !watchlist.priceAlert.enabled) {
-                        return;
-                    }
+        for (const [symbol, symbolRules] of rulesBySymbol) {
+            const priceData = quotes.get(symbol);
 
-                    // Get current price with timeout
-                    const priceData = await Promise.race([
-                        priceAggregator.getAggregatedQuote(watchlist.symbol),
-                        new Promise((_, reject) => 
-                            setTimeout(() => reject(new Error('Price fetch timeout')), 10000)
-                        )
-                    ]);
-
-                    if (!priceData || !priceData.price) {
-                        console.warn(`⚠️ No price data for ${watchlist.symbol}`);
-                        failedChecks++;
-                        return;
-                    }
+            if (!priceData || !priceData.price) {
+                console.warn(`⚠️ No price data for ${symbol}`);
+                failedChecks++;
+                continue;
+            }
 
-                    const currentPrice = priceData.price;
-                    const targetPrice = watchlist.priceAlert.targetPrice;
-                    const condition = watchlist.priceAlert.condition;
-
-                    let alertTriggered = false;
-                    let alertMessage = "";
-                    let priceChange = "";
-
-                    // Check alert condition with more detailed messaging
-                    if (condition === "above" && currentPrice >= targetPrice) {
-                        alertTriggered = true;
-                        const percentageIncrease = ((currentPrice - targetPrice) / targetPrice * 100).toFixed(2);
-                        priceChange = `+${percentageIncrease}%`;
-                        alertMessage = `${watchlist.name || watchlist.symbol} has reached $${currentPrice.toFixed(2)} (${priceChange}) - Target: Above $${targetPrice}`;
-                    } else if (condition === "below" && currentPrice <= targetPrice) {
-                        alertTriggered = true;
-                        const percentageDecrease = ((targetPrice - currentPrice) / targetPrice * 100).toFixed(2);
-                        priceChange = `-${percentageDecrease}%`;
-                        alertMessage = `${watchlist.name || watchlist.symbol} has dropped to $${currentPrice.toFixed(2)} (${priceChange}) - Target: Below $${targetPrice}`;
-                    }
+            const snapshot = {
+                price: priceData.price,
+                changePercent: priceData.changePercent,
+                high: priceData.high,
+                low: priceData.low,
+                volume: priceData.volume,
+                averageVolume: averageVolumes.get(symbol) || null
+            };
 
-                    if (alertTriggered) {
-                        // Check if we already sent this alert recently (prevent spam)
-                        const recentAlert = await Notification.findOne({
-                            userId: watchlist.userId._id,
-                            type: "price_alert",
-                            "metadata.symbol": watchlist.symbol,
-                            "metadata.targetPrice": targetPrice,
-                            "metadata.condition": condition,
-                            createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) } // Within last hour
-                        });
-
-                        if (!recentAlert) {
-                            // Create notification using notification service
-                            await createNotification(
-                                watchlist.userId._id,
-                                "price_alert",
-                                `🚨 Price Alert: ${watchlist.name || watchlist.symbol}`,
-                                alertMessage,
-                                {
-                                    symbol: watchlist.symbol,
-                                    name: watchlist.name,
-                                    currentPrice,
-                                    targetPrice,
-                                    condition,
-                                    priceChange,
-                                    provider: priceData.provider,
-                                    confidence: priceData.confidence,
-                                    timestamp: new Date().toISOString()
-                                }
-                            );
-
-                            alertsCreated++;
-                            console.log(`✅ Alert created for ${watchlist.userId.firstname}: ${alertMessage}`);
-
-                            // Optional: Disable alert after triggering (uncomment for one-time alerts)
-                            // watchlist.priceAlert.enabled = false;
-                            // await watchlist.save();
-                        } else {
-                            console.log(`⏭️ Skipping duplicate alert for ${watchlist.symbol} (sent within last hour)`);
-                        }
+            for (const rule of symbolRules) {
+                try {
+                    const name = rule.watchlistId.name || symbol;
+                    const { met, message, state } = alertRules.evaluateRule(rule, snapshot, name, startTime);
+                    const lastFiredAt = lastFirings.get(String(rule._id)) || rule.lastTriggeredAt;
+                    const lifecycle = alertRules.applyLifecycle(rule, met, startTime, lastFiredAt);
+                    const changes = { ...state, ...lifecycle.state };
+
+                    if (lifecycle.fire) {
+                        const notification = await createNotification(
+                            rule.userId._id,
+                            "price_alert",
+                            `🚨 Price Alert: ${name}`,
+                            message,
+                            {
+                                symbol,
+                                price: priceData.price,
+                                change: priceData.change,
+                                changePercent: priceData.changePercent,
+                                alertRuleId: rule._id
+                            }
+                        );
+
+                        await alertHistory.recordFiring(rule, priceData, message, notification, startTime);
+
+                        alertsCreated++;
+                        console.log(`✅ Alert created for ${rule.userId.firstname}: ${message}`);
+                    } else if (met) {
+                        console.log(`⏭️ Skipping repeat ${rule.type} alert for ${symbol} (${lifecycle.reason})`);
                     }
 
-                    successfulChecks++;
+                    ruleUpdates.push({ updateOne: { filter: { _id: rule._id }, update: { $set: changes } } });
+
+                    if (changes.enabled === false && rule.source === "priceAlert") {
+                        stoppedPriceAlerts.push(rule.watchlistId._id);
+                    }
                 } catch (error) {
-                    console.error(`❌ Error checking ${watchlist.symbol}:`, error.message);
-                    failedChecks++;
+                    console.error(`❌ Error checking ${rule.type} alert on ${symbol}:`, error.message);
                 }
-            }));
-
-            // Small delay between batches to be respectful to APIs
-            if (i + batchSize < watchlists.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
             }
+
+            successfulChecks++;
         }
 
+        if (ruleUpdates.length > 0) {
+            await AlertRule.bulkWrite(ruleUpdates, { ordered: false });
+        }
+        await disablePriceAlerts(stoppedPriceAlerts);
+
         const endTime = new Date();
         const duration = endTime - startTime;
 
         console.log(`✅ Price monitoring complete in ${duration}ms:`);
-        console.log(`   - Watchlists checked: ${watchlists.length}`);
+        console.log(`   - Symbols checked: ${symbols.length}`);
+        console.log(`   - Watchlists checked: ${watchlistsChecked}`);
+        console.log(`   - Rules checked: ${rules.length}`);
         console.log(`   - Successful checks: ${successfulChecks}`);
         console.log(`   - Failed checks: ${failedChecks}`);
         console.log(`   - Alerts created: ${alertsCreated}`);
@@ -142,7 +181,9 @@ exports.monitorWatchlistPrices = async () => {
         return { 
             success: true, 
             alertsCreated, 
-            watchlistsChecked: watchlists.length,
+            symbolsChecked: symbols.length,
+            watchlistsChecked,
+            rulesChecked: rules.length,
             successfulChecks,
             failedChecks,
             duration
@@ -180,14 +221,10 @@ exports.cleanupOldNotifications = async () => {
  */
 exports.getMonitoringStats = async () => {
     try {
-        const activeAlerts = await Watchlist.countDocuments({
-            "priceAlert.enabled": true,
-            "priceAlert.targetPrice": { $exists: true, $ne: null }
-        });
+        const activeAlerts = await AlertRule.countDocuments({ enabled: true });
 
-        const recentAlerts = await Notification.countDocuments({
-            type: "price_alert",
-            createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
+        const recentAlerts = await AlertFiring.countDocuments({
+            firedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
         });
 
         const totalNotifications = await Notification.countDocuments({
@@ -2,6 +2,7 @@ const FinnhubAdapter = require("./adapters/finnhubAdapter");
 const AlphaVantageAdapter = require("./adapters/alphaVantageAdapter");
 const TwelveDataAdapter = require("./adapters/twelveDataAdapter");
 const { getCache, setCache } = require("../config/redis");
+const securityMaster = require("./securityMaster.service");
 
 /**
  * Provider Manager Service
@@ -61,6 +62,9 @@ class ProviderManagerService {
             quote: 300,        // 5 minutes for real-time quotes
             search: 1800,      // 30 minutes for search results
             profile: 86400,    // 24 hours for company profiles
+            fx: 3600,          // 1 hour for exchange rates
+            corporateActions: 43200, // 12 hours for dividends and splits
+            candles: 43200,    // 12 hours for daily price history
             monitoring: 600    // 10 minutes for monitoring data
         };
     }
@@ -169,6 +173,95 @@ class ProviderManagerService {
         }
     }
 
+    /**
+     * Get quotes for many symbols with as few provider calls as possible
+     * Cached quotes are used first, then providers with a native batch
+     * endpoint, then single-symbol getQuote for whatever is still missing
+     * @param {Array<String>} symbols - Stock symbols
+     * @param {Object} options - Request options
+     * @returns {Promise<Map>} symbol -> quote (symbols no provider could quote are absent)
+     */
+    async getBatchQuotes(symbols, options = {}) {
+        const quotes = new Map();
+        let remaining = [...new Set(symbols.map(symbol => symbol.toUpperCase()))];
+
+        if (!options.skipCache) {
+            const cached = await Promise.all(remaining.map(symbol => getCache(`quote:${symbol}`)));
+            remaining = remaining.filter((symbol, i) => {
+                if (!cached[i]) return true;
+                quotes.set(symbol, this._addMetadata(cached[i], {
+                    provider: cached[i].provider || "cache",
+                    cached: true,
+                    cacheAge: Math.floor((Date.now() - new Date(cached[i].timestamp).getTime()) / 1000),
+                    staleness: this._calculateStaleness(cached[i].timestamp, this.cacheTTL.quote)
+                }));
+                return false;
+            });
+        }
+
+        const batchProviders = this._getAvailableProviders().filter(p => p.adapter.maxBatchSize > 1);
+
+        for (const provider of batchProviders) {
+            const { maxBatchSize } = provider.adapter;
+
+            for (let i = 0; i < remaining.length; i += maxBatchSize) {
+                const chunk = remaining.slice(i, i + maxBatchSize);
+                const requestStart = Date.now();
+
+                try {
+                    const results = await Promise.race([
+                        provider.adapter.getBatchQuotes(chunk),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Batch request timeout')), 20000)
+                        )
+                    ]);
+
+                    const responseTime = Date.now() - requestStart;
+                    const valid = (results || []).filter(quote => quote && quote.symbol && quote.price);
+
+                    // The adapter swallows errors, so an empty answer counts as a failure
+                    this._recordProviderMetrics(provider.name, responseTime, valid.length > 0);
+
+                    for (const quote of valid) {
+                        const normalizedQuote = this._normalizeQuoteResponse(quote, provider.name);
+                        await setCache(`quote:${normalizedQuote.symbol}`, normalizedQuote, this.cacheTTL.quote);
+
+                        quotes.set(normalizedQuote.symbol, this._addMetadata(normalizedQuote, {
+                            provider: provider.name,
+                            cached: false,
+                            cacheAge: 0,
+                            staleness: "fresh",
+                            responseTime
+                        }));
+                    }
+                } catch (error) {
+                    this._recordProviderMetrics(provider.name, Date.now() - requestStart, false);
+                    console.warn(`⚠️ ${provider.name} batch quote failed for ${chunk.length} symbols: ${error.message}`);
+                }
+            }
+
+            remaining = remaining.filter(symbol => !quotes.has(symbol));
+            console.log(`📦 ${provider.name} batch quotes: ${quotes.size} quoted, ${remaining.length} remaining`);
+        }
+
+        // Single-symbol fallback, a few at a time to respect rate limits
+        const concurrency = 5;
+        for (let i = 0; i < remaining.length; i += concurrency) {
+            const batch = remaining.slice(i, i + concurrency);
+
+            await Promise.all(batch.map(async symbol => {
+                try {
+                    const quote = await this.getQuote(symbol, options);
+                    if (quote && quote.price) quotes.set(symbol, quote);
+                } catch (error) {
+                    // getQuote already logged the failure
+                }
+            }));
+        }
+
+        return quotes;
+    }
+
     /**
      * Search for stocks with provider fallback
      * @param {String} query - Search query
@@ -306,6 +399,13 @@ class ProviderManagerService {
                         // Normalize and cache profile
                         const normalizedProfile = this._normalizeProfileResponse(profile, provider.name);
                         await setCache(cacheKey, normalizedProfile, this.cacheTTL.profile);
+
+                        // Grow the security master from every fresh profile
+                        try {
+                            await securityMaster.recordProfile(normalizedProfile);
+                        } catch (error) {
+                            console.warn(`⚠️ Failed to record security ${symbol}: ${error.message}`);
+                        }
                         
                         console.log(`✅ Got profile for ${symbol} from ${provider.name}`);
                         
@@ -347,6 +447,192 @@ class ProviderManagerService {
         }
     }
 
+    /**
+     * Get currency exchange rate with provider fallback
+     * @param {String} from - Base currency (e.g. "USD")
+     * @param {String} to - Quote currency (e.g. "NGN")
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { from, to, rate, timestamp } with metadata
+     */
+    async getExchangeRate(from, to, options = {}) {
+        const cacheKey = `fx:${from}:${to}`;
+
+        try {
+            const cached = await getCache(cacheKey);
+            if (cached && !options.skipCache) {
+                return this._addMetadata(cached, {
+                    provider: cached.provider || "cache",
+                    cached: true,
+                    staleness: this._calculateStaleness(cached.timestamp, this.cacheTTL.fx)
+                });
+            }
+
+            // Only some providers carry FX data; the rest return null
+            for (const provider of this._getAvailableProviders()) {
+                const requestStart = Date.now();
+
+                try {
+                    const fx = await Promise.race([
+                        provider.adapter.getExchangeRate(from, to),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Exchange rate timeout')), 10000)
+                        )
+                    ]);
+
+                    if (fx && fx.rate > 0) {
+                        this._recordProviderMetrics(provider.name, Date.now() - requestStart, true);
+
+                        const rate = { ...fx, provider: provider.name };
+                        await setCache(cacheKey, rate, this.cacheTTL.fx);
+
+                        console.log(`✅ Got ${from}/${to} rate from ${provider.name}`);
+
+                        return this._addMetadata(rate, {
+                            provider: provider.name,
+                            cached: false,
+                            staleness: "fresh"
+                        });
+                    }
+                } catch (error) {
+                    this._recordProviderMetrics(provider.name, Date.now() - requestStart, false);
+                    console.warn(`⚠️ ${provider.name} exchange rate failed for ${from}/${to}: ${error.message}`);
+                }
+            }
+
+            if (cached) {
+                console.log(`⚠️ All providers failed for ${from}/${to}, serving stale cache`);
+                return this._addMetadata(cached, {
+                    provider: cached.provider || "cache",
+                    cached: true,
+                    staleness: "stale",
+                    warning: "Exchange rate may be outdated"
+                });
+            }
+
+            throw new Error(`No exchange rate available for ${from}/${to}`);
+
+        } catch (error) {
+            console.error(`❌ Failed to get exchange rate for ${from}/${to}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get dividends and splits with provider fallback
+     * @param {String} symbol - Stock symbol
+     * @param {String} from - Start date (YYYY-MM-DD)
+     * @param {String} to - End date (YYYY-MM-DD)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { symbol, dividends, splits } with metadata
+     */
+    async getCorporateActions(symbol, from, to, options = {}) {
+        const cacheKey = `corporate:${symbol}:${from}:${to}`;
+
+        try {
+            const cached = await getCache(cacheKey);
+            if (cached && !options.skipCache) {
+                return this._addMetadata(cached, {
+                    provider: cached.provider || "cache",
+                    cached: true
+                });
+            }
+
+            // Only some providers carry corporate actions; the rest return null
+            for (const provider of this._getAvailableProviders()) {
+                const requestStart = Date.now();
+
+                try {
+                    const actions = await Promise.race([
+                        provider.adapter.getCorporateActions(symbol, from, to),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Corporate actions timeout')), 10000)
+                        )
+                    ]);
+
+                    if (actions) {
+                        this._recordProviderMetrics(provider.name, Date.now() - requestStart, true);
+
+                        const result = { ...actions, provider: provider.name };
+                        await setCache(cacheKey, result, this.cacheTTL.corporateActions);
+
+                        return this._addMetadata(result, {
+                            provider: provider.name,
+                            cached: false,
+                            staleness: "fresh"
+                        });
+                    }
+                } catch (error) {
+                    this._recordProviderMetrics(provider.name, Date.now() - requestStart, false);
+                    console.warn(`⚠️ ${provider.name} corporate actions failed for ${symbol}: ${error.message}`);
+                }
+            }
+
+            throw new Error(`No corporate action data available for ${symbol}`);
+
+        } catch (error) {
+            console.error(`❌ Failed to get corporate actions for ${symbol}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get daily price candles with provider fallback
+     * @param {String} symbol - Stock symbol
+     * @param {String} from - Start date (YYYY-MM-DD)
+     * @param {String} to - End date (YYYY-MM-DD)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} { symbol, candles: [{ date, open, high, low, close, volume }] }
+     */
+    async getCandles(symbol, from, to, options = {}) {
+        const cacheKey = `candles:${symbol}:${from}:${to}`;
+
+        try {
+            const cached = await getCache(cacheKey);
+            if (cached && !options.skipCache) {
+                return this._addMetadata(cached, {
+                    provider: cached.provider || "cache",
+                    cached: true
+                });
+            }
+
+            // Not every provider plan includes history; those return null
+            for (const provider of this._getAvailableProviders()) {
+                const requestStart = Date.now();
+
+                try {
+                    const history = await Promise.race([
+                        provider.adapter.getCandles(symbol, from, to),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Candles timeout')), 10000)
+                        )
+                    ]);
+
+                    if (history && history.candles.length > 0) {
+                        this._recordProviderMetrics(provider.name, Date.now() - requestStart, true);
+
+                        const result = { ...history, provider: provider.name };
+                        await setCache(cacheKey, result, this.cacheTTL.candles);
+
+                        return this._addMetadata(result, {
+                            provider: provider.name,
+                            cached: false,
+                            staleness: "fresh"
+                        });
+                    }
+                } catch (error) {
+                    this._recordProviderMetrics(provider.name, Date.now() - requestStart, false);
+                    console.warn(`⚠️ ${provider.name} candles failed for ${symbol}: ${error.message}`);
+                }
+            }
+
+            throw new Error(`No price history available for ${symbol}`);
+
+        } catch (error) {
+            console.error(`❌ Failed to get candles for ${symbol}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get available providers sorted by health and priority
      * @returns {Array} Available providers
@@ -469,6 +755,8 @@ class ProviderManagerService {
             change: quote.change || quote.changeAmount || null,
             changePercent: quote.changePercent || quote.changePercentage || null,
             volume: quote.volume || null,
+            high: quote.high || null,
+            low: quote.low || null,
             timestamp: new Date().toISOString(),
             provider: providerName
         };
@@ -507,6 +795,7 @@ class ProviderManagerService {
             sector: profile.sector || profile.industry,
             exchange: profile.exchange || "Unknown",
             country: profile.country || "Unknown",
+            currency: profile.currency,
             website: profile.website || profile.weburl,
             employees: profile.employees || profile.fullTimeEmployees,
             marketCap: profile.marketCap || profile.marketCapitalization,
@@ -0,0 +1,390 @@
+const mongoose = require("mongoose");
+const VirtualPortfolio = require("../models/virtualPortfolio.models");
+const RecommendationSession = require("../models/recommendationSession.models");
+const RebalanceProposal = require("../models/rebalanceProposal.models");
+const UserProfile = require("../models/userProfile.models");
+const portfolioTrading = require("./portfolioTrading.service");
+const { createPortfolioNotification } = require("./notification.service");
+
+/**
+ * Rebalancing Service
+ * Compares holdings with the allocation suggested by the user's latest
+ * recommendation session and proposes the trades that close the gap.
+ * The scheduled job runs on each profile's rebalancing cadence.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Percentage points a position may drift from its target before it is traded
+const DRIFT_THRESHOLD_PERCENT = parseFloat(process.env.REBALANCE_DRIFT_THRESHOLD) || 5;
+
+// Trades smaller than this (USD) are not worth proposing
+const MIN_TRADE_VALUE = 1;
+
+/**
+ * Target allocation from the user's latest recommendation session
+ * Suggested allocations are scaled to add up to 100%
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} { sessionId, targets: [{ symbol, name, weight }] } or null
+ */
+async function getTargetAllocation(userId) {
+    const session = await RecommendationSession.findOne({ userId, isActive: true })
+        .sort({ generatedAt: -1 })
+        .select("recommendations.symbol recommendations.name recommendations.suggestedAllocation")
+        .lean();
+
+    const recommendations = (session?.recommendations || []).filter(r => r.symbol && r.suggestedAllocation > 0);
+    const total = recommendations.reduce((sum, r) => sum + r.suggestedAllocation, 0);
+
+    if (total <= 0) return null;
+
+    return {
+        sessionId: session._id,
+        targets: recommendations.map(r => ({
+            symbol: r.symbol,
+            name: r.name,
+            weight: r.suggestedAllocation / total
+        }))
+    };
+}
+
+/**
+ * Trades that bring a portfolio back to its target weights (pure)
+ * Positions within the drift threshold are left alone; holdings missing from
+ * the targets have a target of zero. Buys are scaled down if they would need
+ * more cash than the portfolio has after its sells.
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Array} targets - [{ symbol, name, weight }] weights as fractions
+ * @param {Map} quotes - symbol -> quote
+ * @param {Object} options - { fractional, driftThreshold }
+ * @returns {Object} { portfolioValue, allocations, trades }
+ */
+function buildRebalancePlan(portfolio, targets, quotes, { fractional = true, driftThreshold = DRIFT_THRESHOLD_PERCENT } = {}) {
+    const targetBySymbol = new Map(targets.map(t => [t.symbol, t]));
+    const symbols = [...new Set([...portfolio.holdings.map(h => h.symbol), ...targetBySymbol.keys()])];
+
+    const positions = symbols.map(symbol => {
+        const holding = portfolio.holdings.find(h => h.symbol === symbol);
+        const price = quotes.get(symbol)?.price || holding?.averagePrice || null;
+
+        return {
+            symbol,
+            name: holding?.name || targetBySymbol.get(symbol)?.name || symbol,
+            holding,
+            price,
+            value: holding && price ? holding.quantity * price : 0,
+            targetWeight: targetBySymbol.get(symbol)?.weight || 0
+        };
+    });
+
+    // Reserved cash belongs to pending orders, so it is not rebalanced
+    const portfolioValue = positions.reduce((sum, p) => sum + p.value, 0) + portfolio.availableCash;
+
+    const allocations = positions.map(p => {
+        const currentWeight = portfolioValue > 0 ? p.value / portfolioValue : 0;
+        return {
+            symbol: p.symbol,
+            name: p.name,
+            targetWeight: p.targetWeight * 100,
+            currentWeight: currentWeight * 100,
+            drift: (currentWeight - p.targetWeight) * 100,
+            price: p.price
+        };
+    });
+
+    const sells = [];
+    const buys = [];
+
+    positions.forEach((position, index) => {
+        const { drift } = allocations[index];
+
+        // Without a live quote we cannot size a trade
+        if (!quotes.get(position.symbol)?.price) return;
+        if (Math.abs(drift) < driftThreshold) return;
+
+        const difference = position.targetWeight * portfolioValue - position.value;
+
+        if (difference < 0 && position.holding) {
+            const available = portfolioTrading.roundQuantity(
+                position.holding.quantity - portfolioTrading.getCommittedQuantity(portfolio, position.symbol)
+            );
+            const quantity = position.targetWeight === 0
+                ? available
+                : Math.min(available, portfolioTrading.floorQuantity(-difference / position.price, fractional));
+
+            if (quantity > 0 && quantity * position.price >= MIN_TRADE_VALUE) {
+                sells.push({
+                    symbol: position.symbol,
+                    name: position.name,
+                    side: "sell",
+                    quantity,
+                    estimatedPrice: position.price,
+                    estimatedValue: quantity * position.price
+                });
+            }
+        } else if (difference >= MIN_TRADE_VALUE) {
+            buys.push({
+                symbol: position.symbol,
+                name: position.name,
+                side: "buy",
+                amount: difference,
+                estimatedPrice: position.price,
+                estimatedValue: difference
+            });
+        }
+    });
+
+    const cashForBuys = portfolio.availableCash + sells.reduce((sum, t) => sum + t.estimatedValue, 0);
+    const buyTotal = buys.reduce((sum, t) => sum + t.amount, 0);
+    const scale = buyTotal > cashForBuys ? cashForBuys / buyTotal : 1;
+
+    for (const buy of buys) {
+        buy.amount = Math.floor(buy.amount * scale * 100) / 100;
+        buy.estimatedValue = buy.amount;
+    }
+
+    return {
+        portfolioValue,
+        allocations,
+        trades: [...sells, ...buys.filter(t => t.amount >= MIN_TRADE_VALUE)]
+    };
+}
+
+/**
+ * Build and save a rebalance proposal for a portfolio
+ * Any earlier pending proposal for the portfolio is superseded
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @returns {Promise<Object>} { success, proposal, plan } (proposal is null when no trades are needed)
+ *   or { success: false, statusCode, error }
+ */
+async function createRebalanceProposal(portfolio) {
+    const allocation = await getTargetAllocation(portfolio.userId);
+
+    if (!allocation) {
+        return {
+            success: false,
+            statusCode: 404,
+            error: "No recommended allocation found. Generate recommendations first."
+        };
+    }
+
+    const symbols = [...new Set([
+        ...portfolio.holdings.map(h => h.symbol),
+        ...allocation.targets.map(t => t.symbol)
+    ])];
+
+    const [quotes, settings] = await Promise.all([
+        portfolioTrading.fetchQuoteMap(symbols),
+        portfolioTrading.getPortfolioSettings(portfolio.userId)
+    ]);
+
+    const plan = buildRebalancePlan(portfolio, allocation.targets, quotes, {
+        fractional: settings.fractionalShares
+    });
+
+    await RebalanceProposal.updateMany(
+        { portfolioId: portfolio._id, status: "pending" },
+        { status: "superseded" }
+    );
+
+    // Nothing to propose when every position is within the threshold
+    if (plan.trades.length === 0) {
+        return { success: true, proposal: null, plan };
+    }
+
+    const proposal = await RebalanceProposal.create({
+        userId: portfolio.userId,
+        portfolioId: portfolio._id,
+        sessionId: allocation.sessionId,
+        portfolioValue: plan.portfolioValue,
+        driftThreshold: DRIFT_THRESHOLD_PERCENT,
+        allocations: plan.allocations,
+        trades: plan.trades
+    });
+
+    return { success: true, proposal, plan };
+}
+
+/**
+ * Latest pending proposal for a portfolio
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @returns {Promise<Object|null>} Proposal
+ */
+async function getPendingProposal(portfolio) {
+    return await RebalanceProposal.findOne({ portfolioId: portfolio._id, status: "pending" })
+        .sort({ createdAt: -1 })
+        .lean();
+}
+
+/**
+ * Execute a pending proposal's trades at market (saves the portfolio)
+ * The proposal is claimed atomically first, so concurrent requests
+ * cannot place its trades twice. Sells run first to free cash; a trade
+ * that fails is reported and skipped.
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {String} proposalId - Proposal ID
+ * @returns {Promise<Object>} { success, proposal } or { success: false, statusCode, error }
+ */
+async function applyRebalanceProposal(portfolio, proposalId) {
+    if (!mongoose.isValidObjectId(proposalId)) {
+        return { success: false, statusCode: 404, error: "Rebalance proposal not found" };
+    }
+
+    const proposal = await RebalanceProposal.findOneAndUpdate(
+        { _id: proposalId, portfolioId: portfolio._id, status: "pending" },
+        { status: "applying" },
+        { new: true }
+    );
+
+    if (!proposal) {
+        const existing = await RebalanceProposal.findOne({ _id: proposalId, portfolioId: portfolio._id })
+            .select("status")
+            .lean();
+
+        if (!existing) {
+            return { success: false, statusCode: 404, error: "Rebalance proposal not found" };
+        }
+
+        const error = existing.status === "applying"
+            ? "Proposal is already being applied"
+            : `Proposal has already been ${existing.status}`;
+        return { success: false, statusCode: 409, error };
+    }
+
+    let results;
+    try {
+        results = await executeProposalTrades(portfolio, proposal);
+    } catch (error) {
+        // The portfolio was not saved; let the user try again
+        await RebalanceProposal.updateOne({ _id: proposal._id, status: "applying" }, { status: "pending" });
+        throw error;
+    }
+
+    proposal.status = "applied";
+    proposal.appliedAt = new Date();
+    proposal.results = results;
+    await proposal.save();
+
+    return { success: true, proposal };
+}
+
+/**
+ * Run a claimed proposal's trades and save the portfolio
+ * @returns {Promise<Array>} Outcome of each trade
+ */
+async function executeProposalTrades(portfolio, proposal) {
+    const settings = await portfolioTrading.getPortfolioSettings(portfolio.userId);
+    const results = [];
+
+    const trades = [...proposal.trades].sort((a, b) => (a.side === b.side ? 0 : a.side === "sell" ? -1 : 1));
+
+    for (const trade of trades) {
+        let result;
+
+        if (trade.side === "sell") {
+            result = await portfolioTrading.executeMarketSell(portfolio, {
+                symbol: trade.symbol,
+                quantity: trade.quantity,
+                costBasisMethod: settings.costBasisMethod,
+                platform: settings.tradingPlatform
+            });
+        } else {
+            // Prices may have moved since the proposal; never spend more than is left
+            const amount = Math.min(trade.amount, Math.floor(portfolio.availableCash * 100) / 100);
+            result = await portfolioTrading.executeMarketBuy(portfolio, {
+                symbol: trade.symbol,
+                amount,
+                platform: settings.tradingPlatform,
+                fractional: settings.fractionalShares
+            });
+        }
+
+        results.push({
+            symbol: trade.symbol,
+            side: trade.side,
+            success: result.success,
+            quantity: result.transaction?.quantity,
+            price: result.transaction?.price,
+            error: result.error
+        });
+    }
+
+    await portfolio.save();
+
+    return results;
+}
+
+/**
+ * Check every default portfolio whose rebalancing cadence is due
+ * and notify users whose holdings have drifted from their targets
+ */
+async function processRebalancing() {
+    try {
+        const startTime = new Date();
+        console.log(`⚖️ Checking portfolios for rebalancing at ${startTime.toISOString()}...`);
+
+        const profiles = await UserProfile.find({ "rebalancingFrequency.days": { $gt: 0 } })
+            .select("userId rebalancingFrequency")
+            .lean();
+
+        let portfoliosChecked = 0;
+        let proposalsCreated = 0;
+        let failed = 0;
+
+        for (const profile of profiles) {
+            try {
+                const portfolio = await VirtualPortfolio.findOne({ userId: profile.userId, isDefault: true });
+                if (!portfolio) continue;
+
+                const dueAt = portfolio.lastRebalanceCheckAt
+                    ? portfolio.lastRebalanceCheckAt.getTime() + profile.rebalancingFrequency.days * DAY_MS
+                    : 0;
+                if (dueAt > startTime.getTime()) continue;
+
+                const result = await createRebalanceProposal(portfolio);
+
+                portfolio.lastRebalanceCheckAt = startTime;
+                await portfolio.save();
+                portfoliosChecked++;
+
+                if (!result.success || !result.proposal) continue;
+
+                proposalsCreated++;
+                const tradeCount = result.proposal.trades.length;
+                await createPortfolioNotification(
+                    portfolio.userId,
+                    `${portfolio.name} has drifted from your target allocation. Review ${tradeCount} suggested trade${tradeCount === 1 ? "" : "s"} to rebalance.`,
+                    { type: "rebalance", proposalId: result.proposal._id, portfolioId: portfolio._id }
+                );
+            } catch (error) {
+                console.error(`❌ Rebalancing check failed for user ${profile.userId}:`, error.message);
+                failed++;
+            }
+        }
+
+        const duration = new Date() - startTime;
+        console.log(`✅ Rebalancing checked ${portfoliosChecked} portfolios in ${duration}ms: ${proposalsCreated} proposals (${failed} failed)`);
+
+        return {
+            success: true,
+            profilesChecked: profiles.length,
+            portfoliosChecked,
+            proposalsCreated,
+            failed,
+            duration
+        };
+    } catch (error) {
+        console.error("❌ Rebalancing error:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    DRIFT_THRESHOLD_PERCENT,
+    getTargetAllocation,
+    buildRebalancePlan,
+    createRebalanceProposal,
+    getPendingProposal,
+    applyRebalanceProposal,
+    processRebalancing
+};
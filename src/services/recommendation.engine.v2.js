@@ -3,6 +3,40 @@ const RecommendationSession = require("../models/recommendationSession.models");
 const providerManager = require("./providerManager.service");
 const smartCache = require("./smartCache.service");
 const stockNameEnrichment = require("./stockNameEnrichment.service");
+const securityMaster = require("./securityMaster.service");
+const riskMetrics = require("./riskMetrics.service");
+const { DEFAULT_STRATEGY } = require("./scoringStrategy.service");
+const experimentService = require("./experiment.service");
+const { buildBasket } = require("./basketConstruction.service");
+
+// Feedback older than this no longer affects scoring
+const FEEDBACK_LOOKBACK_DAYS = 180;
+
+// Score adjustment for a symbol the user rated before
+const SYMBOL_FEEDBACK_POINTS = {
+    like: 10,
+    dislike: -25,
+    already_own: -15,
+    not_interested: -40
+};
+
+// Per net like / dislike in a sector, and the cap either way
+const SECTOR_FEEDBACK_POINTS = 5;
+const SECTOR_FEEDBACK_CAP = 15;
+
+// Most points each factor can add to the match score (before strategy weights)
+const SCORE_FACTORS = {
+    sector: { label: "Sector match", maxPoints: 20 },
+    riskAlignment: { label: "Risk alignment", maxPoints: 25 },
+    stability: { label: "Price stability and momentum", maxPoints: 25 },
+    liquidity: { label: "Liquidity", maxPoints: 15 },
+    etf: { label: "ETF preference", maxPoints: 15 },
+    affordability: { label: "Affordability", maxPoints: 10 },
+    feedback: { label: "Your feedback", maxPoints: SYMBOL_FEEDBACK_POINTS.like + SECTOR_FEEDBACK_CAP }
+};
+
+// Daily volume above which a stock counts as highly liquid
+const LIQUID_VOLUME = 1000000;
 
 /**
  * API-Driven Recommendation Engine (Optimized)
@@ -38,6 +72,14 @@ class RecommendationEngineV2 {
             // Enrich stocks with company names using Provider Manager
             candidateStocks = await this.enrichStockNames(candidateStocks);
 
+            // Scoring strategy: the user's experiment arm, or the default
+            const { strategy, experiment } = await experimentService.resolveStrategy(userId);
+
+            // Volatility, beta and drawdown from daily price history
+            if (strategy.options.useHistoricalRisk) {
+                candidateStocks = await this.attachRiskMetrics(candidateStocks);
+            }
+
             // Filter stocks by profile constraints
             const filteredStocks = this.filterStocksByProfile(candidateStocks, profile);
 
@@ -45,25 +87,34 @@ class RecommendationEngineV2 {
                 throw new Error("No stocks match your profile criteria");
             }
 
+            // Likes and dislikes on earlier recommendations
+            const feedback = strategy.options.useFeedback ? await this.getFeedbackSignals(userId) : null;
+
             // Score and rank stocks
             const scoredStocks = filteredStocks.map(stock => ({
                 stock,
-                score: this.calculateMatchScore(stock, profile)
+                score: this.calculateMatchScore(stock, profile, feedback, strategy)
             }));
 
             // Sort by score (descending)
             scoredStocks.sort((a, b) => b.score.total - a.score.total);
 
-            // Select top recommendations based on diversification level
-            const recommendationCount = Math.min(
-                profile.diversificationLevel.maxAssets,
-                Math.max(
-                    profile.diversificationLevel.minAssets,
-                    scoredStocks.length
-                )
+            // Select a basket that meets the profile's diversification rules
+            const basket = buildBasket(
+                scoredStocks.map(item => ({
+                    ...item,
+                    sector: this.inferSector(item.stock.symbol),
+                    isETF: this.isETF(item.stock.symbol)
+                })),
+                profile
             );
 
-            const topStocks = scoredStocks.slice(0, recommendationCount);
+            if (basket.selected.length === 0) {
+                throw new Error("No stocks fit your budget and diversification rules");
+            }
+
+            const topStocks = basket.selected;
+            const recommendationCount = topStocks.length;
 
             // Build recommendations
             const recommendations = topStocks.map((item, index) => {
@@ -79,6 +130,7 @@ class RecommendationEngineV2 {
                     exchange: item.stock.exchange,
                     matchScore: item.score.total,
                     matchReasons: item.score.reasons,
+                    scoreBreakdown: item.score.breakdown,
                     recommendedPrice: item.stock.price,
                     currency: item.stock.currency || "USD",
                     suggestedAllocation: allocation,
@@ -87,6 +139,12 @@ class RecommendationEngineV2 {
                         profile.budgetConstraints.minPositionSize
                     ),
                     matchedTags: item.score.matchedTags,
+                    risk: item.stock.risk ? {
+                        level: item.stock.risk.level,
+                        annualizedVolatility: item.stock.risk.annualizedVolatility,
+                        beta: item.stock.risk.beta,
+                        maxDrawdown: item.stock.risk.maxDrawdown
+                    } : undefined,
                     priceChange: item.stock.change,
                     priceChangePercent: item.stock.changePercent,
                     provider: item.stock.provider
@@ -100,10 +158,28 @@ class RecommendationEngineV2 {
                     profileType: profile.profileType,
                     riskLevel: profile.riskLevel,
                     investmentHorizon: profile.investmentHorizon,
-                    goal: profile.goal
+                    goal: profile.goal,
+                    // Scoring inputs, kept so each score can be explained later
+                    preferredSectors: profile.preferredSectors,
+                    goalConstraints: {
+                        avoidHighVolatility: profile.goalConstraints.avoidHighVolatility,
+                        preferStableGrowth: profile.goalConstraints.preferStableGrowth,
+                        preferGrowth: profile.goalConstraints.preferGrowth
+                    },
+                    budgetConstraints: {
+                        maxStockPrice: profile.budgetConstraints.maxStockPrice,
+                        minPositionSize: profile.budgetConstraints.minPositionSize,
+                        recommendETFs: profile.budgetConstraints.recommendETFs
+                    }
                 },
                 recommendations,
-                sessionType: "personalized"
+                sessionType: "personalized",
+                basket: basket.summary,
+                strategy: {
+                    name: strategy.name,
+                    version: strategy.version
+                },
+                experiment: experiment || undefined
             });
 
             return session;
@@ -395,6 +471,23 @@ class RecommendationEngineV2 {
         }
     }
 
+    /**
+     * Attach historical risk metrics to each stock
+     * Stocks without enough price history keep risk: null and are scored
+     * on their daily change instead
+     * @param {Array} stocks - Array of stocks
+     * @returns {Promise<Array>} Stocks with risk metrics
+     */
+    async attachRiskMetrics(stocks) {
+        try {
+            const metrics = await riskMetrics.getRiskMetrics(stocks.map(stock => stock.symbol));
+            return stocks.map(stock => ({ ...stock, risk: metrics.get(stock.symbol) || null }));
+        } catch (error) {
+            console.error("Error fetching risk metrics:", error.message);
+            return stocks.map(stock => ({ ...stock, risk: null }));
+        }
+    }
+
     /**
      * Filter stocks by profile constraints
      * @param {Array} stocks - Array of stocks
@@ -412,8 +505,13 @@ class RecommendationEngineV2 {
 
             // Filter by volatility if goal requires it
             if (profile.goalConstraints.avoidHighVolatility) {
-                // Avoid stocks with high price change percentage
-                if (stock.changePercent && Math.abs(stock.changePercent) > 5) {
+                if (stock.risk) {
+                    // Avoid stocks that are high risk over the past year
+                    if (stock.risk.level === "high") {
+                        return false;
+                    }
+                } else if (stock.changePercent && Math.abs(stock.changePercent) > 5) {
+                    // No history: avoid stocks with high price change percentage
                     return false;
                 }
             }
@@ -431,100 +529,206 @@ class RecommendationEngineV2 {
      * Calculate match score for a stock against user profile
      * @param {Object} stock - Stock data from API
      * @param {Object} profile - User profile
-     * @returns {Object} Score breakdown
+     * @param {Object} feedback - Signals from getFeedbackSignals (optional)
+     * @param {Object} strategy - Scoring strategy whose weights scale each factor
+     * @returns {Object} { total, reasons, matchedTags, breakdown } where breakdown
+     *   lists each factor's points, its maximum and the inputs it used
      */
-    calculateMatchScore(stock, profile) {
-        let score = 0;
+    calculateMatchScore(stock, profile, feedback = null, strategy = DEFAULT_STRATEGY) {
         const reasons = [];
         const matchedTags = [];
+        const breakdown = [];
+
+        const addFactor = (factor, points, factorReasons, inputs) => {
+            const weight = strategy.weights[factor] ?? 1;
+
+            breakdown.push({
+                factor,
+                label: SCORE_FACTORS[factor].label,
+                points: points * weight,
+                maxPoints: SCORE_FACTORS[factor].maxPoints * weight,
+                weight,
+                reasons: factorReasons,
+                inputs
+            });
+
+            // A factor weighted to zero does not explain the score
+            if (weight > 0) {
+                reasons.push(...factorReasons);
+            }
+        };
 
         // Sector match (20 points) - infer from symbol
         const stockSector = this.inferSector(stock.symbol);
-        if (profile.preferredSectors.includes(stockSector)) {
-            score += 20;
-            reasons.push(`Matches your interest in ${stockSector}`);
+        const sectorMatch = profile.preferredSectors.includes(stockSector);
+        if (sectorMatch) {
             matchedTags.push(stockSector);
         }
+        addFactor("sector", sectorMatch ? 20 : 0,
+            sectorMatch ? [`Matches your interest in ${stockSector}`] : [],
+            { sector: stockSector, preferredSectors: profile.preferredSectors });
 
         // Risk alignment based on volatility (25 points)
         const volatility = this.inferVolatility(stock);
         const riskAlignment = this.getRiskAlignment(volatility, profile.riskLevel);
-        score += riskAlignment.score;
-        if (riskAlignment.score > 0) {
-            reasons.push(riskAlignment.reason);
-        }
+        addFactor("riskAlignment", riskAlignment.score,
+            riskAlignment.score > 0 ? [riskAlignment.reason] : [],
+            {
+                volatility,
+                riskLevel: profile.riskLevel,
+                source: stock.risk ? "history" : "daily_change",
+                annualizedVolatility: stock.risk?.annualizedVolatility ?? null,
+                beta: stock.risk?.beta ?? null,
+                maxDrawdown: stock.risk?.maxDrawdown ?? null,
+                changePercent: stock.changePercent ?? null
+            });
 
         // Price stability (25 points)
+        let stabilityPoints = 0;
+        const stabilityReasons = [];
         if (stock.changePercent !== null && stock.changePercent !== undefined) {
             const absChange = Math.abs(stock.changePercent);
             
             if (profile.goalConstraints.preferStableGrowth && absChange < 2) {
-                score += 15;
-                reasons.push("Stable price movement (good for long-term goals)");
+                stabilityPoints += 15;
+                stabilityReasons.push("Stable price movement (good for long-term goals)");
                 matchedTags.push("stable");
             }
 
             if (profile.goalConstraints.preferGrowth && stock.changePercent > 0) {
-                score += 10;
-                reasons.push("Positive price momentum");
+                stabilityPoints += 10;
+                stabilityReasons.push("Positive price momentum");
                 matchedTags.push("growth");
             }
         }
+        addFactor("stability", stabilityPoints, stabilityReasons, {
+            changePercent: stock.changePercent ?? null,
+            preferStableGrowth: profile.goalConstraints.preferStableGrowth,
+            preferGrowth: profile.goalConstraints.preferGrowth
+        });
 
         // Liquidity (15 points) - high volume stocks
-        if (stock.volume && stock.volume > 1000000) {
-            score += 15;
-            reasons.push("Highly liquid (easy to buy/sell)");
+        const liquid = stock.volume && stock.volume > LIQUID_VOLUME;
+        if (liquid) {
             matchedTags.push("liquid");
         }
+        addFactor("liquidity", liquid ? 15 : 0,
+            liquid ? ["Highly liquid (easy to buy/sell)"] : [],
+            { volume: stock.volume ?? null, minVolume: LIQUID_VOLUME });
 
         // ETF preference (15 points)
         const isETF = this.isETF(stock.symbol);
-        if (profile.budgetConstraints.recommendETFs && isETF) {
-            score += 15;
-            reasons.push("ETF (diversified and budget-friendly)");
+        const etfMatch = profile.budgetConstraints.recommendETFs && isETF;
+        if (etfMatch) {
             matchedTags.push("etf");
         }
+        addFactor("etf", etfMatch ? 15 : 0,
+            etfMatch ? ["ETF (diversified and budget-friendly)"] : [],
+            { isETF, recommendETFs: profile.budgetConstraints.recommendETFs });
 
         // Affordable (10 points bonus)
-        if (stock.price && stock.price < profile.budgetConstraints.maxStockPrice * 0.5) {
-            score += 10;
-            reasons.push("Well within your budget");
+        const affordable = stock.price && stock.price < profile.budgetConstraints.maxStockPrice * 0.5;
+        addFactor("affordability", affordable ? 10 : 0,
+            affordable ? ["Well within your budget"] : [],
+            { price: stock.price ?? null, maxStockPrice: profile.budgetConstraints.maxStockPrice });
+
+        // Feedback on earlier recommendations
+        if (feedback) {
+            const rating = feedback.symbols.get(stock.symbol) || null;
+            const sectorNetLikes = feedback.sectors.get(stockSector) || 0;
+            const feedbackReasons = [];
+            let feedbackPoints = 0;
+
+            if (rating) {
+                feedbackPoints += SYMBOL_FEEDBACK_POINTS[rating];
+                if (rating === "like") {
+                    feedbackReasons.push("You liked this recommendation before");
+                    matchedTags.push("liked");
+                }
+            }
+
+            const sectorPoints = Math.max(
+                -SECTOR_FEEDBACK_CAP,
+                Math.min(SECTOR_FEEDBACK_CAP, sectorNetLikes * SECTOR_FEEDBACK_POINTS)
+            );
+            feedbackPoints += sectorPoints;
+            if (sectorPoints > 0) {
+                feedbackReasons.push(`Similar to ${stockSector} picks you liked`);
+            }
+
+            addFactor("feedback", feedbackPoints, feedbackReasons, { rating, sectorNetLikes });
         }
 
+        const score = breakdown.reduce((sum, item) => sum + item.points, 0);
+
         return {
-            total: score,
+            total: Math.max(0, score),
             reasons,
-            matchedTags
+            matchedTags,
+            breakdown
         };
     }
 
     /**
-     * Infer sector from stock symbol
+     * Collect the user's recent feedback on recommendations
+     * The latest rating per symbol wins; sectors get a net like - dislike count
+     * @param {String} userId - User ID
+     * @returns {Promise<Object>} { symbols: Map symbol -> rating, sectors: Map sector -> net likes }
      */
-    inferSector(symbol) {
-        const sectorMap = {
-            tech: ["AAPL", "MSFT", "GOOGL", "META", "NVDA", "ORCL", "CSCO", "INTC", "AMD", "CRM", "ADBE", "NFLX"],
-            finance: ["JPM", "BAC", "WFC", "GS", "MS", "C", "V", "MA", "AXP", "BLK", "SCHW"],
-            healthcare: ["JNJ", "UNH", "PFE", "ABBV", "TMO", "MRK", "ABT", "DHR", "LLY", "BMY"],
-            consumer: ["AMZN", "WMT", "HD", "MCD", "NKE", "SBUX", "TGT", "LOW", "COST", "DG", "DIS"],
-            energy: ["XOM", "CVX", "COP", "SLB", "EOG", "MPC", "PSX", "VLO", "OXY", "HAL"],
-            diversified: ["SPY", "VOO", "QQQ", "VTI", "IVV", "DIA", "IWM"]
-        };
+    async getFeedbackSignals(userId) {
+        const since = new Date(Date.now() - FEEDBACK_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+        const sessions = await RecommendationSession.find({
+            userId,
+            generatedAt: { $gte: since },
+            "recommendations.feedback.rating": { $exists: true }
+        })
+            .select("recommendations.symbol recommendations.feedback")
+            .lean();
+
+        const latest = new Map();
+        for (const session of sessions) {
+            for (const recommendation of session.recommendations) {
+                const feedback = recommendation.feedback;
+                if (!feedback?.rating) continue;
+
+                const previous = latest.get(recommendation.symbol);
+                if (!previous || feedback.ratedAt > previous.ratedAt) {
+                    latest.set(recommendation.symbol, feedback);
+                }
+            }
+        }
+
+        const symbols = new Map();
+        const sectors = new Map();
+
+        for (const [symbol, feedback] of latest) {
+            symbols.set(symbol, feedback.rating);
 
-        for (const [sector, symbols] of Object.entries(sectorMap)) {
-            if (symbols.includes(symbol)) {
-                return sector;
+            // "Already own" and "not interested" say nothing about the sector
+            const direction = feedback.rating === "like" ? 1 : feedback.rating === "dislike" ? -1 : 0;
+            const sector = this.inferSector(symbol);
+            if (direction !== 0 && sector !== "other") {
+                sectors.set(sector, (sectors.get(sector) || 0) + direction);
             }
         }
 
-        return "other";
+        return { symbols, sectors };
+    }
+
+    /**
+     * Infer sector from stock symbol (security master lookup)
+     */
+    inferSector(symbol) {
+        return securityMaster.getSector(symbol);
     }
 
     /**
-     * Infer volatility from price change
+     * Infer volatility level
+     * Uses historical risk metrics when attached, otherwise the daily change
      */
     inferVolatility(stock) {
+        if (stock.risk?.level) return stock.risk.level;
         if (!stock.changePercent) return "medium";
 
         const absChange = Math.abs(stock.changePercent);
@@ -537,12 +741,14 @@ class RecommendationEngineV2 {
      * Check if symbol is an ETF
      */
     isETF(symbol) {
-        const etfs = ["SPY", "VOO", "QQQ", "VTI", "IVV", "DIA", "IWM", "EFA", "VEA", "AGG"];
-        return etfs.includes(symbol);
+        return securityMaster.isETF(symbol);
     }
 
     /**
      * Get risk alignment score
+     * @param {String} stockVolatility - low | medium | high
+     * @param {String} userRiskLevel - Conservative | Balanced | Aggressive
+     * @returns {Object} { score, reason } - fixed reason text, so hit rates can group by it
      */
     getRiskAlignment(stockVolatility, userRiskLevel) {
         const alignmentMatrix = {
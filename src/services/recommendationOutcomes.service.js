@@ -0,0 +1,330 @@
+const mongoose = require("mongoose");
+const RecommendationSession = require("../models/recommendationSession.models");
+const providerManager = require("./providerManager.service");
+
+/**
+ * Recommendation Outcomes Service
+ * Records how each recommended stock performed 1 week, 1 month and
+ * 3 months after it was recommended, and turns those outcomes into
+ * hit rates (share of picks with a positive return). Each outcome is
+ * priced at the close on its horizon date, so runs that were missed
+ * are back-filled with the same figures (for up to BACKFILL_DAYS after
+ * the last horizon).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTCOME_HORIZONS = {
+    "1W": 7,
+    "1M": 30,
+    "3M": 91
+};
+
+// Sessions are checked for this long after their last horizon; picks that
+// still have no price by then (delisted, no history) are left without outcomes
+const BACKFILL_DAYS = 30;
+
+// A horizon date on a weekend or holiday uses the last close before it,
+// as long as that close is no older than this
+const MAX_CLOSE_LOOKBACK_DAYS = 7;
+
+/**
+ * UTC calendar date (YYYY-MM-DD) of a Date
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar date a horizon ends on for a session
+ * @param {Date} generatedAt - Session generation time
+ * @param {String} horizon - Key of OUTCOME_HORIZONS
+ * @returns {String} YYYY-MM-DD
+ */
+function getHorizonDate(generatedAt, horizon) {
+    return toDateString(new Date(generatedAt.getTime() + OUTCOME_HORIZONS[horizon] * DAY_MS));
+}
+
+/**
+ * Horizons that are due for a recommendation and not yet recorded
+ * A horizon is due once its date has closed
+ * @param {Object} recommendation - Session recommendation
+ * @param {Date} generatedAt - Session generation time
+ * @param {Date} now - Reference time
+ * @returns {Array<String>} Horizon keys
+ */
+function getDueHorizons(recommendation, generatedAt, now) {
+    const recorded = new Set((recommendation.outcomes || []).map(o => o.horizon));
+    const today = toDateString(now);
+
+    return Object.keys(OUTCOME_HORIZONS)
+        .filter(horizon => !recorded.has(horizon) && getHorizonDate(generatedAt, horizon) < today);
+}
+
+/**
+ * Last close on or before a date
+ * @param {Array<Object>} candles - Daily candles, oldest first
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Object|null} { date, close } or null when there is no recent close
+ */
+function getCloseOnOrBefore(candles, date) {
+    const earliest = toDateString(new Date(new Date(`${date}T00:00:00Z`).getTime() - MAX_CLOSE_LOOKBACK_DAYS * DAY_MS));
+
+    for (let i = candles.length - 1; i >= 0; i--) {
+        const candle = candles[i];
+        if (candle.date > date) continue;
+        if (candle.date < earliest || !(candle.close > 0)) return null;
+        return { date: candle.date, close: candle.close };
+    }
+
+    return null;
+}
+
+/**
+ * Daily candles per symbol covering the horizon dates due for it
+ * @param {Array<Object>} due - { session, recommendation, horizons }
+ * @returns {Promise<Map>} symbol -> candles (symbols without history are absent)
+ */
+async function fetchHorizonCandles(due) {
+    const ranges = new Map();
+
+    for (const { session, recommendation, horizons } of due) {
+        for (const horizon of horizons) {
+            const date = getHorizonDate(session.generatedAt, horizon);
+            const range = ranges.get(recommendation.symbol);
+            if (!range) {
+                ranges.set(recommendation.symbol, { from: date, to: date });
+            } else {
+                if (date < range.from) range.from = date;
+                if (date > range.to) range.to = date;
+            }
+        }
+    }
+
+    const candles = new Map();
+
+    for (const [symbol, { from, to }] of ranges) {
+        const start = toDateString(new Date(new Date(`${from}T00:00:00Z`).getTime() - MAX_CLOSE_LOOKBACK_DAYS * DAY_MS));
+
+        try {
+            const history = await providerManager.getCandles(symbol, start, to);
+            candles.set(symbol, history.candles);
+        } catch (error) {
+            console.warn(`⚠️ No price history to evaluate ${symbol} outcomes: ${error.message}`);
+        }
+    }
+
+    return candles;
+}
+
+/**
+ * Record due outcomes for every recent recommendation session
+ */
+async function evaluateRecommendationOutcomes() {
+    try {
+        const startTime = new Date();
+        console.log(`🎯 Evaluating recommendation outcomes at ${startTime.toISOString()}...`);
+
+        const minAge = Math.min(...Object.values(OUTCOME_HORIZONS));
+        const maxAge = Math.max(...Object.values(OUTCOME_HORIZONS)) + BACKFILL_DAYS;
+        const horizonCount = Object.keys(OUTCOME_HORIZONS).length;
+
+        // Sessions in the evaluation window with a pick still missing an outcome
+        const sessions = await RecommendationSession.find({
+            generatedAt: {
+                $gte: new Date(startTime.getTime() - maxAge * DAY_MS),
+                $lte: new Date(startTime.getTime() - minAge * DAY_MS)
+            },
+            recommendations: {
+                $elemMatch: {
+                    recommendedPrice: { $gt: 0 },
+                    [`outcomes.${horizonCount - 1}`]: { $exists: false }
+                }
+            }
+        });
+
+        const due = [];
+        for (const session of sessions) {
+            for (const recommendation of session.recommendations) {
+                if (!(recommendation.recommendedPrice > 0)) continue;
+
+                const horizons = getDueHorizons(recommendation, session.generatedAt, startTime);
+                if (horizons.length > 0) {
+                    due.push({ session, recommendation, horizons });
+                }
+            }
+        }
+
+        if (due.length === 0) {
+            console.log("ℹ️ No recommendation outcomes due");
+            return { success: true, sessionsChecked: sessions.length, outcomesRecorded: 0 };
+        }
+
+        const candles = await fetchHorizonCandles(due);
+
+        const changedSessions = new Set();
+        let outcomesRecorded = 0;
+
+        for (const { session, recommendation, horizons } of due) {
+            const history = candles.get(recommendation.symbol);
+            if (!history) continue;
+
+            for (const horizon of horizons) {
+                const close = getCloseOnOrBefore(history, getHorizonDate(session.generatedAt, horizon));
+                if (!close) continue;
+
+                recommendation.outcomes.push({
+                    horizon,
+                    price: close.close,
+                    priceDate: close.date,
+                    returnPercent: (close.close / recommendation.recommendedPrice - 1) * 100,
+                    evaluatedAt: startTime
+                });
+                outcomesRecorded++;
+                changedSessions.add(session);
+            }
+        }
+
+        let failed = 0;
+        for (const session of changedSessions) {
+            try {
+                await session.save();
+            } catch (error) {
+                console.error(`❌ Failed to save outcomes for session ${session._id}:`, error.message);
+                failed++;
+            }
+        }
+
+        const duration = new Date() - startTime;
+        console.log(`✅ Recorded ${outcomesRecorded} recommendation outcomes in ${duration}ms (${failed} sessions failed)`);
+
+        return {
+            success: true,
+            sessionsChecked: sessions.length,
+            sessionsUpdated: changedSessions.size - failed,
+            outcomesRecorded,
+            symbolsPriced: candles.size,
+            failed,
+            duration
+        };
+    } catch (error) {
+        console.error("❌ Recommendation outcome evaluation error:", error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Aggregation stages that group recorded outcomes by horizon and a key
+ * @param {String|null} groupField - Field to group by besides horizon (null for horizon only)
+ * @returns {Array} Pipeline stages
+ */
+function hitRateStages(groupField) {
+    return [
+        { $unwind: "$recommendations.outcomes" },
+        {
+            $group: {
+                _id: groupField
+                    ? { key: groupField, horizon: "$recommendations.outcomes.horizon" }
+                    : { horizon: "$recommendations.outcomes.horizon" },
+                picks: { $sum: 1 },
+                hits: { $sum: { $cond: [{ $gt: ["$recommendations.outcomes.returnPercent", 0] }, 1, 0] } },
+                avgReturn: { $avg: "$recommendations.outcomes.returnPercent" }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                key: "$_id.key",
+                horizon: "$_id.horizon",
+                picks: 1,
+                hits: 1,
+                hitRate: { $multiply: [{ $divide: ["$hits", "$picks"] }, 100] },
+                avgReturn: 1
+            }
+        },
+        { $sort: { key: 1, horizon: 1 } }
+    ];
+}
+
+/**
+ * Hit rates per profile type and per match reason
+ * @param {Object} match - Extra session filter (e.g. { userId })
+ * @returns {Promise<Object>} { overall, byProfileType, byMatchReason }
+ */
+async function getHitRates(match = {}) {
+    const base = [
+        { $match: { ...match, "recommendations.outcomes.0": { $exists: true } } },
+        { $unwind: "$recommendations" }
+    ];
+
+    const [overall, byProfileType, byMatchReason] = await Promise.all([
+        RecommendationSession.aggregate([...base, ...hitRateStages(null)]),
+        RecommendationSession.aggregate([...base, ...hitRateStages("$profileSnapshot.profileType")]),
+        RecommendationSession.aggregate([
+            ...base,
+            { $unwind: "$recommendations.matchReasons" },
+            ...hitRateStages("$recommendations.matchReasons")
+        ])
+    ]);
+
+    return {
+        overall: overall.map(({ key, ...row }) => row),
+        byProfileType: byProfileType.map(({ key, ...row }) => ({ profileType: key, ...row })),
+        byMatchReason: byMatchReason.map(({ key, ...row }) => ({ matchReason: key, ...row }))
+    };
+}
+
+/**
+ * How a user's picks have done since a date
+ * @param {String} userId - User ID
+ * @param {Date} since - Earliest session date
+ * @returns {Promise<Object>} { since, sessionsCount, picks, hitRates }
+ */
+async function getUserPickPerformance(userId, since) {
+    const match = {
+        userId: new mongoose.Types.ObjectId(userId),
+        generatedAt: { $gte: since }
+    };
+
+    const [sessions, hitRates] = await Promise.all([
+        RecommendationSession.find(match)
+            .sort({ generatedAt: -1 })
+            .select("generatedAt recommendations.symbol recommendations.name recommendations.recommendedPrice recommendations.outcomes")
+            .lean(),
+        getHitRates(match)
+    ]);
+
+    const picks = sessions.flatMap(session => session.recommendations.map(r => ({
+        sessionId: session._id,
+        generatedAt: session.generatedAt,
+        symbol: r.symbol,
+        name: r.name,
+        recommendedPrice: r.recommendedPrice,
+        outcomes: (r.outcomes || []).map(({ horizon, price, priceDate, returnPercent, evaluatedAt }) => ({
+            horizon,
+            price,
+            priceDate,
+            returnPercent,
+            evaluatedAt
+        }))
+    })));
+
+    return {
+        since,
+        sessionsCount: sessions.length,
+        picksCount: picks.length,
+        summary: hitRates.overall,
+        byMatchReason: hitRates.byMatchReason,
+        picks
+    };
+}
+
+module.exports = {
+    OUTCOME_HORIZONS,
+    getHorizonDate,
+    getDueHorizons,
+    getCloseOnOrBefore,
+    evaluateRecommendationOutcomes,
+    getHitRates,
+    getUserPickPerformance
+};
@@ -0,0 +1,126 @@
+const portfolioTrading = require("./portfolioTrading.service");
+
+/**
+ * Recommendation Simulation Service
+ * Buys a recommendation session's basket into a virtual portfolio at live
+ * prices, sized by each recommendation's suggested allocation
+ */
+
+const SIZING_MODES = ["allocation", "positionSize"];
+
+/**
+ * Cash to spend on each recommendation, largest allocation first
+ * Allocations are scaled down if they add up to more than 100%
+ * @param {Array} recommendations - Session recommendations
+ * @param {String} sizing - allocation (share of budget) | positionSize (suggestedPositionSize)
+ * @param {Number} budget - Cash to split across the basket (allocation sizing)
+ * @returns {Array} [{ recommendation, target }]
+ */
+function planBasket(recommendations, sizing, budget) {
+    const totalAllocation = recommendations.reduce((sum, r) => sum + (r.suggestedAllocation || 0), 0);
+    const scale = totalAllocation > 100 ? 100 / totalAllocation : 1;
+
+    return [...recommendations]
+        .sort((a, b) => (b.suggestedAllocation || 0) - (a.suggestedAllocation || 0))
+        .map(recommendation => ({
+            recommendation,
+            target: sizing === "positionSize"
+                ? recommendation.suggestedPositionSize || 0
+                : budget * (recommendation.suggestedAllocation || 0) * scale / 100
+        }));
+}
+
+/**
+ * Buy a session's recommended basket into a portfolio (saves both)
+ * Each buy is capped at the cash still available; recommendations that
+ * cannot be bought are reported with the reason
+ * @param {Object} portfolio - VirtualPortfolio document
+ * @param {Object} session - RecommendationSession document
+ * @param {Object} options - { sizing, amount, settings }
+ * @returns {Promise<Object>} { success, bought, skipped, invested } or { success: false, statusCode, error }
+ */
+async function simulateSession(portfolio, session, { sizing = "allocation", amount, settings }) {
+    if (!SIZING_MODES.includes(sizing)) {
+        return { success: false, statusCode: 400, error: "Sizing must be 'allocation' or 'positionSize'" };
+    }
+
+    if (amount !== undefined && amount > portfolio.availableCash) {
+        return { success: false, statusCode: 400, error: "Amount exceeds available cash" };
+    }
+
+    const budget = amount ?? portfolio.availableCash;
+    const bought = [];
+    const skipped = [];
+
+    for (const { recommendation, target } of planBasket(session.recommendations, sizing, budget)) {
+        const { symbol } = recommendation;
+
+        if (!(target > 0)) {
+            skipped.push({ symbol, reason: "No suggested allocation" });
+            continue;
+        }
+
+        // Whole cents only, and never more than is left
+        const spend = Math.floor(Math.min(target, portfolio.availableCash) * 100) / 100;
+        if (spend <= 0) {
+            skipped.push({ symbol, reason: "Insufficient cash" });
+            continue;
+        }
+
+        const result = await portfolioTrading.executeMarketBuy(portfolio, {
+            symbol,
+            amount: spend,
+            platform: settings.tradingPlatform,
+            fractional: settings.fractionalShares,
+            recommendationSessionId: session._id
+        });
+
+        if (!result.success) {
+            skipped.push({ symbol, reason: result.error });
+            continue;
+        }
+
+        const { transaction } = result;
+        bought.push({
+            symbol,
+            name: transaction.name,
+            quantity: transaction.quantity,
+            price: transaction.price,
+            total: transaction.total,
+            fees: transaction.fees || 0,
+            amount: spend,
+            suggestedAllocation: recommendation.suggestedAllocation,
+            transactionId: transaction._id
+        });
+    }
+
+    const invested = bought.reduce((sum, b) => sum + b.total + b.fees, 0);
+
+    if (bought.length > 0) {
+        await portfolio.save();
+
+        session.simulations.push({
+            portfolioId: portfolio._id,
+            transactionIds: bought.map(b => b.transactionId),
+            invested
+        });
+        await session.save();
+    }
+
+    return {
+        success: true,
+        portfolioId: portfolio._id,
+        sessionId: session._id,
+        sizing,
+        bought,
+        skipped,
+        invested,
+        availableCash: portfolio.availableCash
+    };
+}
+
+module.exports = {
+    SIZING_MODES,
+    planBasket,
+    simulateSession
+};
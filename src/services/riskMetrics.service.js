@@ -0,0 +1,213 @@
+const providerManager = require("./providerManager.service");
+const { getCache, setCache } = require("../config/redis");
+
+/**
+ * Risk Metrics Service
+ * Annualized volatility, beta and maximum drawdown from a year of daily
+ * candles, and the low / medium / high risk level the engine scores with
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+const LOOKBACK_DAYS = 365;
+
+// Beta is measured against the S&P 500
+const BENCHMARK_SYMBOL = "SPY";
+
+// Daily returns needed before history is trusted over the daily change
+const MIN_RETURNS = 20;
+
+// Annualized volatility (%) below which a stock counts as low / medium risk
+const VOLATILITY_LEVELS = {
+    low: 20,
+    medium: 35
+};
+
+// Beta or drawdown (%) at or above these push a stock up one risk level
+const HIGH_BETA = 1.5;
+const HIGH_DRAWDOWN_PERCENT = 40;
+
+// Symbols fetched in parallel; keeps provider rate limits happy
+const FETCH_CONCURRENCY = 5;
+
+// Computed metrics (and misses) are kept as long as the candles
+const METRICS_CACHE_TTL = 43200;
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Daily close-to-close returns keyed by the later date
+ * @param {Array} candles - [{ date, close }] oldest first
+ * @returns {Array} [{ date, value }]
+ */
+function getDailyReturns(candles) {
+    const valid = candles.filter(c => c.close > 0);
+    const returns = [];
+
+    for (let i = 1; i < valid.length; i++) {
+        returns.push({ date: valid[i].date, value: valid[i].close / valid[i - 1].close - 1 });
+    }
+
+    return returns;
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Largest peak-to-trough fall in closing price
+ * @param {Array} candles - [{ close }] oldest first
+ * @returns {Number} Drawdown as a percentage (0 when prices never fell)
+ */
+function computeMaxDrawdown(candles) {
+    let peak = 0;
+    let maxDrawdown = 0;
+
+    for (const { close } of candles) {
+        if (!(close > 0)) continue;
+        peak = Math.max(peak, close);
+        maxDrawdown = Math.max(maxDrawdown, (peak - close) / peak);
+    }
+
+    return maxDrawdown * 100;
+}
+
+/**
+ * Beta of a stock's returns against the benchmark's on matching dates
+ * @returns {Number|null} Beta, null without enough overlapping days
+ */
+function computeBeta(returns, benchmarkReturns) {
+    const benchmarkByDate = new Map(benchmarkReturns.map(r => [r.date, r.value]));
+    const pairs = returns
+        .filter(r => benchmarkByDate.has(r.date))
+        .map(r => [r.value, benchmarkByDate.get(r.date)]);
+
+    if (pairs.length < MIN_RETURNS) return null;
+
+    const stockMean = mean(pairs.map(([s]) => s));
+    const benchmarkMean = mean(pairs.map(([, b]) => b));
+
+    let covariance = 0;
+    let variance = 0;
+    for (const [s, b] of pairs) {
+        covariance += (s - stockMean) * (b - benchmarkMean);
+        variance += (b - benchmarkMean) ** 2;
+    }
+
+    return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Risk level from the historical metrics
+ * Volatility sets the level; a high beta or a deep drawdown raises it by one
+ * @param {Object} metrics - { annualizedVolatility, beta, maxDrawdown }
+ * @returns {String} low | medium | high
+ */
+function classifyRisk({ annualizedVolatility, beta, maxDrawdown }) {
+    const levels = ["low", "medium", "high"];
+
+    let index = annualizedVolatility < VOLATILITY_LEVELS.low
+        ? 0
+        : annualizedVolatility < VOLATILITY_LEVELS.medium ? 1 : 2;
+
+    if ((beta !== null && beta >= HIGH_BETA) || maxDrawdown >= HIGH_DRAWDOWN_PERCENT) {
+        index = Math.min(index + 1, 2);
+    }
+
+    return levels[index];
+}
+
+/**
+ * Risk metrics from daily candles (pure)
+ * @param {Array} candles - [{ date, close }] oldest first
+ * @param {Array|null} benchmarkCandles - Benchmark candles for beta
+ * @returns {Object|null} { annualizedVolatility, beta, maxDrawdown, level, observations }
+ *   or null with too little history
+ */
+function computeRiskMetrics(candles, benchmarkCandles = null) {
+    const returns = getDailyReturns(candles || []);
+    if (returns.length < MIN_RETURNS) return null;
+
+    const values = returns.map(r => r.value);
+    const average = mean(values);
+    const variance = values.reduce((sum, v) => sum + (v - average) ** 2, 0) / (values.length - 1);
+
+    const metrics = {
+        annualizedVolatility: Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100,
+        beta: benchmarkCandles ? computeBeta(returns, getDailyReturns(benchmarkCandles)) : null,
+        maxDrawdown: computeMaxDrawdown(candles),
+        observations: returns.length
+    };
+
+    return { ...metrics, level: classifyRisk(metrics) };
+}
+
+/**
+ * A year of daily candles for a symbol (null when no provider has them)
+ */
+async function fetchCandles(symbol, from, to) {
+    try {
+        const history = await providerManager.getCandles(symbol, from, to);
+        return history.candles;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Historical risk metrics for a list of symbols
+ * @param {Array<String>} symbols - Stock symbols
+ * @returns {Promise<Map>} symbol -> metrics (null when history is unavailable)
+ */
+async function getRiskMetrics(symbols) {
+    const now = new Date();
+    const to = toDateString(now);
+    const from = toDateString(new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS));
+
+    const results = new Map();
+    const missing = [];
+
+    for (const symbol of [...new Set(symbols)]) {
+        const cached = await getCache(`risk:${symbol}:${to}`);
+        if (cached) {
+            results.set(symbol, cached.unavailable ? null : cached);
+        } else {
+            missing.push(symbol);
+        }
+    }
+
+    if (missing.length === 0) return results;
+
+    const benchmarkCandles = await fetchCandles(BENCHMARK_SYMBOL, from, to);
+
+    for (let i = 0; i < missing.length; i += FETCH_CONCURRENCY) {
+        const batch = missing.slice(i, i + FETCH_CONCURRENCY);
+
+        await Promise.all(batch.map(async symbol => {
+            const candles = symbol === BENCHMARK_SYMBOL
+                ? benchmarkCandles
+                : await fetchCandles(symbol, from, to);
+            const metrics = computeRiskMetrics(candles, benchmarkCandles);
+
+            results.set(symbol, metrics);
+            await setCache(`risk:${symbol}:${to}`, metrics || { unavailable: true }, METRICS_CACHE_TTL);
+        }));
+    }
+
+    return results;
+}
+
+module.exports = {
+    BENCHMARK_SYMBOL,
+    VOLATILITY_LEVELS,
+    getDailyReturns,
+    computeMaxDrawdown,
+    computeBeta,
+    classifyRisk,
+    computeRiskMetrics,
+    getRiskMetrics
+};
@@ -1,5 +1,15 @@
 const cron = require("node-cron");
 const { monitorWatchlistPrices, cleanupOldNotifications } = require("./priceMonitoring.service");
+const { processPendingOrders } = require("./pendingOrders.service");
+const { takeDailySnapshots } = require("./portfolioPerformance.service");
+const { recordBenchmarkPrices } = require("./benchmark.service");
+const { processCorporateActions } = require("./corporateActions.service");
+const { processRebalancing } = require("./rebalancing.service");
+const { evaluateRecommendationOutcomes } = require("./recommendationOutcomes.service");
+const marketCalendar = require("./marketCalendar.service");
+
+// Fixed-time jobs run on New York time, so they follow US daylight saving
+const SCHEDULE_TIMEZONE = "America/New_York";
 
 /**
  * Initialize all scheduled jobs (Optimized for API rate limiting)
@@ -7,46 +17,78 @@ const { monitorWatchlistPrices, cleanupOldNotifications } = require("./priceMoni
 exports.initializeScheduler = () => {
     console.log("⏰ Initializing optimized background jobs...");
 
-    // 24/7 Base monitoring - Every 10 minutes (reduced from 5 minutes)
-    // This covers crypto, international markets, after-hours trading, and pre-market
-    cron.schedule("*/10 * * * *", async () => {
-        console.log("⏰ Running 24/7 base monitoring...");
-        await monitorWatchlistPrices();
-    });
+    // Price monitoring - checked every 5 minutes, run at the market calendar's interval:
+    // 5 minutes while a US or NGX session is open, 15 during US pre-market and
+    // after-hours, 30 on nights, weekends and holidays. One job, so runs never double up
+    cron.schedule("*/5 * * * *", async () => {
+        const now = new Date();
+        const interval = marketCalendar.getMonitoringInterval(now);
+        if (now.getUTCMinutes() % interval !== 0) return;
 
-    // Market hours monitoring (9 AM - 4 PM EST, Mon-Fri) - Every 5 minutes (reduced from 2 minutes)
-    // More responsive during active trading but respects rate limits
-    cron.schedule("*/5 9-16 * * 1-5", async () => {
-        console.log("⏰ Running market hours monitoring...");
+        console.log(`⏰ Running price monitoring (every ${interval} minutes)...`);
         await monitorWatchlistPrices();
-    });
+    }, { noOverlap: true });
 
-    // Extended hours monitoring (4 PM - 9 AM EST, Mon-Fri) - Every 15 minutes (increased from 10 minutes)
-    // Covers after-hours and pre-market trading with reduced frequency
-    cron.schedule("*/15 0-8,17-23 * * 1-5", async () => {
-        console.log("⏰ Running extended hours monitoring...");
-        await monitorWatchlistPrices();
-    });
+    // Pending portfolio orders - Every 5 minutes during the US regular session
+    // Fills limit, stop and stop-limit orders once the quote crosses the trigger
+    cron.schedule("*/5 * * * *", async () => {
+        if (!marketCalendar.canFillOrders()) return;
 
-    // Weekend monitoring - Every 20 minutes (increased from 15 minutes)
-    // For crypto and international markets with reduced frequency
-    cron.schedule("*/20 * * * 0,6", async () => {
-        console.log("⏰ Running weekend monitoring...");
-        await monitorWatchlistPrices();
-    });
+        console.log("⏰ Running pending order processing...");
+        await processPendingOrders();
+    }, { noOverlap: true });
+
+    // End-of-day portfolio snapshots and benchmark closes (4:30 PM New York, US trading days)
+    cron.schedule("30 16 * * 1-5", async () => {
+        if (!marketCalendar.isTradingDay("US")) return;
+
+        console.log("⏰ Running end-of-day portfolio snapshots...");
+        await takeDailySnapshots();
+        await recordBenchmarkPrices();
+    }, { timezone: SCHEDULE_TIMEZONE });
 
-    // Cleanup old notifications - Daily at 2 AM
+    // Dividends and stock splits for virtual holdings - Daily at 6 AM New York
+    // Before the open, so split-adjusted quantities are in place for trading
+    cron.schedule("0 6 * * *", async () => {
+        console.log("⏰ Running corporate action processing...");
+        await processCorporateActions();
+    }, { timezone: SCHEDULE_TIMEZONE });
+
+    // Rebalancing checks - Daily at 7 AM New York; each portfolio is only checked
+    // once its profile's rebalancing cadence (weekly to quarterly) is due
+    cron.schedule("0 7 * * *", async () => {
+        console.log("⏰ Running rebalancing checks...");
+        await processRebalancing();
+    }, { timezone: SCHEDULE_TIMEZONE });
+
+    // Recommendation outcomes (5 PM New York, US trading days) - 1 week, 1 month and 3 month returns
+    cron.schedule("0 17 * * 1-5", async () => {
+        if (!marketCalendar.isTradingDay("US")) return;
+
+        console.log("⏰ Running recommendation outcome evaluation...");
+        await evaluateRecommendationOutcomes();
+    }, { timezone: SCHEDULE_TIMEZONE });
+
+    // Cleanup old notifications - Daily at 2 AM New York
     cron.schedule("0 2 * * *", async () => {
         console.log("⏰ Running scheduled notification cleanup...");
         await cleanupOldNotifications();
-    });
+    }, { timezone: SCHEDULE_TIMEZONE });
+
+    const { open, extended, closed } = marketCalendar.MONITORING_INTERVALS;
+    const markets = marketCalendar.getAllMarketStatuses()
+        .map(market => `${market.market} ${market.status}`)
+        .join(", ");
 
     console.log("✅ Optimized background jobs initialized:");
-    console.log("   - 24/7 Base monitoring: Every 10 minutes (reduced frequency)");
-    console.log("   - Market hours (9AM-4PM EST, Mon-Fri): Every 5 minutes (reduced frequency)");
-    console.log("   - Extended hours (4PM-9AM EST, Mon-Fri): Every 15 minutes (reduced frequency)");
-    console.log("   - Weekend monitoring: Every 20 minutes (reduced frequency)");
-    console.log("   - Notification cleanup: Daily at 2 AM");
+    console.log(`   - Price monitoring: every ${open} min in market hours, ${extended} min in US extended hours, ${closed} min when closed`);
+    console.log(`   - Markets now: ${markets}`);
+    console.log("   - Pending orders: Every 5 minutes in US market hours");
+    console.log("   - Portfolio snapshots and benchmark prices: 4:30 PM New York, US trading days");
+    console.log("   - Corporate actions (dividends, splits): Daily at 6 AM New York");
+    console.log("   - Rebalancing checks: Daily at 7 AM New York (per-profile cadence)");
+    console.log("   - Recommendation outcomes: 5 PM New York, US trading days");
+    console.log("   - Notification cleanup: Daily at 2 AM New York");
     console.log("   - 🎯 Combined with single-provider requests = ~80% API call reduction");
 };
 
@@ -60,3 +102,25 @@ exports.triggerPriceMonitoring = async () => {
 exports.triggerCleanup = async () => {
     return await cleanupOldNotifications();
 };
+
+exports.triggerOrderProcessing = async () => {
+    return await processPendingOrders();
+};
+
+exports.triggerPortfolioSnapshots = async () => {
+    const snapshots = await takeDailySnapshots();
+    const benchmarks = await recordBenchmarkPrices();
+    return { ...snapshots, benchmarks };
+};
+
+exports.triggerCorporateActions = async () => {
+    return await processCorporateActions();
+};
+
+exports.triggerRebalancing = async () => {
+    return await processRebalancing();
+};
+
+exports.triggerRecommendationOutcomes = async () => {
+    return await evaluateRecommendationOutcomes();
+};
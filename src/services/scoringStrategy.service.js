@@ -0,0 +1,109 @@
+const ScoringStrategy = require("../models/scoringStrategy.models");
+
+/**
+ * Scoring Strategy Service
+ * Named, versioned recommendation scoring strategies. A strategy scales the
+ * engine's factor points and switches parts of the algorithm on or off.
+ */
+
+// Factors a strategy can weight (see calculateMatchScore)
+const STRATEGY_FACTORS = ["sector", "riskAlignment", "stability", "liquidity", "etf", "affordability", "feedback"];
+
+const STRATEGY_OPTIONS = ["useHistoricalRisk", "useFeedback"];
+
+// Built-in strategy used outside experiments; scores exactly as the engine always has
+const DEFAULT_STRATEGY = {
+    name: "baseline",
+    version: 1,
+    description: "Default engine scoring",
+    weights: Object.fromEntries(STRATEGY_FACTORS.map(factor => [factor, 1])),
+    options: {
+        useHistoricalRisk: true,
+        useFeedback: true
+    }
+};
+
+/**
+ * Strategy key used in logs and stats, e.g. "baseline@v1"
+ */
+function getStrategyKey(strategy) {
+    return `${strategy.name}@v${strategy.version}`;
+}
+
+/**
+ * Look up a strategy version
+ * @param {String} name - Strategy name
+ * @param {Number} version - Strategy version
+ * @returns {Promise<Object|null>} Strategy
+ */
+async function getStrategy(name, version) {
+    if (name === DEFAULT_STRATEGY.name && version === DEFAULT_STRATEGY.version) {
+        return DEFAULT_STRATEGY;
+    }
+
+    return await ScoringStrategy.findOne({ name, version }).lean();
+}
+
+/**
+ * All strategy versions, built-in baseline first
+ * @returns {Promise<Array>} Strategies
+ */
+async function listStrategies() {
+    const stored = await ScoringStrategy.find().sort({ name: 1, version: -1 }).lean();
+    return [DEFAULT_STRATEGY, ...stored];
+}
+
+/**
+ * Save the next version of a strategy
+ * Missing weights default to 1 and missing options to on
+ * @param {Object} input - { name, description, weights, options }
+ * @returns {Promise<Object>} { success, strategy } or { success: false, statusCode, error }
+ */
+async function createStrategyVersion({ name, description, weights = {}, options = {} }) {
+    if (typeof name !== "string" || !/^[a-z0-9_-]+$/i.test(name.trim())) {
+        return { success: false, statusCode: 400, error: "Name may only contain letters, numbers, '-' and '_'" };
+    }
+
+    for (const [factor, weight] of Object.entries(weights)) {
+        if (!STRATEGY_FACTORS.includes(factor)) {
+            return { success: false, statusCode: 400, error: `Unknown factor '${factor}'. Factors: ${STRATEGY_FACTORS.join(", ")}` };
+        }
+        if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+            return { success: false, statusCode: 400, error: `Weight for ${factor} must be a non-negative number` };
+        }
+    }
+
+    for (const [option, value] of Object.entries(options)) {
+        if (!STRATEGY_OPTIONS.includes(option)) {
+            return { success: false, statusCode: 400, error: `Unknown option '${option}'. Options: ${STRATEGY_OPTIONS.join(", ")}` };
+        }
+        if (typeof value !== "boolean") {
+            return { success: false, statusCode: 400, error: `Option ${option} must be true or false` };
+        }
+    }
+
+    const strategyName = name.trim().toLowerCase();
+    const latest = await ScoringStrategy.findOne({ name: strategyName }).sort({ version: -1 }).lean();
+
+    // Stored baseline versions follow the built-in v1
+    const baseVersion = strategyName === DEFAULT_STRATEGY.name ? DEFAULT_STRATEGY.version : 0;
+
+    const strategy = await ScoringStrategy.create({
+        name: strategyName,
+        version: Math.max(latest?.version || 0, baseVersion) + 1,
+        description,
+        weights,
+        options
+    });
+
+    return { success: true, strategy };
+}
+
+module.exports = {
+    STRATEGY_FACTORS,
+    DEFAULT_STRATEGY,
+    getStrategyKey,
+    getStrategy,
+    listStrategies,
+    createStrategyVersion
+};
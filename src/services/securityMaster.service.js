@@ -0,0 +1,399 @@
+const Security = require("../models/security.models");
+
+/**
+ * Security Master Service
+ * Symbol reference data (name, exchange, sector, asset type, currency) kept
+ * in Mongo and mirrored in memory so scoring code can look it up synchronously.
+ * Company profiles fetched through providerManager are recorded as they arrive.
+ */
+
+// Built-in starting set: [symbol, name, exchange, sector, assetType]
+const SEED_SECURITIES = [
+    // Technology
+    ["AAPL", "Apple Inc.", "NASDAQ", "tech", "stock"],
+    ["MSFT", "Microsoft Corporation", "NASDAQ", "tech", "stock"],
+    ["GOOGL", "Alphabet Inc. Class A", "NASDAQ", "tech", "stock"],
+    ["GOOG", "Alphabet Inc. Class C", "NASDAQ", "tech", "stock"],
+    ["META", "Meta Platforms Inc.", "NASDAQ", "tech", "stock"],
+    ["NVDA", "NVIDIA Corporation", "NASDAQ", "tech", "stock"],
+    ["ORCL", "Oracle Corporation", "NASDAQ", "tech", "stock"],
+    ["CSCO", "Cisco Systems Inc.", "NASDAQ", "tech", "stock"],
+    ["INTC", "Intel Corporation", "NASDAQ", "tech", "stock"],
+    ["AMD", "Advanced Micro Devices Inc.", "NASDAQ", "tech", "stock"],
+    ["CRM", "Salesforce Inc.", "NASDAQ", "tech", "stock"],
+    ["ADBE", "Adobe Inc.", "NASDAQ", "tech", "stock"],
+    ["NFLX", "Netflix Inc.", "NASDAQ", "tech", "stock"],
+
+    // Financials
+    ["JPM", "JPMorgan Chase & Co.", "NYSE", "finance", "stock"],
+    ["BAC", "Bank of America Corporation", "NYSE", "finance", "stock"],
+    ["WFC", "Wells Fargo & Company", "NYSE", "finance", "stock"],
+    ["GS", "The Goldman Sachs Group Inc.", "NYSE", "finance", "stock"],
+    ["MS", "Morgan Stanley", "NYSE", "finance", "stock"],
+    ["C", "Citigroup Inc.", "NYSE", "finance", "stock"],
+    ["V", "Visa Inc.", "NYSE", "finance", "stock"],
+    ["MA", "Mastercard Incorporated", "NYSE", "finance", "stock"],
+    ["AXP", "American Express Company", "NYSE", "finance", "stock"],
+    ["BLK", "BlackRock Inc.", "NYSE", "finance", "stock"],
+    ["SCHW", "The Charles Schwab Corporation", "NYSE", "finance", "stock"],
+    ["BRK.A", "Berkshire Hathaway Inc. Class A", "NYSE", "finance", "stock"],
+    ["BRK.B", "Berkshire Hathaway Inc. Class B", "NYSE", "finance", "stock"],
+
+    // Healthcare
+    ["JNJ", "Johnson & Johnson", "NYSE", "healthcare", "stock"],
+    ["UNH", "UnitedHealth Group Incorporated", "NYSE", "healthcare", "stock"],
+    ["PFE", "Pfizer Inc.", "NYSE", "healthcare", "stock"],
+    ["ABBV", "AbbVie Inc.", "NYSE", "healthcare", "stock"],
+    ["TMO", "Thermo Fisher Scientific Inc.", "NYSE", "healthcare", "stock"],
+    ["MRK", "Merck & Co. Inc.", "NYSE", "healthcare", "stock"],
+    ["ABT", "Abbott Laboratories", "NYSE", "healthcare", "stock"],
+    ["DHR", "Danaher Corporation", "NYSE", "healthcare", "stock"],
+    ["LLY", "Eli Lilly and Company", "NYSE", "healthcare", "stock"],
+    ["BMY", "Bristol-Myers Squibb Company", "NYSE", "healthcare", "stock"],
+
+    // Consumer
+    ["AMZN", "Amazon.com Inc.", "NASDAQ", "consumer", "stock"],
+    ["TSLA", "Tesla Inc.", "NASDAQ", "consumer", "stock"],
+    ["WMT", "Walmart Inc.", "NYSE", "consumer", "stock"],
+    ["HD", "The Home Depot Inc.", "NYSE", "consumer", "stock"],
+    ["MCD", "McDonald's Corporation", "NYSE", "consumer", "stock"],
+    ["NKE", "NIKE Inc.", "NYSE", "consumer", "stock"],
+    ["SBUX", "Starbucks Corporation", "NASDAQ", "consumer", "stock"],
+    ["TGT", "Target Corporation", "NYSE", "consumer", "stock"],
+    ["LOW", "Lowe's Companies Inc.", "NYSE", "consumer", "stock"],
+    ["COST", "Costco Wholesale Corporation", "NASDAQ", "consumer", "stock"],
+    ["DG", "Dollar General Corporation", "NYSE", "consumer", "stock"],
+    ["PG", "The Procter & Gamble Company", "NYSE", "consumer", "stock"],
+    ["KO", "The Coca-Cola Company", "NYSE", "consumer", "stock"],
+    ["PEP", "PepsiCo Inc.", "NYSE", "consumer", "stock"],
+    ["DIS", "The Walt Disney Company", "NYSE", "consumer", "stock"],
+
+    // Energy
+    ["XOM", "Exxon Mobil Corporation", "NYSE", "energy", "stock"],
+    ["CVX", "Chevron Corporation", "NYSE", "energy", "stock"],
+    ["COP", "ConocoPhillips", "NYSE", "energy", "stock"],
+    ["SLB", "Schlumberger Limited", "NYSE", "energy", "stock"],
+    ["EOG", "EOG Resources Inc.", "NYSE", "energy", "stock"],
+    ["MPC", "Marathon Petroleum Corporation", "NYSE", "energy", "stock"],
+    ["PSX", "Phillips 66", "NYSE", "energy", "stock"],
+    ["VLO", "Valero Energy Corporation", "NYSE", "energy", "stock"],
+    ["OXY", "Occidental Petroleum Corporation", "NYSE", "energy", "stock"],
+    ["HAL", "Halliburton Company", "NYSE", "energy", "stock"],
+
+    // ETFs (broad market, bond, commodity and sector funds)
+    ["SPY", "SPDR S&P 500 ETF Trust", "NYSE Arca", "diversified", "etf"],
+    ["VOO", "Vanguard S&P 500 ETF", "NYSE Arca", "diversified", "etf"],
+    ["QQQ", "Invesco QQQ Trust", "NASDAQ", "diversified", "etf"],
+    ["VTI", "Vanguard Total Stock Market ETF", "NYSE Arca", "diversified", "etf"],
+    ["IVV", "iShares Core S&P 500 ETF", "NYSE Arca", "diversified", "etf"],
+    ["DIA", "SPDR Dow Jones Industrial Average ETF Trust", "NYSE Arca", "diversified", "etf"],
+    ["IWM", "iShares Russell 2000 ETF", "NYSE Arca", "diversified", "etf"],
+    ["EFA", "iShares MSCI EAFE ETF", "NYSE Arca", "diversified", "etf"],
+    ["VEA", "Vanguard FTSE Developed Markets ETF", "NYSE Arca", "diversified", "etf"],
+    ["VWO", "Vanguard FTSE Emerging Markets ETF", "NYSE Arca", "diversified", "etf"],
+    ["EEM", "iShares MSCI Emerging Markets ETF", "NYSE Arca", "diversified", "etf"],
+    ["AOR", "iShares Core Growth Allocation ETF", "NYSE Arca", "diversified", "etf"],
+    ["BND", "Vanguard Total Bond Market ETF", "NYSE Arca", "fixed_income", "etf"],
+    ["AGG", "iShares Core U.S. Aggregate Bond ETF", "NYSE Arca", "fixed_income", "etf"],
+    ["TLT", "iShares 20+ Year Treasury Bond ETF", "NASDAQ", "fixed_income", "etf"],
+    ["VNQ", "Vanguard Real Estate ETF", "NYSE Arca", "real_estate", "etf"],
+    ["XLRE", "Real Estate Select Sector SPDR Fund", "NYSE Arca", "real_estate", "etf"],
+    ["GLD", "SPDR Gold Shares", "NYSE Arca", "commodities", "etf"],
+    ["SLV", "iShares Silver Trust", "NYSE Arca", "commodities", "etf"],
+    ["XLF", "Financial Select Sector SPDR Fund", "NYSE Arca", "finance", "etf"],
+    ["XLK", "Technology Select Sector SPDR Fund", "NYSE Arca", "tech", "etf"],
+    ["XLE", "Energy Select Sector SPDR Fund", "NYSE Arca", "energy", "etf"],
+    ["XLV", "Health Care Select Sector SPDR Fund", "NYSE Arca", "healthcare", "etf"],
+    ["XLI", "Industrial Select Sector SPDR Fund", "NYSE Arca", "industrials", "etf"],
+    ["XLP", "Consumer Staples Select Sector SPDR Fund", "NYSE Arca", "consumer", "etf"],
+    ["XLY", "Consumer Discretionary Select Sector SPDR Fund", "NYSE Arca", "consumer", "etf"],
+    ["XLU", "Utilities Select Sector SPDR Fund", "NYSE Arca", "utilities", "etf"],
+    ["XLB", "Materials Select Sector SPDR Fund", "NYSE Arca", "materials", "etf"]
+
+].map(([symbol, name, exchange, sector, assetType]) => ({
+    symbol,
+    name,
+    exchange,
+    sector,
+    assetType,
+    currency: "USD"
+}));
+
+// Provider industry keywords -> sector keys used by profiles and scoring
+// Checked in order, so "Biotechnology" is healthcare rather than tech
+const SECTOR_KEYWORDS = [
+    ["healthcare", ["health", "pharma", "biotech", "medical", "life sciences", "drug"]],
+    ["real_estate", ["real estate", "reit"]],
+    ["finance", ["bank", "financial", "insurance", "capital market", "credit", "asset management"]],
+    ["tech", ["technology", "software", "semiconductor", "internet", "electronic", "communication", "telecom", "media", "it services"]],
+    ["energy", ["energy", "oil", "gas", "petroleum", "coal"]],
+    ["utilities", ["utilit"]],
+    ["materials", ["chemical", "metal", "mining", "material", "steel", "paper", "packaging"]],
+    ["industrials", ["industrial", "aerospace", "defense", "machinery", "airline", "transport", "logistics", "construction", "commercial services", "electrical equipment"]],
+    ["consumer", ["retail", "consumer", "restaurant", "hotel", "leisure", "food", "beverage", "apparel", "textile", "automobile", "household", "tobacco", "distributor"]]
+];
+
+// Every sector key, including fund-only ones provider industries never map to
+const SECTORS = [...SECTOR_KEYWORDS.map(([sector]) => sector), "diversified", "fixed_income", "commodities", "other"];
+
+const ASSET_TYPES = ["stock", "etf", "fund", "crypto", "other"];
+
+// symbol -> security, seeded so lookups work before Mongo has loaded
+const cache = new Map(SEED_SECURITIES.map(security => [security.symbol, security]));
+
+/**
+ * Map a provider sector/industry string to one of our sector keys
+ * @param {String} industry - e.g. "Semiconductors", "Banking"
+ * @returns {String} Sector key, "other" when nothing matches
+ */
+function normalizeSector(industry) {
+    if (!industry) return "other";
+
+    const text = industry.toLowerCase();
+    for (const [sector, keywords] of SECTOR_KEYWORDS) {
+        if (keywords.some(keyword => text.includes(keyword))) {
+            return sector;
+        }
+    }
+
+    return "other";
+}
+
+/**
+ * Load every stored security into the in-memory cache
+ * @returns {Promise<Number>} Securities loaded
+ */
+async function loadSecurityMaster() {
+    try {
+        const securities = await Security.find({}).lean();
+
+        for (const security of securities) {
+            cache.set(security.symbol, security);
+        }
+
+        console.log(`✅ Security master loaded (${securities.length} stored, ${cache.size} known symbols)`);
+        return securities.length;
+    } catch (error) {
+        console.error("❌ Failed to load security master:", error.message);
+        return 0;
+    }
+}
+
+/**
+ * Cached security for a symbol
+ * @param {String} symbol - Stock symbol
+ * @returns {Object|null} Security or null when unknown
+ */
+function getSecurity(symbol) {
+    return cache.get((symbol || "").toUpperCase()) || null;
+}
+
+/**
+ * Sector key for a symbol ("other" when unknown)
+ */
+function getSector(symbol) {
+    return getSecurity(symbol)?.sector || "other";
+}
+
+/**
+ * Whether a symbol is an exchange-traded fund
+ */
+function isETF(symbol) {
+    return getSecurity(symbol)?.assetType === "etf";
+}
+
+/**
+ * Company name for a symbol (null when unknown)
+ */
+function getName(symbol) {
+    return getSecurity(symbol)?.name || null;
+}
+
+/**
+ * Listing exchange for a symbol (null when unknown)
+ */
+function getExchange(symbol) {
+    return getSecurity(symbol)?.exchange || null;
+}
+
+/**
+ * Record a normalized company profile from providerManager
+ * A sector we cannot classify never replaces one we already have
+ * @param {Object} profile - { symbol, name, exchange, sector, industry, currency }
+ * @returns {Promise<Object|null>} Stored security
+ */
+async function recordProfile(profile) {
+    const symbol = profile?.symbol?.toUpperCase();
+    if (!symbol) return null;
+
+    const existing = getSecurity(symbol);
+    const sector = normalizeSector(profile.sector || profile.industry);
+
+    const update = {
+        name: profile.name || existing?.name,
+        exchange: profile.exchange && profile.exchange !== "Unknown" ? profile.exchange : existing?.exchange,
+        industry: profile.industry || existing?.industry,
+        sector: sector !== "other" ? sector : existing?.sector || "other",
+        currency: profile.currency || existing?.currency || "USD",
+        source: "provider",
+        lastProfileAt: new Date()
+    };
+
+    const security = await Security.findOneAndUpdate(
+        { symbol },
+        { $set: update, $setOnInsert: { assetType: existing?.assetType || "stock" } },
+        { upsert: true, new: true, lean: true }
+    );
+
+    cache.set(symbol, security);
+    return security;
+}
+
+/**
+ * Validate one security row from the seed list or an import
+ * @returns {Object} { security } or { error }
+ */
+function parseSecurity(row) {
+    const symbol = typeof row?.symbol === "string" ? row.symbol.trim().toUpperCase() : "";
+    if (!symbol) {
+        return { error: "Symbol is required" };
+    }
+
+    const security = { symbol };
+
+    if (row.assetType) {
+        security.assetType = String(row.assetType).toLowerCase();
+        if (!ASSET_TYPES.includes(security.assetType)) {
+            return { error: `Asset type must be one of ${ASSET_TYPES.join(", ")}` };
+        }
+    }
+
+    for (const field of ["name", "exchange", "industry", "currency"]) {
+        if (row[field]) security[field] = String(row[field]).trim();
+    }
+
+    // Accept either our sector keys or provider-style sector names
+    if (row.sector) {
+        const sector = String(row.sector).trim().toLowerCase();
+        security.sector = SECTORS.includes(sector) ? sector : normalizeSector(sector);
+    } else if (row.industry) {
+        security.sector = normalizeSector(row.industry);
+    }
+
+    if (security.currency) security.currency = security.currency.toUpperCase();
+
+    return { security };
+}
+
+/**
+ * Insert or update securities in bulk
+ * Imports overwrite the fields they provide; seeding only fills symbols
+ * we do not have yet, so it never undoes provider or import data
+ * @param {Array} rows - Security objects
+ * @param {String} source - seed | import
+ * @returns {Promise<Object>} { success, total, upserted, modified, failed, errors }
+ */
+async function upsertSecurities(rows, source = "import") {
+    const errors = [];
+    const operations = [];
+
+    rows.forEach((row, index) => {
+        const parsed = parseSecurity(row);
+
+        if (parsed.error) {
+            errors.push({ index, symbol: row?.symbol || null, error: parsed.error });
+            return;
+        }
+
+        const { symbol, ...fields } = parsed.security;
+        const update = source === "seed"
+            ? { $setOnInsert: { assetType: "stock", ...fields, source } }
+            : { $set: { ...fields, source } };
+
+        // Rows that omit the asset type keep the stored one
+        if (source !== "seed" && !fields.assetType) {
+            update.$setOnInsert = { assetType: "stock" };
+        }
+
+        operations.push({ updateOne: { filter: { symbol }, update, upsert: true } });
+    });
+
+    let upserted = 0;
+    let modified = 0;
+
+    if (operations.length > 0) {
+        const result = await Security.bulkWrite(operations, { ordered: false });
+        upserted = result.upsertedCount;
+        modified = result.modifiedCount;
+
+        await loadSecurityMaster();
+    }
+
+    return {
+        success: true,
+        total: rows.length,
+        upserted,
+        modified,
+        failed: errors.length,
+        errors
+    };
+}
+
+/**
+ * Store the built-in seed list (existing records are left alone)
+ */
+async function seedSecurities() {
+    return await upsertSecurities(SEED_SECURITIES, "seed");
+}
+
+/**
+ * Page through stored securities
+ * @param {Object} filters - { search, sector, assetType, page, limit }
+ * @returns {Promise<Object>} { securities, pagination }
+ */
+async function listSecurities({ search, sector, assetType, page = 1, limit = 50 } = {}) {
+    const query = {};
+
+    if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+        query.$or = [{ symbol: pattern }, { name: pattern }];
+    }
+    if (sector) query.sector = sector;
+    if (assetType) query.assetType = assetType;
+
+    const [securities, total] = await Promise.all([
+        Security.find(query)
+            .sort({ symbol: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Security.countDocuments(query)
+    ]);
+
+    return {
+        securities,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+module.exports = {
+    SEED_SECURITIES,
+    SECTORS,
+    ASSET_TYPES,
+    normalizeSector,
+    loadSecurityMaster,
+    getSecurity,
+    getSector,
+    isETF,
+    getName,
+    getExchange,
+    recordProfile,
+    upsertSecurities,
+    seedSecurities,
+    listSecurities
+};
@@ -1,140 +1,12 @@
 const { getCache, setCache } = require("../config/redis");
+const securityMaster = require("./securityMaster.service");
 
 /**
  * Stock Name Enrichment Service
  * Enriches stock symbols with proper company names
+ * Falls back to the security master when providers do not return them
  */
 class StockNameEnrichmentService {
-    constructor() {
-        // Static mapping for common stocks when API doesn't provide names
-        this.staticNames = {
-            // Major Tech Stocks
-            "AAPL": "Apple Inc.",
-            "MSFT": "Microsoft Corporation",
-            "GOOGL": "Alphabet Inc. Class A",
-            "GOOG": "Alphabet Inc. Class C",
-            "AMZN": "Amazon.com Inc.",
-            "TSLA": "Tesla Inc.",
-            "META": "Meta Platforms Inc.",
-            "NVDA": "NVIDIA Corporation",
-            "ORCL": "Oracle Corporation",
-            "CSCO": "Cisco Systems Inc.",
-            "INTC": "Intel Corporation",
-            "AMD": "Advanced Micro Devices Inc.",
-            "CRM": "Salesforce Inc.",
-            "ADBE": "Adobe Inc.",
-            "NFLX": "Netflix Inc.",
-            
-            // Financial Stocks
-            "JPM": "JPMorgan Chase & Co.",
-            "BAC": "Bank of America Corporation",
-            "WFC": "Wells Fargo & Company",
-            "GS": "The Goldman Sachs Group Inc.",
-            "MS": "Morgan Stanley",
-            "C": "Citigroup Inc.",
-            "V": "Visa Inc.",
-            "MA": "Mastercard Incorporated",
-            "AXP": "American Express Company",
-            "BLK": "BlackRock Inc.",
-            "BRK.A": "Berkshire Hathaway Inc. Class A",
-            "BRK.B": "Berkshire Hathaway Inc. Class B",
-            
-            // Healthcare Stocks
-            "JNJ": "Johnson & Johnson",
-            "UNH": "UnitedHealth Group Incorporated",
-            "PFE": "Pfizer Inc.",
-            "ABBV": "AbbVie Inc.",
-            "TMO": "Thermo Fisher Scientific Inc.",
-            "MRK": "Merck & Co. Inc.",
-            "ABT": "Abbott Laboratories",
-            "DHR": "Danaher Corporation",
-            "LLY": "Eli Lilly and Company",
-            "BMY": "Bristol-Myers Squibb Company",
-            
-            // Consumer Stocks
-            "WMT": "Walmart Inc.",
-            "HD": "The Home Depot Inc.",
-            "MCD": "McDonald's Corporation",
-            "NKE": "NIKE Inc.",
-            "SBUX": "Starbucks Corporation",
-            "TGT": "Target Corporation",
-            "LOW": "Lowe's Companies Inc.",
-            "COST": "Costco Wholesale Corporation",
-            "DG": "Dollar General Corporation",
-            "PG": "The Procter & Gamble Company",
-            "KO": "The Coca-Cola Company",
-            "PEP": "PepsiCo Inc.",
-            "DIS": "The Walt Disney Company",
-            
-            // Energy Stocks
-            "XOM": "Exxon Mobil Corporation",
-            "CVX": "Chevron Corporation",
-            "COP": "ConocoPhillips",
-            "SLB": "Schlumberger Limited",
-            "EOG": "EOG Resources Inc.",
-            "MPC": "Marathon Petroleum Corporation",
-            "PSX": "Phillips 66",
-            "VLO": "Valero Energy Corporation",
-            "OXY": "Occidental Petroleum Corporation",
-            "HAL": "Halliburton Company",
-            
-            // Popular ETFs
-            "SPY": "SPDR S&P 500 ETF Trust",
-            "VOO": "Vanguard S&P 500 ETF",
-            "QQQ": "Invesco QQQ Trust",
-            "VTI": "Vanguard Total Stock Market ETF",
-            "IVV": "iShares Core S&P 500 ETF",
-            "VEA": "Vanguard FTSE Developed Markets ETF",
-            "VWO": "Vanguard FTSE Emerging Markets ETF",
-            "BND": "Vanguard Total Bond Market ETF",
-            "VNQ": "Vanguard Real Estate ETF",
-            "GLD": "SPDR Gold Shares",
-            "SLV": "iShares Silver Trust",
-            "TLT": "iShares 20+ Year Treasury Bond ETF",
-            "EFA": "iShares MSCI EAFE ETF",
-            "EEM": "iShares MSCI Emerging Markets ETF",
-            "XLF": "Financial Select Sector SPDR Fund",
-            "XLK": "Technology Select Sector SPDR Fund",
-            "XLE": "Energy Select Sector SPDR Fund",
-            "XLV": "Health Care Select Sector SPDR Fund",
-            "XLI": "Industrial Select Sector SPDR Fund",
-            "XLP": "Consumer Staples Select Sector SPDR Fund",
-            "XLY": "Consumer Discretionary Select Sector SPDR Fund",
-            "XLU": "Utilities Select Sector SPDR Fund",
-            "XLB": "Materials Select Sector SPDR Fund",
-            "XLRE": "Real Estate Select Sector SPDR Fund"
-        };
-
-        // Static mapping for exchanges
-        this.staticExchanges = {
-            // NASDAQ stocks
-            "AAPL": "NASDAQ", "MSFT": "NASDAQ", "GOOGL": "NASDAQ", "GOOG": "NASDAQ",
-            "AMZN": "NASDAQ", "TSLA": "NASDAQ", "META": "NASDAQ", "NVDA": "NASDAQ",
-            "ORCL": "NASDAQ", "CSCO": "NASDAQ", "INTC": "NASDAQ", "AMD": "NASDAQ",
-            "CRM": "NASDAQ", "ADBE": "NASDAQ", "NFLX": "NASDAQ", "COST": "NASDAQ",
-            "SBUX": "NASDAQ",
-            
-            // NYSE stocks
-            "JPM": "NYSE", "BAC": "NYSE", "WFC": "NYSE", "GS": "NYSE", "MS": "NYSE",
-            "C": "NYSE", "V": "NYSE", "MA": "NYSE", "AXP": "NYSE", "BLK": "NYSE",
-            "BRK.A": "NYSE", "BRK.B": "NYSE", "JNJ": "NYSE", "UNH": "NYSE",
-            "PFE": "NYSE", "ABBV": "NYSE", "TMO": "NYSE", "MRK": "NYSE", "ABT": "NYSE",
-            "DHR": "NYSE", "LLY": "NYSE", "BMY": "NYSE", "WMT": "NYSE", "HD": "NYSE",
-            "MCD": "NYSE", "NKE": "NYSE", "TGT": "NYSE", "LOW": "NYSE", "DG": "NYSE",
-            "PG": "NYSE", "KO": "NYSE", "PEP": "NYSE", "DIS": "NYSE", "XOM": "NYSE",
-            "CVX": "NYSE", "COP": "NYSE", "SLB": "NYSE", "EOG": "NYSE", "MPC": "NYSE",
-            "PSX": "NYSE", "VLO": "NYSE", "OXY": "NYSE", "HAL": "NYSE",
-            
-            // ETFs (various exchanges)
-            "SPY": "NYSE Arca", "VOO": "NYSE Arca", "QQQ": "NASDAQ", "VTI": "NYSE Arca",
-            "IVV": "NYSE Arca", "VEA": "NYSE Arca", "VWO": "NYSE Arca", "BND": "NYSE Arca",
-            "VNQ": "NYSE Arca", "GLD": "NYSE Arca", "SLV": "NYSE Arca", "TLT": "NASDAQ",
-            "EFA": "NYSE Arca", "EEM": "NYSE Arca", "XLF": "NYSE Arca", "XLK": "NYSE Arca",
-            "XLE": "NYSE Arca", "XLV": "NYSE Arca", "XLI": "NYSE Arca", "XLP": "NYSE Arca",
-            "XLY": "NYSE Arca", "XLU": "NYSE Arca", "XLB": "NYSE Arca", "XLRE": "NYSE Arca"
-        };
-    }
-
     /**
      * Enrich a single stock with company name and exchange
      * @param {Object} stock - Stock object with symbol
@@ -174,6 +46,7 @@ class StockNameEnrichmentService {
                     if (adapters.finnhub) {
                         try {
                             const profile = await adapters.finnhub.getCompanyProfile(symbol);
+                            this.recordProfile(profile);
                             if (profile && profile.name) {
                                 enrichedName = profile.name;
                                 // Cache the result for 24 hours
@@ -184,10 +57,10 @@ class StockNameEnrichmentService {
                         }
                     }
 
-                    // If no name from API, use static mapping
+                    // If no name from API, use the security master
                     if (!enrichedName || enrichedName === symbol) {
-                        enrichedName = this.staticNames[symbol] || symbol;
-                        // Cache the static result for 24 hours
+                        enrichedName = securityMaster.getName(symbol) || symbol;
+                        // Cache the fallback result for 24 hours
                         await setCache(nameCacheKey, enrichedName, 86400);
                     }
                 }
@@ -205,6 +78,7 @@ class StockNameEnrichmentService {
                     if (adapters.finnhub) {
                         try {
                             const profile = await adapters.finnhub.getCompanyProfile(symbol);
+                            this.recordProfile(profile);
                             if (profile && profile.exchange) {
                                 enrichedExchange = profile.exchange;
                                 // Cache the result for 24 hours
@@ -215,10 +89,10 @@ class StockNameEnrichmentService {
                         }
                     }
 
-                    // If no exchange from API, use static mapping
+                    // If no exchange from API, use the security master
                     if (!enrichedExchange || enrichedExchange === "Unknown" || enrichedExchange === null) {
-                        enrichedExchange = this.staticExchanges[symbol] || "Unknown";
-                        // Cache the static result for 24 hours
+                        enrichedExchange = securityMaster.getExchange(symbol) || "Unknown";
+                        // Cache the fallback result for 24 hours
                         await setCache(exchangeCacheKey, enrichedExchange, 86400);
                     }
                 }
@@ -231,11 +105,11 @@ class StockNameEnrichmentService {
             };
         } catch (error) {
             console.error(`Error enriching ${stock.symbol}:`, error.message);
-            // Fallback to static mappings
+            // Fallback to the security master
             return { 
                 ...stock, 
-                name: this.staticNames[stock.symbol] || stock.symbol,
-                exchange: this.staticExchanges[stock.symbol] || stock.exchange || "Unknown"
+                name: securityMaster.getName(stock.symbol) || stock.symbol,
+                exchange: securityMaster.getExchange(stock.symbol) || stock.exchange || "Unknown"
             };
         }
     }
@@ -263,7 +137,7 @@ class StockNameEnrichmentService {
             if (!stock.name || stock.name === stock.symbol || stock.name === "null" || stock.name === null || stock.name.trim() === "") {
                 return {
                     ...stock,
-                    name: this.staticNames[stock.symbol] || stock.symbol
+                    name: securityMaster.getName(stock.symbol) || stock.symbol
                 };
             }
             return stock;
@@ -293,20 +167,15 @@ class StockNameEnrichmentService {
     }
 
     /**
-     * Add a new static name mapping
-     * @param {String} symbol - Stock symbol
-     * @param {String} name - Company name
+     * Store a provider profile in the security master without blocking enrichment
+     * @param {Object|null} profile - Company profile from an adapter
      */
-    addStaticName(symbol, name) {
-        this.staticNames[symbol] = name;
-    }
+    recordProfile(profile) {
+        if (!profile?.symbol) return;
 
-    /**
-     * Get all static name mappings
-     * @returns {Object} Static name mappings
-     */
-    getStaticNames() {
-        return { ...this.staticNames };
+        securityMaster.recordProfile(profile).catch(error => {
+            console.log(`Failed to record profile for ${profile.symbol}:`, error.message);
+        });
     }
 }
 
@@ -0,0 +1,122 @@
+/**
+ * Trading Costs Service
+ * Per-platform commission, FX spread and slippage for virtual trades.
+ * Figures are simulation estimates for the platforms our users buy US
+ * stocks through (see generateBuyLinks), not live pricing from them.
+ */
+
+const PLATFORM_FEE_PROFILES = {
+    none: {
+        name: "No fees",
+        commissionPercent: 0,
+        minimumFee: 0,
+        fxSpreadPercent: 0,
+        slippagePercent: 0
+    },
+    bamboo: {
+        name: "Bamboo",
+        commissionPercent: 1.5,
+        minimumFee: 3,
+        fxSpreadPercent: 1.5,
+        slippagePercent: 0.1
+    },
+    chaka: {
+        name: "Chaka",
+        commissionPercent: 1.5,
+        minimumFee: 3,
+        fxSpreadPercent: 2,
+        slippagePercent: 0.1
+    },
+    trove: {
+        name: "Trove",
+        commissionPercent: 1,
+        minimumFee: 2,
+        fxSpreadPercent: 1.5,
+        slippagePercent: 0.1
+    },
+    risevest: {
+        name: "Risevest",
+        commissionPercent: 0,
+        minimumFee: 0,
+        fxSpreadPercent: 2.5,
+        slippagePercent: 0.1
+    }
+};
+
+/**
+ * Fee profile for a platform key (no fees when unknown)
+ */
+function getProfile(platform) {
+    return PLATFORM_FEE_PROFILES[platform] || PLATFORM_FEE_PROFILES.none;
+}
+
+/**
+ * Execution price after slippage, which always moves against the trader
+ * @param {String} platform - Key of PLATFORM_FEE_PROFILES
+ * @param {String} side - buy | sell
+ * @param {Number} quotePrice - Market price per share (USD)
+ * @returns {Number} Execution price
+ */
+function getExecutionPrice(platform, side, quotePrice) {
+    const direction = side === "buy" ? 1 : -1;
+    return quotePrice * (1 + direction * getProfile(platform).slippagePercent / 100);
+}
+
+/**
+ * Largest notional a cash budget covers once buy fees are added
+ * @param {String} platform - Key of PLATFORM_FEE_PROFILES
+ * @param {Number} budget - Cash to spend including fees (USD)
+ * @returns {Number} Notional amount (USD)
+ */
+function getNotionalForBudget(platform, budget) {
+    const profile = getProfile(platform);
+    const commissionRate = profile.commissionPercent / 100;
+    const fxRate = profile.fxSpreadPercent / 100;
+
+    // Percentage commission applies when it is above the minimum fee
+    const notional = budget / (1 + commissionRate + fxRate);
+    if (notional * commissionRate >= profile.minimumFee) {
+        return notional;
+    }
+
+    return Math.max(0, (budget - profile.minimumFee) / (1 + fxRate));
+}
+
+/**
+ * Costs of a trade on a platform
+ * Slippage moves the execution price against the trader; commission
+ * (with its minimum) and the FX spread are charged on the notional.
+ * @param {String} platform - Key of PLATFORM_FEE_PROFILES
+ * @param {String} side - buy | sell
+ * @param {Number} quantity - Shares
+ * @param {Number} quotePrice - Market price per share (USD)
+ * @returns {Object} { platform, price, notional, commission, fxFee, slippage, fees }
+ */
+function calculateTradeCosts(platform, side, quantity, quotePrice) {
+    const profile = getProfile(platform);
+    const price = getExecutionPrice(platform, side, quotePrice);
+    const notional = quantity * price;
+
+    const commission = profile.commissionPercent > 0 || profile.minimumFee > 0
+        ? Math.max(profile.minimumFee, notional * profile.commissionPercent / 100)
+        : 0;
+    const fxFee = notional * profile.fxSpreadPercent / 100;
+
+    return {
+        platform: PLATFORM_FEE_PROFILES[platform] ? platform : "none",
+        price,
+        notional,
+        commission,
+        fxFee,
+        slippage: Math.abs(price - quotePrice) * quantity,
+        // Charged on top of a buy / deducted from sale proceeds
+        fees: commission + fxFee
+    };
+}
+
+module.exports = {
+    PLATFORM_FEE_PROFILES,
+    getExecutionPrice,
+    getNotionalForBudget,
+    calculateTradeCosts
+};
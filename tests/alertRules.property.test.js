@@ -0,0 +1,208 @@
+const fc = require('fast-check');
+const alertRules = require('../src/services/alertRules.service');
+
+/**
+ * Property-based tests for the alert rule lifecycle
+ * **Feature: alert-rules, Property 1: Modes Limit Repeat Firings**
+ *
+ * For any sequence of checks, a one-shot rule should fire at most once,
+ * a re-arm rule only after its condition has cleared, and a cooldown rule
+ * never twice within its cooldown
+ */
+
+const MINUTE_MS = 60 * 1000;
+const START = Date.UTC(2026, 2, 10, 14, 30);
+
+// Checks a few minutes apart, each with whether the condition held
+const checksArbitrary = fc.array(
+    fc.record({
+        met: fc.boolean(),
+        gapMinutes: fc.integer({ min: 1, max: 30 })
+    }),
+    { minLength: 1, maxLength: 60 }
+);
+
+/**
+ * Run a rule through a sequence of checks the way the monitor does:
+ * disabled rules are skipped and returned state is saved on the rule
+ */
+function runChecks(rule, checks) {
+    const firings = [];
+    let time = START;
+
+    checks.forEach(({ met, gapMinutes }, index) => {
+        time += gapMinutes * MINUTE_MS;
+        if (rule.enabled === false) return;
+
+        const now = new Date(time);
+        const { fire, state } = alertRules.applyLifecycle(rule, met, now);
+        Object.assign(rule, state);
+
+        if (fire) firings.push({ index, now });
+    });
+
+    return firings;
+}
+
+describe('Alert Rules - Property-Based Tests', () => {
+    describe('Property 1: Modes Limit Repeat Firings', () => {
+        /**
+         * **Feature: alert-rules, Property 1: Modes Limit Repeat Firings**
+         */
+        test('a one-shot rule fires at most once and is then disabled', () => {
+            fc.assert(
+                fc.property(checksArbitrary, (checks) => {
+                    const rule = { mode: 'one_shot', enabled: true };
+                    const firings = runChecks(rule, checks);
+
+                    expect(firings.length).toBeLessThanOrEqual(1);
+                    expect(firings.length === 1).toBe(checks.some(c => c.met));
+                    if (firings.length === 1) {
+                        expect(rule.enabled).toBe(false);
+                        expect(alertRules.getRuleStatus(rule, firings[0].now).status).toBe('fired');
+                    }
+                }),
+                { numRuns: 200 }
+            );
+        });
+
+        test('a re-arm rule fires again only after the condition has cleared', () => {
+            fc.assert(
+                fc.property(checksArbitrary, (checks) => {
+                    const rule = { mode: 'rearm', enabled: true };
+                    const firings = runChecks(rule, checks);
+
+                    for (let i = 1; i < firings.length; i++) {
+                        const between = checks.slice(firings[i - 1].index + 1, firings[i].index);
+                        expect(between.some(c => !c.met)).toBe(true);
+                    }
+
+                    // The first met check after a clear always fires
+                    const expected = checks.filter((c, i) => c.met && (i === 0 || !checks[i - 1].met)).length;
+                    expect(firings.length).toBe(expected);
+                }),
+                { numRuns: 200 }
+            );
+        });
+
+        test('a cooldown rule never fires twice within cooldownMinutes', () => {
+            fc.assert(
+                fc.property(checksArbitrary, fc.integer({ min: 1, max: 240 }), (checks, cooldownMinutes) => {
+                    const rule = { mode: 'cooldown', enabled: true, cooldownMinutes };
+                    const firings = runChecks(rule, checks);
+
+                    for (let i = 1; i < firings.length; i++) {
+                        const gap = firings[i].now - firings[i - 1].now;
+                        expect(gap).toBeGreaterThanOrEqual(cooldownMinutes * MINUTE_MS);
+                    }
+                    expect(rule.triggerCount || 0).toBe(firings.length);
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 2: Status Reflects The Lifecycle', () => {
+        /**
+         * **Feature: alert-rules, Property 2: Status Reflects The Lifecycle**
+         */
+        test('a rule past its expiry is expired whatever else it records', () => {
+            fc.assert(
+                fc.property(
+                    fc.constantFrom(...alertRules.ALERT_MODES),
+                    fc.boolean(),
+                    fc.integer({ min: -1440, max: 1440 }),
+                    (mode, enabled, expiresInMinutes) => {
+                        const now = new Date(START);
+                        const rule = {
+                            mode,
+                            enabled,
+                            armed: false,
+                            lastTriggeredAt: new Date(START - MINUTE_MS),
+                            expiresAt: new Date(START + expiresInMinutes * MINUTE_MS)
+                        };
+
+                        const { status } = alertRules.getRuleStatus(rule, now);
+                        expect(status === 'expired').toBe(expiresInMinutes <= 0);
+                    }
+                ),
+                { numRuns: 200 }
+            );
+        });
+
+        test('a cooling-down rule reports when it can fire again', () => {
+            fc.assert(
+                fc.property(fc.integer({ min: 1, max: 240 }), fc.integer({ min: 0, max: 480 }), (cooldownMinutes, elapsed) => {
+                    const lastTriggeredAt = new Date(START);
+                    const now = new Date(START + elapsed * MINUTE_MS);
+                    const rule = { mode: 'cooldown', enabled: true, cooldownMinutes, lastTriggeredAt };
+
+                    const { status, nextEligibleAt } = alertRules.getRuleStatus(rule, now);
+                    const { fire } = alertRules.applyLifecycle(rule, true, now);
+
+                    if (elapsed < cooldownMinutes) {
+                        expect(status).toBe('cooling_down');
+                        expect(nextEligibleAt.getTime()).toBe(START + cooldownMinutes * MINUTE_MS);
+                        expect(fire).toBe(false);
+                    } else {
+                        expect(status).toBe('active');
+                        expect(fire).toBe(true);
+                    }
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 3: Day High Carries Over Within A Day', () => {
+        /**
+         * **Feature: alert-rules, Property 3: Day High Carries Over Within A Day**
+         */
+        test('a day-high break fires only above every price seen earlier that day', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(fc.double({ min: 1, max: 1000, noNaN: true }), { minLength: 2, maxLength: 30 }),
+                    (prices) => {
+                        const rule = { type: 'day_high_break', symbol: 'AAPL' };
+                        let highest = 0;
+
+                        prices.forEach((price, index) => {
+                            const now = new Date(START + index * 5 * MINUTE_MS);
+                            const { met, state } = alertRules.evaluateRule(rule, { price }, 'AAPL', now);
+
+                            expect(met).toBe(index > 0 && price > highest);
+                            highest = Math.max(highest, price);
+                            expect(state.lastDayHigh).toBe(highest);
+
+                            Object.assign(rule, state);
+                        });
+                    }
+                ),
+                { numRuns: 200 }
+            );
+        });
+
+        test('the day high starts fresh on a new day', () => {
+            fc.assert(
+                fc.property(
+                    fc.double({ min: 1, max: 1000, noNaN: true }),
+                    fc.double({ min: 1, max: 1000, noNaN: true }),
+                    (yesterday, today) => {
+                        const rule = {
+                            type: 'day_high_break',
+                            symbol: 'AAPL',
+                            lastDayHigh: yesterday,
+                            lastEvaluatedAt: new Date(START - 24 * 60 * MINUTE_MS)
+                        };
+
+                        const { met, state } = alertRules.evaluateRule(rule, { price: today }, 'AAPL', new Date(START));
+
+                        expect(met).toBe(false);
+                        expect(state.lastDayHigh).toBe(today);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+});
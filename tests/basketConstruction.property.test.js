@@ -0,0 +1,176 @@
+const fc = require('fast-check');
+const { buildBasket, getBasketRules } = require('../src/services/basketConstruction.service');
+
+/**
+ * Property-based tests for recommendation basket construction
+ * **Feature: basket-construction, Property 1: Sector Cap Is Respected**
+ *
+ * For any scored candidates and any profile, no sector other than
+ * "diversified" should hold more positions than the profile's sector cap
+ */
+
+const SECTORS = ['Technology', 'Healthcare', 'Financials', 'Energy', 'diversified'];
+
+const candidatesArbitrary = fc
+    .array(
+        fc.record({
+            sector: fc.constantFrom(...SECTORS),
+            isETF: fc.boolean(),
+            price: fc.double({ min: 1, max: 2000, noNaN: true })
+        }),
+        { maxLength: 30 }
+    )
+    .map(rows => rows.map((row, index) => ({
+        stock: { symbol: `SYM${index}`, price: row.price },
+        score: 100 - index,
+        sector: row.sector,
+        isETF: row.isETF
+    })));
+
+const profileArbitrary = fc.record({
+    diversificationLevel: fc.record({
+        minAssets: fc.integer({ min: 0, max: 10 }),
+        maxAssets: fc.integer({ min: 1, max: 20 })
+    }),
+    goalConstraints: fc.record({
+        minDiversification: fc.integer({ min: 0, max: 10 }),
+        avoidHighVolatility: fc.boolean(),
+        recommendETFs: fc.boolean()
+    }),
+    budgetConstraints: fc.record({
+        maxPositionsCount: fc.integer({ min: 1, max: 20 }),
+        minPositionSize: fc.constantFrom(0, 50, 500),
+        preferFractional: fc.boolean()
+    })
+});
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+    counts.set(item[key], (counts.get(item[key]) || 0) + 1);
+    return counts;
+}, new Map());
+
+describe('Basket Construction - Property-Based Tests', () => {
+    describe('Property 1: Sector Cap Is Respected', () => {
+        /**
+         * **Feature: basket-construction, Property 1: Sector Cap Is Respected**
+         */
+        test('no capped sector holds more than maxPerSector positions', () => {
+            fc.assert(
+                fc.property(candidatesArbitrary, profileArbitrary, (candidates, profile) => {
+                    const { selected, summary } = buildBasket(candidates, profile);
+
+                    for (const [sector, count] of countBy(selected, 'sector')) {
+                        if (sector === 'diversified') continue;
+                        expect(count).toBeLessThanOrEqual(summary.maxPerSector);
+                    }
+                }),
+                { numRuns: 300 }
+            );
+        });
+
+        test('diversified funds are never excluded for the sector cap', () => {
+            fc.assert(
+                fc.property(candidatesArbitrary, profileArbitrary, (candidates, profile) => {
+                    const { excluded } = buildBasket(candidates, profile);
+                    const diversified = new Set(
+                        candidates.filter(c => c.sector === 'diversified').map(c => c.stock.symbol)
+                    );
+
+                    for (const { symbol, reason } of excluded) {
+                        if (diversified.has(symbol)) {
+                            expect(reason).not.toMatch(/Sector cap/);
+                        }
+                    }
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 2: Basket Size And Order', () => {
+        /**
+         * **Feature: basket-construction, Property 2: Basket Size And Order**
+         */
+        test('the basket fits the position caps and keeps score order', () => {
+            fc.assert(
+                fc.property(candidatesArbitrary, profileArbitrary, (candidates, profile) => {
+                    const { selected } = buildBasket(candidates, profile);
+                    const { maxAssets } = profile.diversificationLevel;
+                    const { maxPositionsCount } = profile.budgetConstraints;
+
+                    expect(selected.length).toBeLessThanOrEqual(Math.min(maxAssets, maxPositionsCount));
+
+                    const positions = selected.map(c => candidates.indexOf(c));
+                    expect(positions).toEqual([...positions].sort((a, b) => a - b));
+                }),
+                { numRuns: 200 }
+            );
+        });
+
+        test('a warning is raised whenever the basket is below the minimum', () => {
+            fc.assert(
+                fc.property(candidatesArbitrary, profileArbitrary, (candidates, profile) => {
+                    const { selected, summary } = buildBasket(candidates, profile);
+
+                    if (selected.length < summary.minPositions) {
+                        expect(summary.met).toBe(false);
+                        expect(summary.warnings.length).toBeGreaterThan(0);
+                    }
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 3: Affordability', () => {
+        /**
+         * **Feature: basket-construction, Property 3: Affordability**
+         */
+        test('positions the minimum position size cannot buy are excluded', () => {
+            fc.assert(
+                fc.property(candidatesArbitrary, profileArbitrary, (candidates, profile) => {
+                    const { selected, excluded } = buildBasket(candidates, profile);
+                    const { minPositionSize, preferFractional } = profile.budgetConstraints;
+                    if (preferFractional || !minPositionSize) return;
+
+                    const excludedSymbols = new Set(excluded.map(e => e.symbol));
+
+                    for (const candidate of candidates) {
+                        if (candidate.stock.price > minPositionSize) {
+                            expect(selected).not.toContain(candidate);
+                            expect(excludedSymbols.has(candidate.stock.symbol)).toBe(true);
+                        }
+                    }
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 4: ETF Share', () => {
+        /**
+         * **Feature: basket-construction, Property 4: ETF Share**
+         */
+        test('uncapped ETFs fill the minimum ETF share when enough are available', () => {
+            fc.assert(
+                fc.property(candidatesArbitrary, profileArbitrary, (candidates, profile) => {
+                    // Broad-market ETFs never hit the sector cap
+                    const etfsAreBroad = candidates.map(c => (c.isETF ? { ...c, sector: 'diversified' } : c));
+                    // Fractional buying keeps every candidate affordable
+                    const fractional = {
+                        ...profile,
+                        budgetConstraints: { ...profile.budgetConstraints, preferFractional: true }
+                    };
+
+                    const { summary } = buildBasket(etfsAreBroad, fractional);
+                    const rules = getBasketRules(fractional, etfsAreBroad.length);
+                    const available = etfsAreBroad.filter(c => c.isETF).length;
+
+                    expect(summary.etfCount)
+                        .toBeGreaterThanOrEqual(Math.min(rules.minETFs, rules.targetCount, available));
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const fc = require('fast-check');
+const { consumeLots } = require('../src/services/portfolioTrading.service');
+
+/**
+ * Property-based tests for tax lot accounting
+ * **Feature: lot-accounting, Property 1: Cost Is Conserved**
+ *
+ * For any set of lots and any sale, the cost of the shares sold plus the cost
+ * of the lots left over should equal the cost of the lots before the sale
+ */
+
+const lotArbitrary = fc.record({
+    quantity: fc.double({ min: 0.01, max: 1000, noNaN: true }),
+    price: fc.double({ min: 0.01, max: 5000, noNaN: true })
+});
+
+const lotsCost = lots => lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+const lotsQuantity = lots => lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+describe('Lot Accounting - Property-Based Tests', () => {
+    describe('Property 1: Cost Is Conserved', () => {
+        /**
+         * **Feature: lot-accounting, Property 1: Cost Is Conserved**
+         */
+        test('sold cost plus remaining cost equals original cost', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(lotArbitrary, { minLength: 1, maxLength: 10 }),
+                    fc.double({ min: 0, max: 1, noNaN: true }),
+                    fc.constantFrom('fifo', 'average'),
+                    (lots, fraction, method) => {
+                        const held = lotsQuantity(lots);
+                        const quantity = held * fraction;
+
+                        const result = consumeLots(lots, quantity, method);
+
+                        const originalCost = lotsCost(lots);
+                        expect(result.costBasis + lotsCost(result.lots)).toBeCloseTo(originalCost, 4);
+                        expect(lotsQuantity(result.lots)).toBeCloseTo(held - quantity, 6);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('Property 2: Method Semantics', () => {
+        /**
+         * **Feature: lot-accounting, Property 2: Method Semantics**
+         */
+        test('FIFO sells the oldest lots first', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(lotArbitrary, { minLength: 2, maxLength: 10 }),
+                    (lots) => {
+                        // Sell exactly the first lot
+                        const result = consumeLots(lots, lots[0].quantity, 'fifo');
+
+                        expect(result.costBasis).toBeCloseTo(lots[0].quantity * lots[0].price, 6);
+                        expect(result.lots.length).toBe(lots.length - 1);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('average cost keeps the average price of the remaining lots', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(lotArbitrary, { minLength: 1, maxLength: 10 }),
+                    fc.double({ min: 0.01, max: 0.99, noNaN: true }),
+                    (lots, fraction) => {
+                        const held = lotsQuantity(lots);
+                        const averageBefore = lotsCost(lots) / held;
+
+                        const result = consumeLots(lots, held * fraction, 'average');
+
+                        const averageAfter = lotsCost(result.lots) / lotsQuantity(result.lots);
+                        expect(averageAfter).toBeCloseTo(averageBefore, 6);
+                        expect(result.costBasis).toBeCloseTo(held * fraction * averageBefore, 4);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+});
@@ -0,0 +1,171 @@
+const fc = require('fast-check');
+const marketCalendar = require('../src/services/marketCalendar.service');
+
+/**
+ * Property-based tests for the market calendar
+ * **Feature: market-calendar, Property 1: Time Zone Round Trip**
+ *
+ * For any instant and any covered market, converting the instant to local
+ * wall-clock time and back should land on the same local time, across
+ * daylight saving changes
+ */
+
+const MARKETS = Object.keys(marketCalendar.CALENDARS);
+
+// 2020-01-01 to 2035-12-31
+const instantArbitrary = fc
+    .integer({ min: Date.UTC(2020, 0, 1), max: Date.UTC(2035, 11, 31) })
+    .map(ms => new Date(ms - (ms % 60000)));
+
+const yearArbitrary = fc.integer({ min: 2020, max: 2035 });
+
+const weekdayOf = dateString => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+describe('Market Calendar - Property-Based Tests', () => {
+    describe('Property 1: Time Zone Round Trip', () => {
+        /**
+         * **Feature: market-calendar, Property 1: Time Zone Round Trip**
+         */
+        test('local time converted back to UTC keeps the same wall-clock time', () => {
+            fc.assert(
+                fc.property(instantArbitrary, fc.constantFrom(...MARKETS), (instant, market) => {
+                    const { timeZone } = marketCalendar.CALENDARS[market];
+                    const local = marketCalendar.getZonedParts(instant, timeZone);
+
+                    const roundTrip = marketCalendar.zonedTimeToUtc(local.date, local.minutes, timeZone);
+                    const again = marketCalendar.getZonedParts(roundTrip, timeZone);
+
+                    expect(again.date).toBe(local.date);
+                    expect(again.minutes).toBe(local.minutes);
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 2: Holidays Are Observed On Weekdays', () => {
+        /**
+         * **Feature: market-calendar, Property 2: Holidays Are Observed On Weekdays**
+         */
+        test('every observed holiday and early close falls Monday to Friday', () => {
+            fc.assert(
+                fc.property(yearArbitrary, (year) => {
+                    const dates = [
+                        ...marketCalendar.getUSHolidays(year).keys(),
+                        ...marketCalendar.getUSEarlyCloses(year).keys(),
+                        ...marketCalendar.getNGXHolidays(year).keys()
+                    ];
+
+                    for (const date of dates) {
+                        expect([1, 2, 3, 4, 5]).toContain(weekdayOf(date));
+                    }
+                }),
+                { numRuns: 50 }
+            );
+        });
+
+        test('early closes are never full holidays', () => {
+            fc.assert(
+                fc.property(yearArbitrary, (year) => {
+                    const holidays = marketCalendar.getUSHolidays(year);
+                    for (const date of marketCalendar.getUSEarlyCloses(year).keys()) {
+                        expect(holidays.has(date)).toBe(false);
+                    }
+                }),
+                { numRuns: 50 }
+            );
+        });
+
+        test('every NGX holiday gets its own trading day off', () => {
+            fc.assert(
+                fc.property(yearArbitrary, (year) => {
+                    expect(marketCalendar.getNGXHolidays(year).size).toBe(8);
+                }),
+                { numRuns: 50 }
+            );
+        });
+    });
+
+    describe('Property 3: Status Matches The Session', () => {
+        /**
+         * **Feature: market-calendar, Property 3: Status Matches The Session**
+         */
+        test('an open market is inside its session on a trading day', () => {
+            fc.assert(
+                fc.property(instantArbitrary, fc.constantFrom(...MARKETS), (instant, market) => {
+                    const status = marketCalendar.getMarketStatus(market, instant);
+
+                    if (status.holiday) {
+                        expect(status.status).toBe('closed');
+                    }
+
+                    if (status.isOpen) {
+                        expect(marketCalendar.isTradingDay(market, instant)).toBe(true);
+                        expect(status.opensAt.getTime()).toBeLessThanOrEqual(instant.getTime());
+                        expect(status.closesAt.getTime()).toBeGreaterThan(instant.getTime());
+                        expect(status.nextOpen).toBeNull();
+                    }
+                }),
+                { numRuns: 300 }
+            );
+        });
+
+        test('the next open is in the future and the market is open then', () => {
+            fc.assert(
+                fc.property(instantArbitrary, fc.constantFrom(...MARKETS), (instant, market) => {
+                    const nextOpen = marketCalendar.getNextOpen(market, instant);
+
+                    expect(nextOpen).not.toBeNull();
+                    expect(nextOpen.getTime()).toBeGreaterThan(instant.getTime());
+                    expect(marketCalendar.getMarketStatus(market, nextOpen).status).toBe('open');
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 4: Monitoring Interval', () => {
+        /**
+         * **Feature: market-calendar, Property 4: Monitoring Interval**
+         */
+        test('monitoring runs at the open interval whenever any market is open', () => {
+            const { open, extended, closed } = marketCalendar.MONITORING_INTERVALS;
+
+            fc.assert(
+                fc.property(instantArbitrary, (instant) => {
+                    const interval = marketCalendar.getMonitoringInterval(instant);
+
+                    expect([open, extended, closed]).toContain(interval);
+                    expect(interval === open).toBe(marketCalendar.isAnyMarketOpen(instant));
+                    expect(60 % interval).toBe(0);
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 5: Orders Fill In US Hours', () => {
+        /**
+         * **Feature: market-calendar, Property 5: Orders Fill In US Hours**
+         */
+        test('pending orders fill exactly when the US regular session is open', () => {
+            fc.assert(
+                fc.property(instantArbitrary, (instant) => {
+                    const usOpen = marketCalendar.getMarketStatus('US', instant).isOpen;
+                    expect(marketCalendar.canFillOrders(instant)).toBe(usOpen);
+                }),
+                { numRuns: 300 }
+            );
+        });
+
+        test('no orders fill while only NGX is open', () => {
+            // 11 AM Lagos on a Monday: NGX is trading, New York is pre-market
+            const instant = new Date('2026-10-19T10:00:00Z');
+
+            expect(marketCalendar.getMarketStatus('NGX', instant).isOpen).toBe(true);
+            expect(marketCalendar.getMarketStatus('US', instant).isOpen).toBe(false);
+            expect(marketCalendar.isAnyMarketOpen(instant)).toBe(true);
+            expect(marketCalendar.canFillOrders(instant)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,247 @@
+const fc = require('fast-check');
+const portfolioImportExport = require('../src/services/portfolioImportExport.service');
+const portfolioTrading = require('../src/services/portfolioTrading.service');
+const providerManager = require('../src/services/providerManager.service');
+
+/**
+ * Property-based tests for CSV import pricing
+ * **Feature: portfolio-import, Property 1: Prices Must Match The Market**
+ *
+ * For any dated row, the import should only accept a price within that
+ * day's traded range, and should charge platform costs on what it accepts.
+ * Dated rows replay history, so they only go into an empty portfolio.
+ */
+
+const TRADE_DATE = '2026-03-10';
+const STARTING_CASH = 1000000;
+
+const candleArbitrary = fc
+    .record({
+        low: fc.double({ min: 1, max: 1000, noNaN: true }),
+        spread: fc.double({ min: 0, max: 0.2, noNaN: true })
+    })
+    .map(({ low, spread }) => ({ date: TRADE_DATE, low, high: low * (1 + spread) }));
+
+const quantityArbitrary = fc.integer({ min: 1, max: 100 });
+
+const emptyPortfolio = () => ({
+    holdings: [],
+    transactions: [],
+    pendingOrders: [],
+    initialCash: STARTING_CASH,
+    availableCash: STARTING_CASH
+});
+
+const csvFor = (rows) => ['date,action,symbol,quantity,price', ...rows].join('\n');
+
+describe('Portfolio Import - Property-Based Tests', () => {
+    let candle;
+
+    beforeEach(() => {
+        jest.spyOn(providerManager, 'getCandles').mockImplementation(async () => ({ candles: [candle] }));
+        jest.spyOn(portfolioTrading, 'resolveName').mockImplementation(async symbol => symbol);
+        jest.spyOn(portfolioTrading, 'getFillQuote').mockImplementation(async symbol => ({
+            symbol,
+            price: 50,
+            provider: 'test',
+            quoteTimestamp: new Date().toISOString(),
+            staleness: 'fresh',
+            cacheAge: 0
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Property 1: Prices Must Match The Market', () => {
+        /**
+         * **Feature: portfolio-import, Property 1: Prices Must Match The Market**
+         */
+        test('a buy priced within the day\'s range is imported', async () => {
+            await fc.assert(
+                fc.asyncProperty(
+                    candleArbitrary,
+                    fc.double({ min: 0, max: 1, noNaN: true }),
+                    quantityArbitrary,
+                    async (generated, position, quantity) => {
+                        candle = generated;
+                        const price = +(candle.low + (candle.high - candle.low) * position).toFixed(2);
+                        const portfolio = emptyPortfolio();
+
+                        const result = await portfolioImportExport.importCsv(
+                            portfolio,
+                            csvFor([`${TRADE_DATE},buy,AAPL,${quantity},${price}`])
+                        );
+
+                        expect(result.success).toBe(true);
+                        expect(result.imported).toBe(1);
+                        expect(portfolio.holdings[0].quantity).toBe(quantity);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('a buy priced outside the day\'s range is rejected and changes nothing', async () => {
+            await fc.assert(
+                fc.asyncProperty(
+                    candleArbitrary,
+                    fc.constantFrom('below', 'above'),
+                    fc.double({ min: 0.02, max: 0.9, noNaN: true }),
+                    quantityArbitrary,
+                    async (generated, side, gap, quantity) => {
+                        candle = generated;
+                        const price = side === 'below'
+                            ? candle.low * (1 - gap) - 0.02
+                            : candle.high * (1 + gap) + 0.02;
+                        const portfolio = emptyPortfolio();
+
+                        const result = await portfolioImportExport.importCsv(
+                            portfolio,
+                            csvFor([`${TRADE_DATE},buy,AAPL,${quantity},${price}`])
+                        );
+
+                        expect(result.imported).toBe(0);
+                        expect(result.errors[0].row).toBe(2);
+                        expect(result.errors[0].error).toMatch(/outside/);
+                        expect(portfolio.holdings).toHaveLength(0);
+                        expect(portfolio.availableCash).toBe(STARTING_CASH);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('a row dated on a day with no session is rejected', async () => {
+            candle = { date: TRADE_DATE, low: 10, high: 11 };
+            const portfolio = emptyPortfolio();
+
+            const result = await portfolioImportExport.importCsv(
+                portfolio,
+                csvFor(['2026-03-11,buy,AAPL,1,10.50'])
+            );
+
+            expect(result.imported).toBe(0);
+            expect(result.errors[0].error).toMatch(/did not trade/);
+        });
+    });
+
+    describe('Property 2: Imports Pay Platform Costs', () => {
+        /**
+         * **Feature: portfolio-import, Property 2: Imports Pay Platform Costs**
+         */
+        test('an imported buy costs the same as a live buy on the platform', async () => {
+            await fc.assert(
+                fc.asyncProperty(
+                    candleArbitrary,
+                    quantityArbitrary,
+                    fc.constantFrom('none', 'bamboo', 'chaka', 'trove', 'risevest'),
+                    async (generated, quantity, platform) => {
+                        candle = generated;
+                        const price = candle.low.toFixed(2);
+                        const portfolio = emptyPortfolio();
+
+                        await portfolioImportExport.importCsv(
+                            portfolio,
+                            csvFor([`${TRADE_DATE},buy,AAPL,${quantity},${price}`]),
+                            { platform }
+                        );
+
+                        const transaction = portfolio.transactions[0];
+                        expect(transaction.platform).toBe(platform);
+                        expect(STARTING_CASH - portfolio.availableCash)
+                            .toBeCloseTo(transaction.total + transaction.fees, 6);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('undated rows fill at the live quote instead of the file price', async () => {
+            const portfolio = emptyPortfolio();
+
+            const result = await portfolioImportExport.importCsv(
+                portfolio,
+                csvFor([',buy,AAPL,2,1.00'])
+            );
+
+            expect(result.imported).toBe(1);
+            expect(portfolio.transactions[0].price).toBe(50);
+            expect(portfolio.transactions[0].provider).toBe('test');
+        });
+    });
+
+    describe('Property 3: Dated Rows Replay From Starting Cash', () => {
+        /**
+         * **Feature: portfolio-import, Property 3: Dated Rows Replay From Starting Cash**
+         */
+        test('dated rows are refused by a portfolio that has already traded', async () => {
+            await fc.assert(
+                fc.asyncProperty(candleArbitrary, quantityArbitrary, async (generated, quantity) => {
+                    candle = generated;
+                    const portfolio = emptyPortfolio();
+                    portfolio.transactions.push({ type: 'buy', symbol: 'MSFT', quantity: 1, price: 10 });
+                    portfolio.availableCash = STARTING_CASH - 10;
+
+                    const result = await portfolioImportExport.importCsv(
+                        portfolio,
+                        csvFor([`${TRADE_DATE},buy,AAPL,${quantity},${candle.low.toFixed(2)}`])
+                    );
+
+                    expect(result.success).toBe(false);
+                    expect(result.statusCode).toBe(409);
+                    expect(portfolio.transactions).toHaveLength(1);
+                    expect(portfolio.availableCash).toBe(STARTING_CASH - 10);
+                }),
+                { numRuns: 50 }
+            );
+        });
+
+        test('undated rows still import into a portfolio that has traded', async () => {
+            const portfolio = emptyPortfolio();
+            portfolio.transactions.push({ type: 'buy', symbol: 'MSFT', quantity: 1, price: 10 });
+
+            const result = await portfolioImportExport.importCsv(portfolio, csvFor([',buy,AAPL,1,1.00']));
+
+            expect(result.imported).toBe(1);
+            expect(portfolio.transactions[1].price).toBe(50);
+        });
+    });
+
+    describe('Property 4: Exports Are Safe To Open', () => {
+        /**
+         * **Feature: portfolio-import, Property 4: Exports Are Safe To Open**
+         */
+        test('no exported text cell starts with a formula character', () => {
+            fc.assert(
+                fc.property(
+                    fc.constantFrom('=', '+', '-', '@', ''),
+                    fc.string({ minLength: 1, maxLength: 20 }),
+                    (prefix, text) => {
+                        const portfolio = emptyPortfolio();
+                        portfolio.transactions.push({
+                            type: 'buy',
+                            symbol: `${prefix}${text}`,
+                            name: `${prefix}HYPERLINK("x")`,
+                            quantity: 1,
+                            price: 10,
+                            realizedPnL: -5,
+                            date: new Date(`${TRADE_DATE}T15:00:00Z`)
+                        });
+
+                        const [, row] = portfolioImportExport.parseCsv(portfolioImportExport.toCsv(portfolio));
+                        const columns = portfolioImportExport.EXPORT_COLUMNS;
+
+                        for (const column of ['symbol', 'name']) {
+                            expect(row[columns.indexOf(column)]).not.toMatch(/^[=+\-@\t\r]/);
+                        }
+                        // Numbers are written as they are
+                        expect(row[columns.indexOf('realizedPnL')]).toBe('-5');
+                    }
+                ),
+                { numRuns: 200 }
+            );
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const fc = require('fast-check');
+const portfolioPerformance = require('../src/services/portfolioPerformance.service');
+
+/**
+ * Property-based tests for Portfolio Performance Service
+ * **Feature: portfolio-performance, Property 1: Return Calculations**
+ *
+ * For any equity curve without external cash flows, the time-weighted and
+ * money-weighted returns should both equal the simple end-to-end return
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an equity curve from a list of values, one snapshot per day
+ */
+function buildCurve(values, contributions = null) {
+    const start = Date.UTC(2025, 0, 2);
+    return values.map((totalValue, i) => ({
+        date: new Date(start + i * DAY_MS),
+        totalValue,
+        netContributions: contributions ? contributions[i] : 10000
+    }));
+}
+
+describe('Portfolio Performance - Property-Based Tests', () => {
+    describe('Property 1: Return Calculations', () => {
+        /**
+         * **Feature: portfolio-performance, Property 1: Return Calculations**
+         */
+        test('time-weighted return equals simple return when there are no flows', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(fc.double({ min: 100, max: 100000, noNaN: true }), { minLength: 2, maxLength: 60 }),
+                    (values) => {
+                        const curve = buildCurve(values);
+                        const simple = (values[values.length - 1] / values[0] - 1) * 100;
+
+                        const twr = portfolioPerformance.computeTimeWeightedReturn(curve);
+
+                        expect(twr).toBeCloseTo(simple, 6);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('money-weighted return equals simple return when there are no flows', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(fc.double({ min: 1000, max: 20000, noNaN: true }), { minLength: 2, maxLength: 60 }),
+                    (values) => {
+                        const curve = buildCurve(values);
+                        const simple = (values[values.length - 1] / values[0] - 1) * 100;
+
+                        const mwr = portfolioPerformance.computeMoneyWeightedReturn(curve);
+
+                        expect(mwr).not.toBeNull();
+                        expect(mwr.periodReturn).toBeCloseTo(simple, 4);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('time-weighted return ignores contributions', () => {
+            fc.assert(
+                fc.property(
+                    fc.double({ min: 1000, max: 20000, noNaN: true }),
+                    fc.double({ min: 1, max: 10000, noNaN: true }),
+                    (startValue, deposit) => {
+                        // Flat market: the only change in value is the deposit itself
+                        const curve = buildCurve(
+                            [startValue, startValue + deposit],
+                            [10000, 10000 + deposit]
+                        );
+
+                        const twr = portfolioPerformance.computeTimeWeightedReturn(curve);
+
+                        expect(twr).toBeCloseTo(0, 6);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('returns are null with fewer than two snapshots', () => {
+            const curve = buildCurve([10000]);
+
+            expect(portfolioPerformance.computeTimeWeightedReturn(curve)).toBeNull();
+            expect(portfolioPerformance.computeMoneyWeightedReturn(curve)).toBeNull();
+        });
+    });
+
+    describe('Property 2: Range Start', () => {
+        /**
+         * **Feature: portfolio-performance, Property 2: Range Start**
+         */
+        test('range start is a UTC midnight before the reference time', () => {
+            fc.assert(
+                fc.property(
+                    fc.constantFrom('1M', '3M', '1Y'),
+                    fc.date({ min: new Date('2020-01-01'), max: new Date('2030-01-01'), noInvalidDate: true }),
+                    (range, now) => {
+                        const start = portfolioPerformance.getRangeStart(range, now);
+
+                        expect(start.getTime()).toBeLessThan(now.getTime());
+                        expect(start.getUTCHours()).toBe(0);
+                        expect(start.getUTCMinutes()).toBe(0);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('ALL has no start date', () => {
+            expect(portfolioPerformance.getRangeStart('ALL')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const fc = require('fast-check');
+const tradingCosts = require('../src/services/tradingCosts.service');
+const portfolioTrading = require('../src/services/portfolioTrading.service');
+
+/**
+ * Property-based tests for platform trading costs
+ * **Feature: trading-costs, Property 1: Costs Always Work Against The Trader**
+ *
+ * For any platform, side, quantity and quote, slippage should move the
+ * execution price against the trader and fees should never be negative
+ * or below the platform's minimum
+ */
+
+const PLATFORMS = Object.keys(tradingCosts.PLATFORM_FEE_PROFILES);
+
+const platformArbitrary = fc.constantFrom(...PLATFORMS);
+const sideArbitrary = fc.constantFrom('buy', 'sell');
+const quantityArbitrary = fc.double({ min: 0.0001, max: 10000, noNaN: true });
+const priceArbitrary = fc.double({ min: 0.01, max: 5000, noNaN: true });
+const budgetArbitrary = fc.double({ min: 0, max: 1000000, noNaN: true });
+
+const TOLERANCE = 1e-6;
+
+describe('Trading Costs - Property-Based Tests', () => {
+    describe('Property 1: Costs Always Work Against The Trader', () => {
+        /**
+         * **Feature: trading-costs, Property 1: Costs Always Work Against The Trader**
+         */
+        test('buys execute at or above the quote and sells at or below it', () => {
+            fc.assert(
+                fc.property(platformArbitrary, sideArbitrary, quantityArbitrary, priceArbitrary,
+                    (platform, side, quantity, quotePrice) => {
+                        const costs = tradingCosts.calculateTradeCosts(platform, side, quantity, quotePrice);
+
+                        if (side === 'buy') {
+                            expect(costs.price).toBeGreaterThanOrEqual(quotePrice);
+                        } else {
+                            expect(costs.price).toBeLessThanOrEqual(quotePrice);
+                        }
+                        expect(costs.slippage).toBeGreaterThanOrEqual(0);
+                        expect(costs.notional).toBeCloseTo(quantity * costs.price, 6);
+                    }),
+                { numRuns: 200 }
+            );
+        });
+
+        test('fees are commission plus FX spread and never below the minimum fee', () => {
+            fc.assert(
+                fc.property(platformArbitrary, sideArbitrary, quantityArbitrary, priceArbitrary,
+                    (platform, side, quantity, quotePrice) => {
+                        const profile = tradingCosts.PLATFORM_FEE_PROFILES[platform];
+                        const costs = tradingCosts.calculateTradeCosts(platform, side, quantity, quotePrice);
+
+                        expect(costs.commission).toBeGreaterThanOrEqual(profile.minimumFee);
+                        expect(costs.fxFee).toBeGreaterThanOrEqual(0);
+                        expect(costs.fees).toBeCloseTo(costs.commission + costs.fxFee, 6);
+                    }),
+                { numRuns: 200 }
+            );
+        });
+
+        test('the no-fee platform and unknown platforms cost nothing', () => {
+            fc.assert(
+                fc.property(fc.constantFrom('none', 'unknown-broker'), sideArbitrary, quantityArbitrary, priceArbitrary,
+                    (platform, side, quantity, quotePrice) => {
+                        const costs = tradingCosts.calculateTradeCosts(platform, side, quantity, quotePrice);
+
+                        expect(costs.platform).toBe('none');
+                        expect(costs.price).toBe(quotePrice);
+                        expect(costs.fees).toBe(0);
+                        expect(costs.slippage).toBe(0);
+                    }),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('Property 2: Budget Covers Notional Plus Fees', () => {
+        /**
+         * **Feature: trading-costs, Property 2: Budget Covers Notional Plus Fees**
+         */
+        test('buying the notional for a budget never costs more than the budget', () => {
+            fc.assert(
+                fc.property(platformArbitrary, budgetArbitrary, priceArbitrary, (platform, budget, quotePrice) => {
+                    const notional = tradingCosts.getNotionalForBudget(platform, budget);
+                    expect(notional).toBeGreaterThanOrEqual(0);
+                    if (notional === 0) return;
+
+                    const price = tradingCosts.getExecutionPrice(platform, 'buy', quotePrice);
+                    const costs = tradingCosts.calculateTradeCosts(platform, 'buy', notional / price, quotePrice);
+
+                    expect(costs.notional + costs.fees).toBeLessThanOrEqual(budget + TOLERANCE);
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('Property 3: Sales Never Overdraw Cash', () => {
+        /**
+         * **Feature: trading-costs, Property 3: Sales Never Overdraw Cash**
+         */
+        test('a sale that passes the fee check credits non-negative proceeds', () => {
+            fc.assert(
+                fc.property(platformArbitrary, quantityArbitrary, priceArbitrary, (platform, quantity, quotePrice) => {
+                    const costs = tradingCosts.calculateTradeCosts(platform, 'sell', quantity, quotePrice);
+                    const feeError = portfolioTrading.checkSaleCoversFees(costs);
+
+                    expect(feeError === null).toBe(costs.notional - costs.fees >= 0);
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+});